@@ -9,6 +9,8 @@ app.use(
     cors({
         origin: process.env.CORS_ORIGIN,
         credentials: true,
+        // Read by resumable upload (tus) clients
+        exposedHeaders: ["Location", "Upload-Offset", "Upload-Length", "Upload-Expires", "Upload-Version-Id", "Upload-Job-Id", "Tus-Resumable", "Tus-Version", "Tus-Extension", "Tus-Max-Size"],
     })
 );
 
@@ -27,6 +29,26 @@ import projectRouter from './routes/project.routes.js'
 app.use("/api/v1/user", userRouter) // whenever someone requests "/users", control will be with the userRouter
 app.use("/api/v1/project", projectRouter)
 
+// notifications are created from the activity recorded by the controllers
+import { subscribeNotifications } from './utils/notifications.js'
+subscribeNotifications()
+
+// and delivered to the project's webhooks
+import { subscribeWebhooks } from './utils/webhooks.js'
+subscribeWebhooks()
+
+// uploads are processed by background jobs
+import { registerUploadJobs } from './utils/processing.js'
+registerUploadJobs()
+
+// and used to render thumbnails and previews of new versions
+import { subscribePreviews } from './utils/previews.js'
+subscribePreviews()
+
+// errors thrown by any route are sent back as JSON
+import { errorHandler } from './middlewares/error.middleware.js'
+app.use(errorHandler)
+
 
 // now when I go to http://localhost:8000/api/v1/user, I will see "Hello from home controller"
 // http://localhost:8000/api/v1/user/register => "Hello from Register Controller"
@@ -81,12 +103,15 @@ export { app };
         {
             "filePath":""
         }
-    8. join project
+    8. join project (as user2), then approve it (as user1)
         http://localhost:8000/api/v1/project/join
         {
             "projectId":"",
-            "role":""
+            "role":"",
+            "message":""
         }
+        ->requestId: 
+        http://localhost:8000/api/v1/project/:projectId/join-requests/:requestId/approve
         
     9. try 6 and 7 again
 
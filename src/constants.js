@@ -1 +1,17 @@
 export const DB_NAME = "summerProject";
+
+// Branch every content item starts with and uploads go to when none is given
+export const DEFAULT_BRANCH = "main";
+
+// Roles a user can have in a project
+export const PROJECT_ROLES = ["owner", "editor", "member"];
+
+// States a version moves through on its way to approval
+// draft -> in_review -> approved | rejected | changes_requested, and changes_requested -> in_review when resubmitted
+export const REVIEW_STATUSES = ["draft", "in_review", "changes_requested", "approved", "rejected"];
+
+// Decisions a reviewer can record on a version that is in review
+export const REVIEW_DECISIONS = ["approve", "reject", "request_changes"];
+
+// Kinds of in-app notifications, each can be turned off in the user's preferences
+export const NOTIFICATION_TYPES = ["version_uploaded", "review_requested", "version_reviewed", "comment", "mention"];
@@ -0,0 +1,152 @@
+import { asyncHandler } from "../utils/asynchandler.js"; // Utility function to handle async errors
+import mongoose from "mongoose"; // Used to validate IDs given as filters
+import { AuditLog } from "../models/auditLog.model.js"; // Import the AuditLog model
+import { ApiError } from "../utils/ApiError.js"; // Custom error class for API errors
+import { ApiResponse } from "../utils/ApiResponse.js"; // Custom response class for API responses
+import { getPagination } from "../utils/pagination.js"; // Page and limit from the query string
+import { RESTRICTED_TARGETS } from "../policies/permissions.js"; // Targets whose activity needs more than activity:read
+
+// Target types recorded by the controllers, the only values ?targetType= accepts
+const TARGET_TYPES = ["comment", "content", "invite", "join_request", "project", "release", "role", "user", "version", "webhook"];
+
+const ACTION_PATTERN = /^[a-z_]+(:[a-z_]+)?$/; // "version" or "version:delete"
+
+/**
+ * Helper function to read the filters from the query string
+ * Only plain strings are accepted: ?targetType[$ne]=x arrives as an object and would otherwise become a query operator
+ * @param {Object} query - The request's query parameters
+ * @param {String[]} fields - The filters to read
+ * @returns {Object} - The filters that were given, as strings
+ */
+const readFilters = (query, fields) => {
+    const filters = {};
+    for (const field of fields) {
+        const value = query[field];
+        if (value === undefined) {
+            continue;
+        }
+        if (typeof value !== "string") {
+            throw new ApiError(400, `Invalid ${field}`);
+        }
+        filters[field] = value;
+    }
+    return filters;
+};
+
+/**
+ * Helper function to build an audit log filter from query parameters
+ * action matches exactly ("version:delete") or by target ("version"), since/until limit the time range
+ * @param {Object} query - The request's query parameters
+ * @returns {Object} - The MongoDB filter
+ */
+const buildFilter = (query) => {
+    const { actorId, action, targetType, targetId, since, until } = readFilters(query, ["actorId", "action", "targetType", "targetId", "since", "until"]);
+    const filter = {};
+
+    for (const [field, value] of Object.entries({ actorId, targetId })) {
+        if (value !== undefined) {
+            if (!mongoose.isValidObjectId(value)) {
+                throw new ApiError(400, `Invalid ${field}`);
+            }
+            filter[field] = value;
+        }
+    }
+    if (action) {
+        if (!ACTION_PATTERN.test(action)) {
+            throw new ApiError(400, "Invalid action");
+        }
+        filter.action = action.includes(":") ? action : { $regex: `^${action}:` };
+    }
+    if (targetType) {
+        if (!TARGET_TYPES.includes(targetType)) {
+            throw new ApiError(400, "Invalid targetType", [{ allowed: TARGET_TYPES }]);
+        }
+        filter.targetType = targetType;
+    }
+    if (since || until) {
+        filter.createdAt = {};
+        for (const [operator, value] of [["$gte", since], ["$lte", until]]) {
+            if (value) {
+                const date = new Date(value);
+                if (isNaN(date)) {
+                    throw new ApiError(400, "Invalid date");
+                }
+                filter.createdAt[operator] = date;
+            }
+        }
+    }
+
+    return filter;
+};
+
+/**
+ * Helper function to fetch one page of audit entries, newest first
+ * @param {Object} filter - The MongoDB filter
+ * @param {Object} query - The request's query parameters, for page and limit
+ * @returns {Object} - { activity, page, totalPages, totalActivity }
+ */
+const findActivity = async (filter, query) => {
+    const { page, limit, skip } = getPagination(query, { defaultLimit: 50, maxLimit: 200 });
+
+    const [activity, totalActivity] = await Promise.all([
+        AuditLog.find(filter)
+            .populate('actorId', 'username email') // Show who did it
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit),
+        AuditLog.countDocuments(filter)
+    ]);
+
+    return { activity, page, totalPages: Math.ceil(totalActivity / limit), totalActivity };
+};
+
+/**
+ * Helper function to leave out the restricted targets the caller may not manage
+ * @param {Object} filter - The MongoDB filter built from the query
+ * @param {String[]} permissions - The caller's permissions in the project, set by the authorize middleware
+ * @returns {Object} - The filter
+ */
+const hideRestrictedTargets = (filter, permissions) => {
+    const hidden = Object.keys(RESTRICTED_TARGETS).filter((target) => !permissions.includes(RESTRICTED_TARGETS[target]));
+    if (!hidden.length) {
+        return filter;
+    }
+    if (hidden.includes(filter.targetType)) {
+        throw new ApiError(403, "Permission Denied", [{ action: RESTRICTED_TARGETS[filter.targetType] }]);
+    }
+    return { ...filter, targetType: filter.targetType ?? { $nin: hidden } };
+};
+
+/**
+ * Controller to get the activity feed of a project, filterable by actor, action, target and time
+ * Webhook, invite and join request entries are only listed for members who manage them
+ */
+const getProjectActivity = asyncHandler(async (req, res) => {
+    const filter = hideRestrictedTargets({ ...buildFilter(req.query), projectId: req.params.projectId }, req.projectPermissions); // Only this project's entries
+
+    res.status(200).json(new ApiResponse(200, await findActivity(filter, req.query), "Activity fetched successfully")); // Send the response
+});
+
+/**
+ * Controller to get everything the current user did, across projects and on their account
+ */
+const getMyActivity = asyncHandler(async (req, res) => {
+    const filter = { ...buildFilter(req.query), actorId: req.user._id }; // Only the user's own actions
+    const { projectId } = readFilters(req.query, ["projectId"]);
+    if (projectId) {
+        if (!mongoose.isValidObjectId(projectId)) {
+            throw new ApiError(400, "Invalid projectId");
+        }
+        filter.projectId = projectId;
+    }
+
+    res.status(200).json(new ApiResponse(200, await findActivity(filter, req.query), "Activity fetched successfully")); // Send the response
+});
+
+export default { getProjectActivity, getMyActivity }; // Export the controllers
+
+/*
+AuditLog: Append-only record of every change made through the API: who (actorId), what (action), on what (targetType, targetId) and a short before/after summary.
+RESTRICTED_TARGETS: webhook entries need webhook:manage and invite or join request entries member:manage, on top of activity:read.
+recordActivity: The helper the other controllers call after each change; entries are never updated or deleted, even when the project is purged.
+*/
@@ -0,0 +1,76 @@
+import { asyncHandler } from "../utils/asynchandler.js"; // Utility function to handle async errors
+import { Comment } from "../models/comment.model.js"; // Import the Comment model
+import { Version } from "../models/version.model.js"; // Import the Version model
+import { ApiError } from "../utils/ApiError.js"; // Custom error class for API errors
+import { ApiResponse } from "../utils/ApiResponse.js"; // Custom response class for API responses
+import { validateText, findMentions, validateAnchor } from "../utils/comments.js"; // Shared by comments and annotations
+import { recordActivity } from "../utils/activity.js"; // Audit log
+
+/**
+ * Helper function to find a live version of the content in the request
+ * @param {Object} req - The request, with contentId and versionId parameters
+ * @returns {Object} - The version document
+ */
+const findLiveVersion = async (req) => {
+    const { versionId, contentId } = req.params; // Get the versionId and contentId from the request parameters
+
+    const version = await Version.findOne({ _id: versionId, contentId, deletedAt: null }); // Find the version by its ID
+    if (!version) {
+        throw new ApiError(404, "Version not found"); // Throw an error if the version is not found
+    }
+    return version;
+};
+
+/**
+ * Controller to list the annotations of a version ordered by time
+ * Region annotations without a time come first, resolved annotations only when asked for
+ */
+const getAnnotations = asyncHandler(async (req, res) => {
+    const version = await findLiveVersion(req); // Find the version
+    const includeResolved = req.query.resolved === 'all'; // Unresolved only unless "all" is asked for
+
+    const filter = { targetType: 'version', targetId: version._id, parentId: null, anchor: { $ne: null } };
+    if (!includeResolved) {
+        filter.resolved = false;
+    }
+
+    const annotations = await Comment.find(filter)
+        .populate('userId', 'username email') // Show who left each annotation
+        .populate('mentions', 'username')
+        .sort({ "anchor.start": 1, createdAt: 1 }); // Ordered along the timeline
+
+    res.status(200).json(new ApiResponse(200, annotations, "Annotations fetched successfully")); // Send the response
+});
+
+/**
+ * Controller to annotate a version at a time, a time range or a region of the image
+ * Replies, edits and resolving go through the project's comment routes like any other thread
+ */
+const createAnnotation = asyncHandler(async (req, res) => {
+    const { projectId } = req.params; // Get the projectId from the request parameters
+    const version = await findLiveVersion(req); // Find the version
+
+    const text = validateText(req.body.text);
+    const anchor = validateAnchor(req.body.anchor, version); // Check the anchor fits the media type
+
+    const annotation = await Comment.create({
+        projectId,
+        targetType: 'version',
+        targetId: version._id,
+        userId: req.user._id,
+        text,
+        mentions: await findMentions(projectId, text),
+        anchor
+    });
+
+    await recordActivity(req, { action: "annotation:create", targetType: "comment", targetId: annotation._id, after: { versionId: version._id, anchor } });
+
+    res.status(201).json(new ApiResponse(201, annotation, "Annotation created successfully")); // Send the response
+});
+
+export default { getAnnotations, createAnnotation }; // Export the controllers
+
+/*
+Annotations: Comments on a version with an anchor; time and range anchors are in seconds on audio and video, region anchors are fractions of the frame on images and video.
+carriedForward: When a new version derives from an annotated one, its unresolved annotations are copied over, flagged and linked to the annotation they came from.
+*/
@@ -0,0 +1,139 @@
+import { asyncHandler } from "../utils/asynchandler.js"; // Utility function to handle async errors
+import { Project } from "../models/project.model.js"; // Import the Project model
+import { Content } from "../models/content.model.js"; // Import the Content model
+import { Version } from "../models/version.model.js"; // Import the Version model
+import { Release } from "../models/release.model.js"; // Import the Release model
+import { ApiError } from "../utils/ApiError.js"; // Custom error class for API errors
+import { archivePath, streamArchive } from "../utils/archive.js"; // ZIP streaming
+
+/**
+ * Helper function to build the archive entries and the manifest for a list of content items and their versions
+ * @param {Object[]} pairs - [{ content, version }], version is null when the content has nothing to include
+ * @returns {Object} - { items, manifestItems, missing }
+ */
+const buildEntries = async (pairs) => {
+    const versionIds = pairs.filter((pair) => pair.version).map((pair) => pair.version._id);
+    const versions = await Version.find({ _id: { $in: versionIds } }).populate('uploadedBy', 'username');
+    const versionsById = new Map(versions.map((version) => [version._id.toString(), version]));
+
+    const items = [];
+    const manifestItems = [];
+    const missing = [];
+    for (const { content, contentType, version: ref } of pairs) {
+        const version = ref && versionsById.get(ref._id.toString());
+        if (!version?.storageKey) {
+            missing.push({ contentId: content, contentType, reason: ref ? "File not available" : "No approved version" });
+            continue;
+        }
+
+        const entryPath = archivePath({ contentId: content, contentType, version });
+        items.push({ path: entryPath, version });
+        manifestItems.push({
+            path: entryPath,
+            contentId: content,
+            contentType,
+            versionId: version._id,
+            branch: version.branch,
+            reviewStatus: version.reviewStatus,
+            uploadedBy: version.uploadedBy ? { _id: version.uploadedBy._id, username: version.uploadedBy.username } : null,
+            originalName: version.originalName,
+            mimeType: version.mimeType,
+            size: version.size,
+            checksum: version.checksum ? { algorithm: "sha256", value: version.checksum } : null,
+            createdAt: version.createdAt
+        });
+    }
+
+    return { items, manifestItems, missing };
+};
+
+/**
+ * Helper function to build a file name for an archive
+ * @param {...String} parts
+ * @returns {String}
+ */
+const archiveName = (...parts) => `${parts.join("-").replace(/[^A-Za-z0-9._-]+/g, "_")}.zip`;
+
+/**
+ * Controller to download the approved version of every content item of a project as a ZIP archive
+ * manifest.json inside the archive describes each file; content without an approved version is listed as missing
+ */
+const downloadProjectArchive = asyncHandler(async (req, res) => {
+    const { projectId } = req.params; // Get the projectId from the request parameters
+
+    const project = await Project.findOne({ _id: projectId, deletedAt: null }); // Find the live project by ID
+    if (!project) {
+        throw new ApiError(404, "Project not found");
+    }
+
+    const contents = await Content.find({ projectId, deletedAt: null }).select("type");
+    const approved = await Version.find({ contentId: { $in: contents.map((content) => content._id) }, approved: true, deletedAt: null }).select("contentId");
+    const approvedByContent = new Map(approved.map((version) => [version.contentId.toString(), version]));
+
+    const { items, manifestItems, missing } = await buildEntries(contents.map((content) => ({
+        content: content._id,
+        contentType: content.type,
+        version: approvedByContent.get(content._id.toString()) || null
+    })));
+    if (!items.length) {
+        throw new ApiError(409, "Nothing to download, no content item has an approved version");
+    }
+
+    await streamArchive(res, {
+        filename: archiveName(project.name, "approved"),
+        manifest: {
+            project: { _id: project._id, name: project.name },
+            release: null,
+            generatedAt: new Date(),
+            generatedBy: { _id: req.user._id, username: req.user.username },
+            items: manifestItems,
+            missing
+        },
+        items
+    });
+});
+
+/**
+ * Controller to download the versions pinned by a release as a ZIP archive
+ */
+const downloadReleaseArchive = asyncHandler(async (req, res) => {
+    const { projectId, releaseId } = req.params; // Get the projectId and releaseId from the request parameters
+
+    const [project, release] = await Promise.all([
+        Project.findOne({ _id: projectId, deletedAt: null }),
+        Release.findOne({ _id: releaseId, projectId })
+    ]);
+    if (!project) {
+        throw new ApiError(404, "Project not found");
+    }
+    if (!release) {
+        throw new ApiError(404, "Release not found");
+    }
+
+    // Release items are pinned, trashed versions are still part of the release
+    const { items, manifestItems, missing } = await buildEntries(release.items.map((item) => ({
+        content: item.contentId,
+        contentType: item.contentType,
+        version: { _id: item.versionId }
+    })));
+
+    await streamArchive(res, {
+        filename: archiveName(project.name, release.label),
+        manifest: {
+            project: { _id: project._id, name: project.name },
+            release: { _id: release._id, label: release.label, notes: release.notes, createdAt: release.createdAt },
+            generatedAt: new Date(),
+            generatedBy: { _id: req.user._id, username: req.user.username },
+            items: manifestItems,
+            missing
+        },
+        items
+    });
+});
+
+export default { downloadProjectArchive, downloadReleaseArchive }; // Export the controllers
+
+/*
+streamArchive: Writes a ZIP to the response entry by entry, reading each file from storage only when its turn comes, so large projects are never held in memory.
+manifest.json: The first entry of every archive; lists each file's path, content type, version, uploader, SHA-256 checksum and timestamps, and what could not be included.
+*/
@@ -0,0 +1,269 @@
+import { asyncHandler } from "../utils/asynchandler.js"; // Utility function to handle async errors
+import { Comment } from "../models/comment.model.js"; // Import the Comment model
+import { Content } from "../models/content.model.js"; // Import the Content model
+import { Version } from "../models/version.model.js"; // Import the Version model
+import { ApiError } from "../utils/ApiError.js"; // Custom error class for API errors
+import { ApiResponse } from "../utils/ApiResponse.js"; // Custom response class for API responses
+import { getPagination } from "../utils/pagination.js"; // Page and limit from the query string
+import { validateText, findMentions } from "../utils/comments.js"; // Shared by comments and annotations
+import { recordActivity } from "../utils/activity.js"; // Audit log
+
+const TARGET_TYPES = ['project', 'content', 'version'];
+
+/**
+ * Helper function to check that a comment target exists and belongs to the project
+ * @param {String} projectId - The project of the request
+ * @param {String} targetType - project, content or version
+ * @param {String} targetId - The ID of the target, the project itself when omitted
+ * @returns {Object} - { targetType, targetId }
+ */
+const resolveTarget = async (projectId, targetType = 'project', targetId) => {
+    if (!TARGET_TYPES.includes(targetType)) {
+        throw new ApiError(400, "Invalid target type");
+    }
+
+    if (targetType === 'project') {
+        return { targetType, targetId: projectId };
+    }
+    if (!targetId) {
+        throw new ApiError(400, "Target ID is required");
+    }
+
+    let contentId = targetId;
+    if (targetType === 'version') {
+        const version = await Version.findOne({ _id: targetId, deletedAt: null }).select("contentId");
+        if (!version) {
+            throw new ApiError(404, "Version not found");
+        }
+        contentId = version.contentId;
+    }
+
+    const content = await Content.exists({ _id: contentId, projectId, deletedAt: null }); // Targets of other projects can't be commented on here
+    if (!content) {
+        throw new ApiError(404, targetType === 'version' ? "Version not found" : "Content not found");
+    }
+
+    return { targetType, targetId };
+};
+
+/**
+ * Helper function to find a comment of the project in the request
+ * @param {Object} req - The request, with projectId and commentId parameters
+ * @returns {Object} - The comment document
+ */
+const findComment = async (req) => {
+    const { projectId, commentId } = req.params; // Get the projectId and commentId from the request parameters
+
+    const comment = await Comment.findOne({ _id: commentId, projectId });
+    if (!comment) {
+        throw new ApiError(404, "Comment not found");
+    }
+    return comment;
+};
+
+// Only the author edits a comment; authors and moderators delete it
+const isAuthor = (comment, req) => comment.userId.toString() === req.user._id.toString();
+
+/**
+ * Controller to list the threads of a project, content item or version, newest first
+ * Each thread comes with its number of replies, replies themselves are listed per thread
+ */
+const getComments = asyncHandler(async (req, res) => {
+    const { projectId } = req.params; // Get the projectId from the request parameters
+    const { targetType, targetId, resolved } = req.query; // Optional target and resolved filters
+    const { page, limit, skip } = getPagination(req.query);
+
+    const filter = { projectId, parentId: null };
+    if (targetType) {
+        Object.assign(filter, await resolveTarget(projectId, targetType, targetId)); // Only threads about that target
+    }
+    if (resolved !== undefined) {
+        filter.resolved = resolved === 'true';
+    }
+
+    const [comments, totalComments] = await Promise.all([
+        Comment.find(filter)
+            .populate('userId', 'username email') // Show who wrote each comment
+            .populate('mentions', 'username')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit),
+        Comment.countDocuments(filter)
+    ]);
+
+    const replyCounts = await Comment.aggregate([
+        { $match: { threadId: { $in: comments.map((comment) => comment._id) }, deletedAt: null } },
+        { $group: { _id: "$threadId", count: { $sum: 1 } } }
+    ]);
+    const countsById = new Map(replyCounts.map((entry) => [entry._id.toString(), entry.count]));
+
+    const threads = comments.map((comment) => ({ ...comment.toJSON(), replyCount: countsById.get(comment._id.toString()) || 0 }));
+    const totalPages = Math.ceil(totalComments / limit);
+
+    res.status(200).json(new ApiResponse(200, { comments: threads, page, totalPages, totalComments }, "Comments fetched successfully")); // Send the response
+});
+
+/**
+ * Controller to get a single comment
+ */
+const getCommentById = asyncHandler(async (req, res) => {
+    const comment = await findComment(req); // Find the comment
+    await comment.populate([{ path: 'userId', select: 'username email' }, { path: 'mentions', select: 'username' }]);
+
+    res.status(200).json(new ApiResponse(200, comment, "Comment fetched successfully")); // Send the response
+});
+
+/**
+ * Controller to list the replies of a thread, oldest first
+ */
+const getReplies = asyncHandler(async (req, res) => {
+    const thread = await findComment(req); // Find the comment the thread starts with
+    const { page, limit, skip } = getPagination(req.query, { defaultLimit: 50 });
+
+    const threadId = thread.threadId || thread._id;
+    const [replies, totalReplies] = await Promise.all([
+        Comment.find({ threadId })
+            .populate('userId', 'username email') // Show who wrote each reply
+            .populate('mentions', 'username')
+            .sort({ createdAt: 1 })
+            .skip(skip)
+            .limit(limit),
+        Comment.countDocuments({ threadId })
+    ]);
+    const totalPages = Math.ceil(totalReplies / limit);
+
+    res.status(200).json(new ApiResponse(200, { replies, page, totalPages, totalReplies }, "Replies fetched successfully")); // Send the response
+});
+
+/**
+ * Controller to comment on a project, content item or version, or to reply to a comment
+ * Replies belong to the same target and thread as the comment they answer
+ */
+const createComment = asyncHandler(async (req, res) => {
+    const { projectId } = req.params; // Get the projectId from the request parameters
+    const { targetType, targetId, parentId } = req.body; // Get the target or the comment replied to from the request body
+    const text = validateText(req.body.text);
+
+    let fields;
+    if (parentId) {
+        const parent = await Comment.findOne({ _id: parentId, projectId });
+        if (!parent) {
+            throw new ApiError(404, "Comment not found");
+        }
+        if (parent.deletedAt) {
+            throw new ApiError(409, "Can't reply to a deleted comment");
+        }
+        fields = {
+            targetType: parent.targetType,
+            targetId: parent.targetId,
+            parentId: parent._id,
+            threadId: parent.threadId || parent._id
+        };
+    } else {
+        fields = await resolveTarget(projectId, targetType, targetId); // Check the target belongs to this project
+    }
+
+    const comment = await Comment.create({
+        projectId,
+        userId: req.user._id,
+        text,
+        mentions: await findMentions(projectId, text),
+        ...fields
+    });
+
+    await recordActivity(req, { action: "comment:create", targetType: "comment", targetId: comment._id, after: { targetType: comment.targetType, targetId: comment.targetId, parentId: comment.parentId } });
+
+    res.status(201).json(new ApiResponse(201, comment, "Comment created successfully")); // Send the response
+});
+
+/**
+ * Controller for the author to edit a comment
+ */
+const updateComment = asyncHandler(async (req, res) => {
+    const comment = await findComment(req); // Find the comment
+    if (!isAuthor(comment, req)) {
+        throw new ApiError(403, "Only the author can edit a comment");
+    }
+    if (comment.deletedAt) {
+        throw new ApiError(409, "Deleted comments can't be edited");
+    }
+
+    const before = { text: comment.text };
+    comment.text = validateText(req.body.text);
+    comment.mentions = await findMentions(comment.projectId, comment.text);
+    comment.editedAt = new Date();
+    await comment.save(); // Save the comment
+
+    await recordActivity(req, { action: "comment:update", targetType: "comment", targetId: comment._id, before, after: { text: comment.text } });
+
+    res.status(200).json(new ApiResponse(200, comment, "Comment updated successfully")); // Send the response
+});
+
+/**
+ * Controller to delete a comment, by its author or a moderator
+ * The comment keeps its place so the replies to it still make sense
+ */
+const deleteComment = asyncHandler(async (req, res) => {
+    const comment = await findComment(req); // Find the comment
+    if (!isAuthor(comment, req) && !req.projectPermissions.includes("comment:moderate")) {
+        throw new ApiError(403, "Permission Denied", [{ action: "comment:moderate" }]);
+    }
+    if (comment.deletedAt) {
+        throw new ApiError(409, "Comment is already deleted");
+    }
+
+    comment.set({ deletedAt: new Date(), deletedBy: req.user._id });
+    await comment.save(); // Save the comment
+
+    await recordActivity(req, { action: "comment:delete", targetType: "comment", targetId: comment._id, before: { userId: comment.userId, text: comment.text } });
+
+    res.status(200).json(new ApiResponse(200, {}, "Comment deleted successfully")); // Send the response
+});
+
+/**
+ * Controller to resolve or reopen a thread, by the author of its first comment or anyone allowed to resolve threads
+ * @param {Boolean} resolved - Whether the thread is resolved or reopened
+ */
+const setResolved = (resolved) => asyncHandler(async (req, res) => {
+    const comment = await findComment(req); // Find the comment
+    if (comment.parentId) {
+        throw new ApiError(400, "Only the first comment of a thread can be resolved"); // Threads are resolved as a whole
+    }
+    if (!isAuthor(comment, req) && !req.projectPermissions.includes("comment:resolve")) {
+        throw new ApiError(403, "Permission Denied", [{ action: "comment:resolve" }]);
+    }
+    if (comment.resolved === resolved) {
+        throw new ApiError(409, resolved ? "Thread is already resolved" : "Thread is not resolved");
+    }
+
+    comment.set(resolved
+        ? { resolved, resolvedBy: req.user._id, resolvedAt: new Date() }
+        : { resolved, resolvedBy: null, resolvedAt: null });
+    await comment.save(); // Save the comment
+
+    await recordActivity(req, { action: resolved ? "comment:resolve" : "comment:reopen", targetType: "comment", targetId: comment._id });
+
+    res.status(200).json(new ApiResponse(200, comment, resolved ? "Thread resolved successfully" : "Thread reopened successfully")); // Send the response
+});
+
+const resolveComment = setResolved(true);
+const reopenComment = setResolved(false);
+
+export default {
+    getComments,
+    getCommentById,
+    getReplies,
+    createComment,
+    updateComment,
+    deleteComment,
+    resolveComment,
+    reopenComment
+}; // Export the controllers
+
+/*
+Threads: A comment without parentId starts a thread; every reply stores the thread's first comment in threadId, parentId points at the comment it answers.
+Targets: Comments are about the project itself, one of its content items or one of their versions; targets of other projects are refused.
+Mentions: @username in the text is matched against the project's members, other names stay plain text.
+deletedAt: Deleted comments stay in their thread without text, so replies to them keep their context.
+getPagination: Reads page and limit from the query string, the list responses carry page, totalPages and the total count like getAllProjects.
+*/
@@ -1,21 +1,103 @@
 import { Content } from "../models/content.model.js"; // Import the Content model
+import { Version } from "../models/version.model.js"; // Import the Version model
+import { Project } from "../models/project.model.js"; // Import the Project model
+import { trashContent } from "../utils/trash.js"; // Soft delete helper
+import { recordActivity, summarize } from "../utils/activity.js"; // Audit log
+import { DEFAULT_BRANCH } from "../constants.js"; // Name of the branch every content item starts with
+import { CONTENT_TYPES, normalizeContentType } from "../policies/contentTypes.js"; // Registry of content types
 import { ApiError } from "../utils/ApiError.js"; // Custom error class for API errors
 import { ApiResponse } from "../utils/ApiResponse.js"; // Custom response class for API responses
 import { asyncHandler } from "../utils/asynchandler.js"; // Utility function to handle async errors
 
+const MAX_TITLE_LENGTH = 200;
+const MAX_TAGS = 20;
+const TAG_PATTERN = /^[a-z0-9][a-z0-9 _-]{0,31}$/; // e.g. "b-roll", "final mix"
+
+// Fields shown in the audit log for content changes
+const SUMMARY_FIELDS = ["type", "title", "description", "tags"];
+
+/**
+ * Helper function to check a content type against the registry
+ * @param {String} type - The type from the request, e.g. "Video" or "vid"
+ * @returns {String} - The registry key
+ */
+const resolveType = (type) => {
+    const key = normalizeContentType(type);
+    if (!key) {
+        throw new ApiError(400, "Invalid content type", Object.keys(CONTENT_TYPES)); // List the types that are accepted
+    }
+    return key;
+};
+
+/**
+ * Helper function to check a content title
+ * @param {String} title
+ * @returns {String} - The trimmed title
+ */
+const validateTitle = (title) => {
+    const trimmed = typeof title === "string" ? title.trim() : "";
+    if (!trimmed) {
+        throw new ApiError(400, "Title is required");
+    }
+    if (trimmed.length > MAX_TITLE_LENGTH) {
+        throw new ApiError(400, `Title can't be longer than ${MAX_TITLE_LENGTH} characters`);
+    }
+    return trimmed;
+};
+
+/**
+ * Helper function to parse tags, given as an array or comma separated
+ * @param {String|String[]} tags
+ * @returns {String[]} - Lowercase tags without duplicates
+ */
+const parseTags = (tags = []) => {
+    const list = (Array.isArray(tags) ? tags : String(tags).split(","))
+        .map((tag) => String(tag).trim().toLowerCase())
+        .filter(Boolean);
+    const unique = [...new Set(list)];
+
+    if (unique.length > MAX_TAGS) {
+        throw new ApiError(400, `Content can have at most ${MAX_TAGS} tags`);
+    }
+    const invalid = unique.filter((tag) => !TAG_PATTERN.test(tag));
+    if (invalid.length) {
+        throw new ApiError(400, "Invalid tags", invalid);
+    }
+    return unique;
+};
+
+// Regular expression special characters are matched literally in searches
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Controller to list the content types with the files and metadata each one accepts
+ */
+const getContentTypes = asyncHandler(async (req, res) => {
+    const types = Object.entries(CONTENT_TYPES).map(([type, definition]) => ({ type, ...definition }));
+
+    res.status(200).json(new ApiResponse(200, types, "Content Types Fetched Successfully")); // Send the response
+});
+
 /**
  * Controller to get all content for a specific project
+ * Can be narrowed down by ?type=, ?tag= and a title search with ?q=
  */
 const getAllContent = asyncHandler(async (req, res) => {
     const { projectId } = req.params; // Get the projectId from the request parameters
-    const userRole = req.user.projectRoles.get(projectId.toString()); // Get the user's role in the project
+    const { type, tag, q } = req.query; // Optional filters
 
-    // Check if the user has the necessary permissions
-    if (!['owner', 'editor', 'member'].includes(userRole)) {
-        throw new ApiError(403, "Permission Denied"); // Throw an error if the user doesn't have permission
+    const filter = { projectId, deletedAt: null };
+    if (type) {
+        filter.type = resolveType(type);
+    }
+    if (tag) {
+        filter.tags = String(tag).trim().toLowerCase();
+    }
+    if (q) {
+        filter.title = { $regex: escapeRegex(String(q)), $options: "i" };
     }
 
-    const content = await Content.find({ projectId }); // Find all content for the given project
+    const content = await Content.find(filter); // Find all live content for the given project
     res.status(200).json(new ApiResponse(200, content, "All Content Fetched Successfully")); // Send the response
 });
 
@@ -24,15 +106,26 @@ const getAllContent = asyncHandler(async (req, res) => {
  */
 const createContent = asyncHandler(async (req, res) => {
     const { projectId } = req.params; // Get the projectId from the request parameters
-    const { type } = req.body; // Get the content type from the request body
-    const userRole = req.user.projectRoles.get(projectId.toString()); // Get the user's role in the project
+    const { description = "", tags } = req.body; // Get the content details from the request body
+    const type = resolveType(req.body.type);
+    const title = validateTitle(req.body.title);
 
-    // Check if the user has the necessary permissions
-    if (userRole !== 'owner' && userRole !== 'editor') {
-        throw new ApiError(403, "Permission Denied"); // Throw an error if the user doesn't have permission
+    const project = await Project.findOne({ _id: projectId, deletedAt: null }); // Content can only be added to live projects
+    if (!project) {
+        throw new ApiError(404, "Project not found"); // Throw an error if the project is not found
     }
 
-    const content = await Content.create({ projectId, type }); // Create new content
+    const content = await Content.create({
+        projectId,
+        type,
+        title,
+        description: String(description),
+        tags: parseTags(tags),
+        branches: [{ name: DEFAULT_BRANCH, createdBy: req.user._id }] // Every content item starts with a default branch
+    }); // Create new content
+
+    await recordActivity(req, { action: "content:create", targetType: "content", targetId: content._id, after: summarize(content, SUMMARY_FIELDS) });
+
     res.status(201).json(new ApiResponse(201, content, "Content Created Successfully")); // Send the response
 });
 
@@ -41,14 +134,8 @@ const createContent = asyncHandler(async (req, res) => {
  */
 const getContentById = asyncHandler(async (req, res) => {
     const { contentId, projectId } = req.params; // Get the contentId and projectId from the request parameters
-    const userRole = req.user.projectRoles.get(projectId.toString()); // Get the user's role in the project
-
-    // Check if the user has the necessary permissions
-    if (!['owner', 'editor', 'member'].includes(userRole)) {
-        throw new ApiError(403, "Permission Denied"); // Throw an error if the user doesn't have permission
-    }
 
-    const content = await Content.findById(contentId); // Find the content by its ID
+    const content = await Content.findOne({ _id: contentId, projectId, deletedAt: null }); // Find the content by its ID
     if (!content) {
         throw new ApiError(404, "Content not found"); // Throw an error if the content is not found
     }
@@ -58,54 +145,156 @@ const getContentById = asyncHandler(async (req, res) => {
 
 /**
  * Controller to update specific content by its ID for a specific project
+ * The type can only change while the content has no versions, or to fix a type from before the registry
  */
 const updateContent = asyncHandler(async (req, res) => {
     const { contentId, projectId } = req.params; // Get the contentId and projectId from the request parameters
-    const { type } = req.body; // Get the new content type from the request body
-    const userRole = req.user.projectRoles.get(projectId.toString()); // Get the user's role in the project
-
-    // Check if the user has the necessary permissions
-    if (userRole !== 'owner') {
-        throw new ApiError(403, "Permission Denied"); // Throw an error if the user doesn't have permission
-    }
+    const { type, title, description, tags } = req.body; // Get the new details from the request body
 
-    const content = await Content.findByIdAndUpdate(contentId, { type }, { new: true }); // Update the content
+    const content = await Content.findOne({ _id: contentId, projectId, deletedAt: null }); // Find the content by its ID
     if (!content) {
         throw new ApiError(404, "Content not found"); // Throw an error if the content is not found
     }
 
+    const before = summarize(content, SUMMARY_FIELDS);
+    if (type !== undefined) {
+        const key = resolveType(type);
+        if (key !== content.type && CONTENT_TYPES[content.type] && await Version.exists({ contentId: content._id })) {
+            throw new ApiError(409, "The type can't change once versions were uploaded"); // Existing files were checked against the old type
+        }
+        content.type = key;
+    }
+    if (title !== undefined) {
+        content.title = validateTitle(title);
+    }
+    if (description !== undefined) {
+        content.description = String(description);
+    }
+    if (tags !== undefined) {
+        content.tags = parseTags(tags);
+    }
+    await content.save(); // Update the content
+
+    await recordActivity(req, { action: "content:update", targetType: "content", targetId: content._id, before, after: summarize(content, SUMMARY_FIELDS) });
+
     res.status(200).json(new ApiResponse(200, content, "Content Updated Successfully")); // Send the response
 });
 
 /**
  * Controller to delete specific content by its ID for a specific project
+ * The content and its versions are moved to the project's trash and can be restored until they are purged
  */
 const deleteContent = asyncHandler(async (req, res) => {
     const { contentId, projectId } = req.params; // Get the contentId and projectId from the request parameters
-    const userRole = req.user.projectRoles.get(projectId.toString()); // Get the user's role in the project
 
-    // Check if the user has the necessary permissions
-    if (userRole !== 'owner') {
-        throw new ApiError(403, "Permission Denied"); // Throw an error if the user doesn't have permission
+    const content = await Content.findOne({ _id: contentId, projectId, deletedAt: null }); // Find the content by its ID
+    if (!content) {
+        throw new ApiError(404, "Content not found"); // Throw an error if the content is not found
+    }
+
+    await trashContent(content, req.user._id); // Move the content and its versions to the trash
+
+    await recordActivity(req, { action: "content:delete", targetType: "content", targetId: content._id, before: summarize(content, SUMMARY_FIELDS) });
+
+    res.status(200).json(new ApiResponse(200, {}, "Content Moved To Trash Successfully")); // Send the response
+});
+
+const BRANCH_NAME_PATTERN = /^[a-z0-9][a-z0-9._-]{0,63}$/i; // e.g. "director-cut", "social-cut"
+
+/**
+ * Controller to list the branches of a specific content item
+ */
+const getBranches = asyncHandler(async (req, res) => {
+    const { contentId, projectId } = req.params; // Get the contentId and projectId from the request parameters
+
+    const content = await Content.findOne({ _id: contentId, projectId, deletedAt: null }); // Find the content within the project
+    if (!content) {
+        throw new ApiError(404, "Content not found"); // Throw an error if the content is not found
     }
 
-    const content = await Content.findByIdAndRemove(contentId); // Remove the content
+    await content.resolveBranch(DEFAULT_BRANCH); // Make sure content created before branches lists its default branch
+
+    res.status(200).json(new ApiResponse(200, content.branches, "Branches Fetched Successfully")); // Send the response
+});
+
+/**
+ * Controller to create a named branch of a content item starting at an existing version
+ */
+const createBranch = asyncHandler(async (req, res) => {
+    const { contentId, projectId } = req.params; // Get the contentId and projectId from the request parameters
+    const { name, fromVersionId } = req.body; // Get the branch name and starting version from the request body
+
+    if (!name || !BRANCH_NAME_PATTERN.test(name)) {
+        throw new ApiError(400, "Invalid branch name"); // Throw an error if the name is missing or malformed
+    }
+
+    const content = await Content.findOne({ _id: contentId, projectId, deletedAt: null }); // Find the content within the project
     if (!content) {
         throw new ApiError(404, "Content not found"); // Throw an error if the content is not found
     }
 
-    res.status(200).json(new ApiResponse(200, {}, "Content Removed Successfully")); // Send the response
+    if (await content.resolveBranch(name)) {
+        throw new ApiError(409, "Branch already exists"); // Throw an error if the name is taken
+    }
+
+    let head = (await content.resolveBranch(DEFAULT_BRANCH))?.head; // Branch off the default branch unless told otherwise
+    if (fromVersionId) {
+        const fromVersion = await Version.findOne({ _id: fromVersionId, contentId, deletedAt: null }); // The version must belong to this content
+        if (!fromVersion) {
+            throw new ApiError(404, "Version not found"); // Throw an error if the version is not found
+        }
+        head = fromVersion._id;
+    }
+
+    content.branches.push({ name, head, createdBy: req.user._id }); // Add the branch
+    await content.save(); // Save the content
+
+    await recordActivity(req, { action: "branch:create", targetType: "content", targetId: content._id, after: { branch: name, head } });
+
+    res.status(201).json(new ApiResponse(201, content.branches[content.branches.length - 1], "Branch Created Successfully")); // Send the response
+});
+
+/**
+ * Controller to delete a branch of a content item, its versions stay in the history
+ */
+const deleteBranch = asyncHandler(async (req, res) => {
+    const { contentId, projectId, branchName } = req.params; // Get the IDs and branch name from the request parameters
+
+    if (branchName === DEFAULT_BRANCH) {
+        throw new ApiError(400, "The default branch cannot be deleted"); // Throw an error for the default branch
+    }
+
+    const content = await Content.findOne({ _id: contentId, projectId, deletedAt: null }); // Find the content within the project
+    if (!content) {
+        throw new ApiError(404, "Content not found"); // Throw an error if the content is not found
+    }
+
+    const branch = await content.resolveBranch(branchName); // Find the branch by name
+    if (!branch) {
+        throw new ApiError(404, "Branch not found"); // Throw an error if the branch is not found
+    }
+
+    content.branches.pull(branch._id); // Remove the branch, versions keep their branch label
+    await content.save(); // Save the content
+
+    await recordActivity(req, { action: "branch:delete", targetType: "content", targetId: content._id, before: { branch: branch.name, head: branch.head } });
+
+    res.status(200).json(new ApiResponse(200, {}, "Branch Removed Successfully")); // Send the response
 });
 
-export default { getAllContent, createContent, getContentById, updateContent, deleteContent }; // Export the controllers
+export default { getContentTypes, getAllContent, createContent, getContentById, updateContent, deleteContent, getBranches, createBranch, deleteBranch }; // Export the controllers
 
 /*
 asyncHandler: A utility function to handle asynchronous operations and catch errors. This helps avoid repetitive try-catch blocks in async functions.
 req.params: Contains route parameters, used to extract the projectId and contentId from the URL.
-req.body: Contains data sent by the client in the request body, such as type in createContent and updateContent.
+req.body: Contains data sent by the client in the request body, such as the type, title, description and tags in createContent and updateContent.
+CONTENT_TYPES: The registry of content types; each type lists the files its versions may be and the metadata that describes them.
 req.user: Contains the authenticated user's information, including projectRoles which stores the user's roles for different projects.
-userRole: Extracts the user's role for the specific project from req.user.projectRoles.
-Content.find, Content.create, Content.findById, Content.findByIdAndUpdate, Content.findByIdAndRemove: Mongoose methods to interact with the Content model for fetching, creating, updating, and deleting documents.
+authorize: Route middleware that checks the user's role for the specific project against the permission policy before these controllers run.
+Content.find, Content.create, Content.findOne: Mongoose methods to interact with the Content model for fetching and creating documents.
+recordActivity: Appends who changed what to the project's audit log, with a short before/after summary.
+trashContent: Soft deletes content together with its versions; deletedAt: null filters trashed documents out of every query.
 ApiError: Custom error class used to throw API-specific errors with appropriate status codes.
 ApiResponse: Custom response class used to standardize API responses with a consistent structure.
+content.resolveBranch: Finds a branch by name; content created before branches existed gets a default branch pointing at its latest version.
 */
\ No newline at end of file
@@ -0,0 +1,137 @@
+import { AuditLog } from "../models/auditLog.model.js"; // Import the AuditLog model
+import { Project } from "../models/project.model.js"; // Import the Project model
+import { subscribe } from "../events/index.js"; // In-process event bus
+import { can, readActionFor } from "../policies/permissions.js"; // Role/permission policy table
+
+const HEARTBEAT_INTERVAL = 25 * 1000; // Keeps proxies from closing idle connections
+const MAX_REPLAY = 100; // Missed events sent after a reconnect
+
+// Actions that change what the subscriber may see, their role and the project's roles are reloaded after them
+const ACCESS_ACTIONS = /^(member|role|project):/;
+
+/**
+ * Helper function to turn an audit entry into the payload of an event
+ * @param {Object} entry - The audit entry
+ * @returns {Object}
+ */
+const toEvent = (entry) => ({
+    id: entry._id,
+    action: entry.action,
+    actorId: entry.actorId,
+    targetType: entry.targetType,
+    targetId: entry.targetId,
+    after: entry.after,
+    createdAt: entry.createdAt
+});
+
+/**
+ * Helper function to decide whether a role may see an event
+ * Events follow the read permission of their target, e.g. comment:create needs comment:read and webhook:create webhook:manage
+ * @param {String} role - The subscriber's role
+ * @param {Object[]} customRoles - The project's custom roles
+ * @param {String} action - The action of the event
+ * @returns {Boolean}
+ */
+const canSee = (role, customRoles, action) => can(role, readActionFor(action.split(":")[0]), customRoles);
+
+/**
+ * Controller to stream a project's activity as Server-Sent Events
+ * Each event is named after its action ("version:create", "comment:create", "member:add", ...) and carries the audit entry ID,
+ * so a client reconnecting with Last-Event-ID first receives what it missed
+ * Live events are subscribed to before the replay and held back until it is sent, so none are lost in between
+ * The stream ends when the subscriber loses access to the project or the project is deleted
+ */
+const streamProjectEvents = async (req, res) => {
+    const { projectId } = req.params; // Get the projectId from the request parameters
+    const userId = req.user._id.toString();
+
+    let role = req.projectRole; // Checked by the authorize middleware on subscribe
+    let customRoles = (await Project.findById(projectId).select("roles"))?.roles || [];
+
+    res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        "Connection": "keep-alive",
+        "X-Accel-Buffering": "no" // Don't let nginx buffer the stream
+    });
+
+    const send = (event, data, id) => {
+        if (id) {
+            res.write(`id: ${id}\n`);
+        }
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    let closed = false;
+    let unsubscribe = () => {};
+    const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), HEARTBEAT_INTERVAL);
+    const close = () => {
+        if (!closed) {
+            closed = true;
+            clearInterval(heartbeat);
+            unsubscribe();
+            res.end();
+        }
+    };
+    req.on("close", close);
+
+    const forward = async (entry) => {
+        if (closed || entry.projectId?.toString() !== projectId) {
+            return;
+        }
+
+        if (ACCESS_ACTIONS.test(entry.action)) {
+            const project = await Project.findById(projectId).select("members roles deletedAt");
+            const member = project?.members.find((m) => m.userId?.toString() === userId);
+            if (!project || project.deletedAt || !member) {
+                send(entry.action, toEvent(entry), entry._id);
+                send("end", { reason: project?.deletedAt ? "Project deleted" : "Access removed" });
+                return close();
+            }
+            role = member.role;
+            customRoles = project.roles;
+        }
+
+        if (!closed && canSee(role, customRoles, entry.action)) {
+            send(entry.action, toEvent(entry), entry._id);
+        }
+    };
+
+    let pending = []; // Live events recorded while the replay runs
+    unsubscribe = subscribe("activity", (entry) => (pending ? pending.push(entry) : forward(entry)));
+    if (closed) {
+        return unsubscribe(); // The client left before the subscription was made
+    }
+
+    // Replay what the client missed since the last event it received
+    const replayed = new Set();
+    const lastEventId = req.headers["last-event-id"] || req.query.lastEventId;
+    if (lastEventId && /^[a-f0-9]{24}$/i.test(lastEventId)) {
+        const missed = await AuditLog.find({ projectId, _id: { $gt: lastEventId } }).sort({ _id: 1 }).limit(MAX_REPLAY);
+        missed.forEach((entry) => replayed.add(entry._id.toString()));
+        missed.filter((entry) => !closed && canSee(role, customRoles, entry.action)).forEach((entry) => send(entry.action, toEvent(entry), entry._id));
+    }
+
+    if (closed) {
+        return;
+    }
+    send("ready", { projectId, role });
+
+    // Send the events held back during the replay, without the ones the replay already included
+    // Events recorded meanwhile join the queue, so they still arrive in order
+    while (pending.length) {
+        const entry = pending.shift();
+        if (!replayed.has(entry._id.toString())) {
+            await forward(entry);
+        }
+    }
+    pending = null;
+};
+
+export default { streamProjectEvents }; // Export the controllers
+
+/*
+Server-Sent Events: A long-lived HTTP response the server writes "event:" / "data:" blocks to; browsers read it with EventSource and reconnect on their own.
+Last-Event-ID: Sent by EventSource when it reconnects; events are audit log entries, so the ones missed in between are replayed from the log.
+subscribe("activity"): Every change recorded with recordActivity is published on the in-process event bus and forwarded to the project's subscribers.
+*/
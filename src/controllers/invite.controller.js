@@ -0,0 +1,192 @@
+import crypto from "crypto"; // Used to generate and hash invite tokens
+import { asyncHandler } from "../utils/asynchandler.js"; // Utility function to handle async errors
+import { Invite } from "../models/invite.model.js"; // Import the Invite model
+import { Project } from "../models/project.model.js"; // Import the Project model
+import { ApiError } from "../utils/ApiError.js"; // Custom error class for API errors
+import { ApiResponse } from "../utils/ApiResponse.js"; // Custom response class for API responses
+import { addMember } from "../utils/membership.js"; // Keeps Project.members and User.projectRoles in sync
+import { mailer } from "../mail/index.js"; // Configured mail transport
+import { isValidRole } from "../policies/permissions.js"; // Built-in and custom project roles
+import { recordActivity } from "../utils/activity.js"; // Audit log
+
+const DEFAULT_EXPIRY_HOURS = 72;
+const MAX_EXPIRY_HOURS = 24 * 30;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Link the invitee opens: the frontend's invite page when FRONTEND_URL is set, it shows the invite and accepts it once they are logged in
+// Without a frontend the link shows the invite from the API, which is then accepted with POST /invites/:token/accept
+const inviteLink = (token) => (process.env.FRONTEND_URL
+    ? `${process.env.FRONTEND_URL}/invite/${token}`
+    : `${process.env.APP_URL || "http://localhost:8000"}/api/v1/project/invites/${token}`);
+
+/**
+ * Controller for an owner to create an invite link for a project
+ * The token is only returned here, the database keeps its hash
+ */
+const createInvite = asyncHandler(async (req, res) => {
+    const { projectId } = req.params; // Get the projectId from the request parameters
+    const { email, role = 'member', expiresInHours = DEFAULT_EXPIRY_HOURS, maxUses = 1 } = req.body; // Get the invite options from the request body
+
+    const hours = Number(expiresInHours);
+    const uses = Number(maxUses);
+    if (!(hours > 0 && hours <= MAX_EXPIRY_HOURS) || !(Number.isInteger(uses) && uses > 0)) {
+        throw new ApiError(400, "Invalid expiry or usage limit"); // Throw an error for out of range options
+    }
+
+    const project = await Project.findOne({ _id: projectId, deletedAt: null }); // Find the live project by ID
+    if (!project) {
+        throw new ApiError(404, "Project not found");
+    }
+
+    // Any built-in or custom role except owner, ownership is never handed out through an invite
+    if (role === 'owner' || !isValidRole(role, project.roles)) {
+        throw new ApiError(400, "Invalid role");
+    }
+
+    const token = crypto.randomBytes(32).toString("base64url"); // The secret part of the link
+    const invite = await Invite.create({
+        projectId,
+        role,
+        email,
+        tokenHash: hashToken(token),
+        createdBy: req.user._id,
+        expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000),
+        maxUses: uses
+    });
+
+    await recordActivity(req, { action: "invite:create", targetType: "invite", targetId: invite._id, after: { role, email, maxUses: uses, expiresAt: invite.expiresAt } });
+
+    const link = inviteLink(token);
+    if (email) {
+        await mailer.send({
+            to: email,
+            subject: `You're invited to join ${project.name}`,
+            text: `${req.user.username} invited you to join "${project.name}" as ${role}.\n\nOpen this link to accept (log in or register first):\n${link}\n\nThe invite expires on ${invite.expiresAt.toUTCString()}.`
+        });
+    }
+
+    res.status(201).json(new ApiResponse(201, { invite, token, link }, "Invite created successfully")); // Send the response
+});
+
+/**
+ * Controller for an owner to list the invites of a project, active ones by default
+ */
+const getInvites = asyncHandler(async (req, res) => {
+    const { projectId } = req.params; // Get the projectId from the request parameters
+    const { status = 'active' } = req.query; // "all" lists expired, used up and revoked invites as well
+
+    const filter = { projectId };
+    if (status !== 'all') {
+        filter.revokedAt = null;
+        filter.expiresAt = { $gt: new Date() };
+        filter.$expr = { $lt: ["$uses", "$maxUses"] };
+    }
+
+    const invites = await Invite.find(filter).sort({ createdAt: -1 });
+
+    res.status(200).json(new ApiResponse(200, invites, "Invites fetched successfully")); // Send the response
+});
+
+/**
+ * Controller for an owner to revoke an invite
+ */
+const revokeInvite = asyncHandler(async (req, res) => {
+    const { projectId, inviteId } = req.params; // Get the projectId and inviteId from the request parameters
+
+    const invite = await Invite.findOne({ _id: inviteId, projectId }); // Find the invite within the project
+    if (!invite) {
+        throw new ApiError(404, "Invite not found");
+    }
+
+    if (!invite.revokedAt) {
+        invite.set({ revokedAt: new Date(), revokedBy: req.user._id });
+        await invite.save(); // Save the invite
+
+        await recordActivity(req, { action: "invite:revoke", targetType: "invite", targetId: invite._id });
+    }
+
+    res.status(200).json(new ApiResponse(200, invite, "Invite revoked successfully")); // Send the response
+});
+
+/**
+ * Controller to look up an invite by its token before accepting it
+ * Does not require a login so the invitee can see what they are joining before registering
+ */
+const getInviteByToken = asyncHandler(async (req, res) => {
+    const { token } = req.params; // Get the token from the request parameters
+
+    const invite = await Invite.findOne({ tokenHash: hashToken(token) }).populate('projectId', 'name description deletedAt');
+    if (!invite || !invite.projectId || invite.projectId.deletedAt) {
+        throw new ApiError(404, "Invite not found");
+    }
+
+    res.status(200).json(new ApiResponse(200, {
+        project: { _id: invite.projectId._id, name: invite.projectId.name, description: invite.projectId.description },
+        role: invite.role,
+        email: invite.email,
+        expiresAt: invite.expiresAt,
+        isActive: invite.isActive
+    }, "Invite fetched successfully")); // Send the response
+});
+
+/**
+ * Controller for a logged in (or freshly registered) user to accept an invite
+ */
+const acceptInvite = asyncHandler(async (req, res) => {
+    const { token } = req.params; // Get the token from the request parameters
+    const user = req.user; // The authenticated user
+
+    const invite = await Invite.findOne({ tokenHash: hashToken(token) }); // Find the invite by its token
+    if (!invite) {
+        throw new ApiError(404, "Invite not found");
+    }
+    if (!invite.isActive) {
+        throw new ApiError(410, "Invite has expired, been used up or been revoked");
+    }
+    if (invite.email && invite.email !== user.email.toLowerCase()) {
+        throw new ApiError(403, "This invite was sent to a different email address"); // Email-bound invites are personal
+    }
+
+    const project = await Project.findOne({ _id: invite.projectId, deletedAt: null }); // Find the live project by ID
+    if (!project) {
+        throw new ApiError(404, "Project not found");
+    }
+
+    if (user.projectRoles.get(project._id.toString())) {
+        throw new ApiError(409, "You are already a member of this project"); // Don't use up the invite
+    }
+
+    // Claim a use atomically so a single-use invite can't be accepted twice at the same time
+    const claimed = await Invite.findOneAndUpdate(
+        {
+            _id: invite._id,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() },
+            $expr: { $lt: ["$uses", "$maxUses"] }
+        },
+        {
+            $inc: { uses: 1 },
+            $push: { acceptedBy: { userId: user._id } }
+        },
+        { new: true }
+    );
+    if (!claimed) {
+        throw new ApiError(410, "Invite has expired, been used up or been revoked");
+    }
+
+    await addMember(project, user, invite.role); // Add the user to both the project and the user
+
+    await recordActivity(req, { projectId: project._id, action: "invite:accept", targetType: "invite", targetId: invite._id, after: { role: invite.role } });
+
+    res.status(200).json(new ApiResponse(200, { project, role: invite.role }, "Invite accepted successfully")); // Send the response
+});
+
+export default { createInvite, getInvites, revokeInvite, getInviteByToken, acceptInvite }; // Export the controllers
+
+/*
+Invite: An expiring, single- or multi-use link bound to a project and role. Only the SHA-256 of its token is stored.
+mailer: Sends invite emails through the transport picked by MAIL_TRANSPORT (console or file for local use).
+findOneAndUpdate with $expr: Claims one use of an invite atomically, so the usage limit holds under concurrent accepts.
+addMember: Adds the invitee to Project.members and User.projectRoles together so the two stay in sync.
+*/
@@ -0,0 +1,66 @@
+import { asyncHandler } from "../utils/asynchandler.js"; // Utility function to handle async errors
+import { Job } from "../models/job.model.js"; // Import the Job model
+import { ApiError } from "../utils/ApiError.js"; // Custom error class for API errors
+import { ApiResponse } from "../utils/ApiResponse.js"; // Custom response class for API responses
+import { getPagination } from "../utils/pagination.js"; // Page and limit from the query string
+
+// Job fields shown to clients, the payload holds server paths and stays internal
+const JOB_FIELDS = "type status attempts maxAttempts runAt lastError result startedAt finishedAt createdBy createdAt updatedAt";
+
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed'];
+
+/**
+ * Controller to list the background jobs of a project, newest first
+ * Can be narrowed down by ?status= and ?type=
+ */
+const getJobs = asyncHandler(async (req, res) => {
+    const { projectId } = req.params; // Get the projectId from the request parameters
+    const { status, type } = req.query; // Optional filters
+    const { page, limit, skip } = getPagination(req.query);
+
+    const filter = { projectId };
+    if (status) {
+        if (!JOB_STATUSES.includes(status)) {
+            throw new ApiError(400, "Invalid job status");
+        }
+        filter.status = status;
+    }
+    if (type) {
+        filter.type = String(type);
+    }
+
+    const [jobs, totalJobs] = await Promise.all([
+        Job.find(filter)
+            .select(JOB_FIELDS)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit),
+        Job.countDocuments(filter)
+    ]);
+    const totalPages = Math.ceil(totalJobs / limit);
+
+    res.status(200).json(new ApiResponse(200, { jobs, page, totalPages, totalJobs }, "Jobs fetched successfully")); // Send the response
+});
+
+/**
+ * Controller to get the status of a background job, what clients poll after an upload
+ */
+const getJobById = asyncHandler(async (req, res) => {
+    const { projectId, jobId } = req.params; // Get the projectId and jobId from the request parameters
+
+    const job = await Job.findOne({ _id: jobId, projectId }).select(JOB_FIELDS);
+    if (!job) {
+        throw new ApiError(404, "Job not found");
+    }
+
+    res.status(200).json(new ApiResponse(200, job, "Job fetched successfully")); // Send the response
+});
+
+export default { getJobs, getJobById }; // Export the controllers
+
+/*
+Job: A unit of background work stored in MongoDB, e.g. "version:process" for an upload or "version:previews" for its thumbnails.
+status: queued until a worker claims it, running while it works, then succeeded or failed once its attempts ran out.
+attempts, lastError: How often the job ran and why the last attempt failed; failed attempts are retried after a delay.
+result: What the job produced, e.g. { versionId }, or { versionId, duplicateOf } when the upload matched an existing version and shares its file.
+*/
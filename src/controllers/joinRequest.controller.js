@@ -0,0 +1,191 @@
+import { asyncHandler } from "../utils/asynchandler.js"; // Utility function to handle async errors
+import { JoinRequest } from "../models/joinRequest.model.js"; // Import the JoinRequest model
+import { Project } from "../models/project.model.js"; // Import the Project model
+import { User } from "../models/user.model.js"; // Import the User model
+import { ApiError } from "../utils/ApiError.js"; // Custom error class for API errors
+import { ApiResponse } from "../utils/ApiResponse.js"; // Custom response class for API responses
+import { addMember, findMember } from "../utils/membership.js"; // Keeps Project.members and User.projectRoles in sync
+import { isValidRole } from "../policies/permissions.js"; // Built-in and custom project roles
+import { recordActivity } from "../utils/activity.js"; // Audit log
+
+// Any built-in or custom role except owner, ownership is never requested, it is transferred
+const isRequestableRole = (role, project) => role !== 'owner' && isValidRole(role, project.roles);
+
+/**
+ * Helper function to find a pending join request of a project
+ * @param {Object} req - The request, with projectId and requestId parameters
+ * @returns {Object} - The join request document
+ */
+const findPendingRequest = async (req) => {
+    const { projectId, requestId } = req.params; // Get the projectId and requestId from the request parameters
+
+    const joinRequest = await JoinRequest.findOne({ _id: requestId, projectId }); // Find the request within the project
+    if (!joinRequest) {
+        throw new ApiError(404, "Join request not found");
+    }
+    if (joinRequest.status !== 'pending') {
+        throw new ApiError(409, `Join request is already ${joinRequest.status}`); // Decided requests can't be decided again
+    }
+
+    return joinRequest;
+};
+
+/**
+ * Controller for a user to ask to join a project with a role and a message
+ */
+const createJoinRequest = asyncHandler(async (req, res) => {
+    const { projectId, role = 'member', message = "" } = req.body; // Get the project, desired role and message from the request body
+    const userId = req.user._id; // Get the user ID from the authenticated user
+
+    if (!projectId) {
+        throw new ApiError(400, "Project ID is required");
+    }
+
+    const project = await Project.findOne({ _id: projectId, deletedAt: null }); // Find the live project by ID
+    if (!project) {
+        throw new ApiError(404, "Project not found");
+    }
+
+    if (!isRequestableRole(role, project)) {
+        throw new ApiError(400, "Invalid role"); // Throw an error if the role can't be requested
+    }
+
+    if (req.user.projectRoles.get(projectId.toString())) {
+        throw new ApiError(409, "You are already a member of this project"); // Members change roles through the owner
+    }
+
+    const pending = await JoinRequest.exists({ projectId, requesterId: userId, status: 'pending' });
+    if (pending) {
+        throw new ApiError(409, "You already have a pending request for this project"); // One pending request per project
+    }
+
+    const joinRequest = await JoinRequest.create({ projectId, requesterId: userId, role, message }); // Create the request
+
+    await recordActivity(req, { projectId, action: "join_request:create", targetType: "join_request", targetId: joinRequest._id, after: { role } });
+
+    res.status(201).json(new ApiResponse(201, joinRequest, "Join request sent successfully")); // Send the response
+});
+
+/**
+ * Controller for a user to list their own join requests
+ */
+const getMyJoinRequests = asyncHandler(async (req, res) => {
+    const { status } = req.query; // Optional status filter
+
+    const filter = { requesterId: req.user._id };
+    if (status) {
+        filter.status = status;
+    }
+
+    const joinRequests = await JoinRequest.find(filter)
+        .populate('projectId', 'name description') // Show which project each request is for
+        .sort({ createdAt: -1 });
+
+    res.status(200).json(new ApiResponse(200, joinRequests, "Join requests fetched successfully")); // Send the response
+});
+
+/**
+ * Controller for a user to cancel one of their pending join requests
+ */
+const cancelJoinRequest = asyncHandler(async (req, res) => {
+    const { requestId } = req.params; // Get the requestId from the request parameters
+
+    const joinRequest = await JoinRequest.findOne({ _id: requestId, requesterId: req.user._id }); // Users can only cancel their own requests
+    if (!joinRequest) {
+        throw new ApiError(404, "Join request not found");
+    }
+    if (joinRequest.status !== 'pending') {
+        throw new ApiError(409, `Join request is already ${joinRequest.status}`); // Decided requests can't be cancelled
+    }
+
+    joinRequest.status = 'cancelled';
+    await joinRequest.save(); // Save the request
+
+    await recordActivity(req, { projectId: joinRequest.projectId, action: "join_request:cancel", targetType: "join_request", targetId: joinRequest._id });
+
+    res.status(200).json(new ApiResponse(200, joinRequest, "Join request cancelled successfully")); // Send the response
+});
+
+/**
+ * Controller for an owner to list the join requests of a project, pending ones by default
+ */
+const getProjectJoinRequests = asyncHandler(async (req, res) => {
+    const { projectId } = req.params; // Get the projectId from the request parameters
+    const { status = 'pending' } = req.query; // Status filter, "all" lists every request
+
+    const filter = { projectId };
+    if (status !== 'all') {
+        filter.status = status;
+    }
+
+    const joinRequests = await JoinRequest.find(filter)
+        .populate('requesterId', 'username email') // Show who is asking
+        .sort({ createdAt: 1 }); // Oldest first
+
+    res.status(200).json(new ApiResponse(200, joinRequests, "Join requests fetched successfully")); // Send the response
+});
+
+/**
+ * Controller for an owner to approve a join request, optionally with a different role than requested
+ */
+const approveJoinRequest = asyncHandler(async (req, res) => {
+    const joinRequest = await findPendingRequest(req); // Find the pending request
+    const role = req.body.role || joinRequest.role; // The owner may grant a different role
+
+    const project = await Project.findOne({ _id: joinRequest.projectId, deletedAt: null }); // Find the live project by ID
+    if (!project) {
+        throw new ApiError(404, "Project not found");
+    }
+
+    if (!isRequestableRole(role, project)) {
+        throw new ApiError(400, "Invalid role");
+    }
+
+    const requester = await User.findById(joinRequest.requesterId); // Find the requester user by ID
+    if (!requester) {
+        throw new ApiError(404, "User not found");
+    }
+
+    if (findMember(project, requester._id)) {
+        throw new ApiError(409, "The requester is already a member of this project"); // Roles of members are changed through the members routes
+    }
+
+    await addMember(project, requester, role); // Add the requester to both the project and the user
+
+    joinRequest.set({ status: 'approved', role, decidedBy: req.user._id, decidedAt: new Date() });
+    await joinRequest.save(); // Save the request
+
+    await recordActivity(req, { action: "join_request:approve", targetType: "join_request", targetId: joinRequest._id, after: { requesterId: requester._id, role } });
+
+    res.status(200).json(new ApiResponse(200, joinRequest, "Join request approved successfully")); // Send the response
+});
+
+/**
+ * Controller for an owner to reject a join request with an optional reason
+ */
+const rejectJoinRequest = asyncHandler(async (req, res) => {
+    const joinRequest = await findPendingRequest(req); // Find the pending request
+
+    joinRequest.set({ status: 'rejected', reason: req.body.reason, decidedBy: req.user._id, decidedAt: new Date() });
+    await joinRequest.save(); // Save the request
+
+    await recordActivity(req, { action: "join_request:reject", targetType: "join_request", targetId: joinRequest._id, after: { reason: req.body.reason } });
+
+    res.status(200).json(new ApiResponse(200, joinRequest, "Join request rejected successfully")); // Send the response
+});
+
+export default {
+    createJoinRequest,
+    getMyJoinRequests,
+    cancelJoinRequest,
+    getProjectJoinRequests,
+    approveJoinRequest,
+    rejectJoinRequest
+}; // Export the controllers
+
+/*
+JoinRequest: A request from a user to join a project; it moves from pending to approved, rejected or cancelled exactly once.
+findPendingRequest: A helper that finds a join request of the project and checks it is still pending; owners are checked by the authorize middleware.
+addMember: Adds the requester to Project.members and User.projectRoles together so the two stay in sync.
+populate: A Mongoose method that replaces referenced IDs with the referenced documents.
+*/
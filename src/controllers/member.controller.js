@@ -0,0 +1,174 @@
+import { asyncHandler } from "../utils/asynchandler.js"; // Utility function to handle async errors
+import { Project } from "../models/project.model.js"; // Import the Project model
+import { ApiError } from "../utils/ApiError.js"; // Custom error class for API errors
+import { ApiResponse } from "../utils/ApiResponse.js"; // Custom response class for API responses
+import { isValidRole, canChangeMember } from "../policies/permissions.js"; // Built-in and custom project roles
+import {
+    findMember,
+    changeMemberRole,
+    removeMember,
+    transferOwnership,
+    checkMembership,
+    repairMembership
+} from "../utils/membership.js"; // Keeps Project.members and User.projectRoles in sync
+import { recordActivity } from "../utils/activity.js"; // Audit log
+
+/**
+ * Helper function to load the live project of the request
+ * @param {Object} req - The request, with a projectId parameter
+ * @returns {Object} - The project document
+ */
+const findLiveProject = async (req) => {
+    const { projectId } = req.params; // Get the projectId from the request parameters
+
+    const project = await Project.findOne({ _id: projectId, deletedAt: null }); // Find the live project by ID
+    if (!project) {
+        throw new ApiError(404, "Project not found");
+    }
+    return project;
+};
+
+/**
+ * Helper function to refuse member changes the caller's role doesn't allow
+ * member:manage can be given to a custom role, which must not be able to create, demote or remove owners
+ * @param {Object} req - The request, after the authorize middleware set req.projectRole
+ * @param {String} memberRole - The member's current role
+ * @param {String} newRole - The role to give, undefined when the member is removed
+ */
+const assertCanChangeMember = (req, memberRole, newRole) => {
+    if (newRole === 'owner') {
+        throw new ApiError(400, "Invalid role", [{ role: newRole, reason: "Ownership is transferred, not assigned" }]);
+    }
+    if (!canChangeMember(req.projectRole, memberRole, newRole)) {
+        throw new ApiError(403, "Only an owner can change or remove another owner");
+    }
+};
+
+/**
+ * Controller to list the members of a project
+ */
+const getMembers = asyncHandler(async (req, res) => {
+    const project = await findLiveProject(req); // Find the live project
+    await project.populate('members.userId', 'username email'); // Show who each member is
+
+    res.status(200).json(new ApiResponse(200, project.members, "Members fetched successfully")); // Send the response
+});
+
+/**
+ * Controller for an owner to change a member's role
+ */
+const updateMemberRole = asyncHandler(async (req, res) => {
+    const { userId } = req.params; // Get the member's user ID from the request parameters
+    const { role } = req.body; // Get the new role from the request body
+
+    const project = await findLiveProject(req); // Find the live project
+    if (!isValidRole(role, project.roles)) {
+        throw new ApiError(400, "Invalid role");
+    }
+
+    const previousRole = findMember(project, userId)?.role;
+    assertCanChangeMember(req, previousRole, role); // Owners are only changed by owners, and never created here
+    await changeMemberRole(project, userId, role); // Update both the project and the user
+
+    await recordActivity(req, { action: "member:update", targetType: "user", targetId: userId, before: { role: previousRole }, after: { role } });
+
+    res.status(200).json(new ApiResponse(200, findMember(project, userId), "Member role updated successfully")); // Send the response
+});
+
+/**
+ * Controller for an owner to remove a member from a project
+ */
+const deleteMember = asyncHandler(async (req, res) => {
+    const { userId } = req.params; // Get the member's user ID from the request parameters
+
+    const project = await findLiveProject(req); // Find the live project
+    const previousRole = findMember(project, userId)?.role;
+    assertCanChangeMember(req, previousRole); // Only owners remove owners
+    await removeMember(project, userId); // Update both the project and the user
+
+    await recordActivity(req, { action: "member:remove", targetType: "user", targetId: userId, before: { role: previousRole } });
+
+    res.status(200).json(new ApiResponse(200, {}, "Member removed successfully")); // Send the response
+});
+
+/**
+ * Controller for an owner to hand ownership to another member
+ * The previous owner becomes an editor unless another role is given
+ */
+const transferProjectOwnership = asyncHandler(async (req, res) => {
+    const { userId, previousOwnerRole = 'editor' } = req.body; // Get the new owner and the role left to the current owner
+
+    if (!userId) {
+        throw new ApiError(400, "User ID is required");
+    }
+    if (userId.toString() === req.user._id.toString()) {
+        throw new ApiError(400, "You already own this project");
+    }
+
+    const project = await findLiveProject(req); // Find the live project
+    if (!isValidRole(previousOwnerRole, project.roles)) {
+        throw new ApiError(400, "Invalid role");
+    }
+
+    await transferOwnership(project, req.user._id, userId, previousOwnerRole); // Update the project and both users
+
+    await recordActivity(req, { action: "project:transfer", targetType: "user", targetId: userId, before: { owner: req.user._id }, after: { owner: userId, previousOwnerRole } });
+
+    res.status(200).json(new ApiResponse(200, { project }, "Ownership transferred successfully")); // Send the response
+});
+
+/**
+ * Controller for the current user to leave a project
+ * The last owner has to transfer ownership first
+ */
+const leaveProject = asyncHandler(async (req, res) => {
+    const project = await findLiveProject(req); // Find the live project
+    const previousRole = findMember(project, req.user._id)?.role;
+    await removeMember(project, req.user._id); // Update both the project and the user
+
+    await recordActivity(req, { action: "member:leave", targetType: "user", targetId: req.user._id, before: { role: previousRole } });
+
+    res.status(200).json(new ApiResponse(200, {}, "Left project successfully")); // Send the response
+});
+
+/**
+ * Controller for an owner to compare Project.members with the members' User.projectRoles
+ */
+const getMembershipConsistency = asyncHandler(async (req, res) => {
+    const project = await findLiveProject(req); // Find the live project
+    const issues = await checkMembership(project); // Find every difference between the two stores
+
+    res.status(200).json(new ApiResponse(200, { consistent: issues.length === 0, issues }, "Membership checked successfully")); // Send the response
+});
+
+/**
+ * Controller for an owner to repair differences between Project.members and User.projectRoles
+ */
+const repairMembershipConsistency = asyncHandler(async (req, res) => {
+    const project = await findLiveProject(req); // Find the live project
+    const repaired = await repairMembership(project); // Fix the differences, Project.members wins
+    if (repaired.length) {
+        await recordActivity(req, { action: "member:repair", targetType: "project", targetId: project._id, before: { issues: repaired.map((issue) => issue.type) } });
+    }
+    const issues = await checkMembership(project); // Whatever could not be repaired automatically
+
+    res.status(200).json(new ApiResponse(200, { repaired, issues }, "Membership repaired successfully")); // Send the response
+});
+
+export default {
+    getMembers,
+    updateMemberRole,
+    deleteMember,
+    transferProjectOwnership,
+    leaveProject,
+    getMembershipConsistency,
+    repairMembershipConsistency
+}; // Export the controllers
+
+/*
+findLiveProject: A helper that loads the live project; roles are checked by the authorize middleware on each route.
+assertCanChangeMember: Refuses giving the owner role (ownership is transferred) and lets only owners change or remove another owner.
+changeMemberRole, removeMember, transferOwnership: Update Project.members and User.projectRoles in one transaction (ordered writes and a repair on a standalone mongod), and refuse changes that would leave the project without an owner.
+checkMembership: Reports members missing a user role, mismatched roles, stray user roles, duplicates, deleted accounts and projects without an owner.
+repairMembership: Rewrites User.projectRoles from Project.members, which is treated as the source of truth.
+*/
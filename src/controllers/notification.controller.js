@@ -0,0 +1,115 @@
+import { asyncHandler } from "../utils/asynchandler.js"; // Utility function to handle async errors
+import { Notification } from "../models/notification.model.js"; // Import the Notification model
+import { ApiError } from "../utils/ApiError.js"; // Custom error class for API errors
+import { ApiResponse } from "../utils/ApiResponse.js"; // Custom response class for API responses
+import { getPagination } from "../utils/pagination.js"; // Page and limit from the query string
+import { NOTIFICATION_TYPES } from "../constants.js"; // Kinds of notifications
+
+/**
+ * Controller to list the current user's notifications, newest first, with the number still unread
+ */
+const getNotifications = asyncHandler(async (req, res) => {
+    const { unread, type } = req.query; // Optional filters
+    const { page, limit, skip } = getPagination(req.query);
+
+    const filter = { userId: req.user._id };
+    if (unread === 'true') {
+        filter.readAt = null;
+    }
+    if (type) {
+        filter.type = type;
+    }
+
+    const [notifications, totalNotifications, unreadCount] = await Promise.all([
+        Notification.find(filter)
+            .populate('actorId', 'username') // Show who caused each notification
+            .populate('projectId', 'name')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit),
+        Notification.countDocuments(filter),
+        Notification.countDocuments({ userId: req.user._id, readAt: null })
+    ]);
+    const totalPages = Math.ceil(totalNotifications / limit);
+
+    res.status(200).json(new ApiResponse(200, { notifications, page, totalPages, totalNotifications, unreadCount }, "Notifications fetched successfully")); // Send the response
+});
+
+/**
+ * Controller to get the number of unread notifications, cheap enough to poll
+ */
+const getUnreadCount = asyncHandler(async (req, res) => {
+    const unreadCount = await Notification.countDocuments({ userId: req.user._id, readAt: null });
+
+    res.status(200).json(new ApiResponse(200, { unreadCount }, "Unread count fetched successfully")); // Send the response
+});
+
+/**
+ * Controller to mark one notification as read
+ */
+const markRead = asyncHandler(async (req, res) => {
+    const { notificationId } = req.params; // Get the notificationId from the request parameters
+
+    const notification = await Notification.findOne({ _id: notificationId, userId: req.user._id }); // Users only see their own notifications
+    if (!notification) {
+        throw new ApiError(404, "Notification not found");
+    }
+
+    if (!notification.readAt) {
+        notification.readAt = new Date();
+        await notification.save(); // Save the notification
+    }
+
+    res.status(200).json(new ApiResponse(200, notification, "Notification marked as read")); // Send the response
+});
+
+/**
+ * Controller to mark every unread notification of the current user as read, optionally only those of one project
+ */
+const markAllRead = asyncHandler(async (req, res) => {
+    const filter = { userId: req.user._id, readAt: null };
+    if (req.body?.projectId) {
+        filter.projectId = req.body.projectId;
+    }
+
+    const { modifiedCount } = await Notification.updateMany(filter, { $set: { readAt: new Date() } });
+
+    res.status(200).json(new ApiResponse(200, { marked: modifiedCount }, "Notifications marked as read")); // Send the response
+});
+
+/**
+ * Controller to get which notification types the current user receives
+ */
+const getPreferences = asyncHandler(async (req, res) => {
+    const preferences = Object.fromEntries(NOTIFICATION_TYPES.map((type) => [type, req.user.notificationPreferences.get(type) !== false]));
+
+    res.status(200).json(new ApiResponse(200, preferences, "Notification preferences fetched successfully")); // Send the response
+});
+
+/**
+ * Controller to turn notification types on or off, e.g. { "version_uploaded": false }
+ */
+const updatePreferences = asyncHandler(async (req, res) => {
+    const changes = req.body || {}; // Types mapped to true or false
+
+    const unknown = Object.keys(changes).filter((type) => !NOTIFICATION_TYPES.includes(type));
+    if (unknown.length) {
+        throw new ApiError(400, "Unknown notification types", unknown.map((type) => ({ type })));
+    }
+
+    for (const [type, enabled] of Object.entries(changes)) {
+        req.user.notificationPreferences.set(type, enabled === true || enabled === "true");
+    }
+    await req.user.save(); // Save the user
+
+    const preferences = Object.fromEntries(NOTIFICATION_TYPES.map((type) => [type, req.user.notificationPreferences.get(type) !== false]));
+    res.status(200).json(new ApiResponse(200, preferences, "Notification preferences updated successfully")); // Send the response
+});
+
+export default { getNotifications, getUnreadCount, markRead, markAllRead, getPreferences, updatePreferences }; // Export the controllers
+
+/*
+Notification: Created for project members when versions are uploaded, reviews are requested or decided, comments are written or they are mentioned.
+notifyActivity: Listens for "activity" events published by recordActivity and decides who is notified, so the controllers themselves stay unaware of notifications.
+notificationPreferences: Per user switches for each notification type; types that were never switched off are delivered.
+*/
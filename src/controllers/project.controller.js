@@ -3,6 +3,10 @@ import { User } from "../models/user.model.js";
 import { Project } from "../models/project.model.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
+import { trashProject } from "../utils/trash.js";
+import { addMember, findMember } from "../utils/membership.js";
+import { recordActivity, summarize } from "../utils/activity.js";
+import { isValidRole, canChangeMember } from "../policies/permissions.js";
 
 // Create a new project and assign the "owner" role to the creator
 const createProject = asyncHandler(async (req, res) => {
@@ -25,49 +29,52 @@ const createProject = asyncHandler(async (req, res) => {
     req.user.projectRoles.set(newProject._id.toString(), 'owner');
     await req.user.save(); // Save the user with the updated roles
 
+    await recordActivity(req, {
+        projectId: newProject._id,
+        action: "project:create",
+        targetType: "project",
+        targetId: newProject._id,
+        after: summarize(newProject, ["name", "description"])
+    });
+
     // Send a success response with the newly created project
     res.status(201).json(new ApiResponse(201, { project: newProject }, "Project Created Successfully"));
 });
 
-// Approve a user to join a project and assign them a role (editor/member)
+// Approve a user to join a project and assign them a role (editor/member or a custom role)
 const approveUser = asyncHandler(async (req, res) => {
     const { requesterId, projectId, role } = req.body; // Get requester ID, project ID, and role from request body
     const userId = req.user._id; // Get the user ID from the authenticated user
 
     const requester = await User.findById(requesterId); // Find the requester user by ID
+    if (!requester) {
+        throw new ApiError(404, "User not found");
+    }
 
-    const project = await Project.findById(projectId); // Find the project by ID
+    const project = await Project.findOne({ _id: projectId, deletedAt: null }); // Find the live project by ID
     if (!project) {
         throw new ApiError(404, "Project not found");
     }
 
-    // Check if the authenticated user has the 'owner' role for this project
-    const userRole = req.user.projectRoles.get(projectId.toString());
-    if (userRole !== 'owner') {
-        throw new ApiError(403, "Permission Denied");
-    }
-
-    // Check if the provided role is valid
-    if (!['editor', 'member'].includes(role)) {
+    // Check if the provided role is valid, ownership is transferred rather than granted
+    if (role === 'owner' || !isValidRole(role, project.roles)) {
         throw new ApiError(400, "Invalid role");
     }
 
-    // Find if the requester is already a member of the project
-    const memberIndex = project.members.findIndex(member => member.userId.toString() === requesterId.toString());
-
-    // Set the requester's role for this project in the user's projectRoles map
-    requester.projectRoles.set(project._id.toString(), role);
-
-    // If the requester is already a member, update their role
-    // Otherwise, add them as a new member with the specified role
-    if (memberIndex !== -1) {
-        project.members[memberIndex].role = role;
-    } else {
-        project.members.push({ userId: requesterId, role });
+    const previousRole = findMember(project, requester._id)?.role; // Set when an existing member gets a new role
+    if (!canChangeMember(req.projectRole, previousRole, role)) {
+        throw new ApiError(403, "Only an owner can change another owner's role");
     }
-
-    await requester.save(); // Save the requester with the updated roles
-    await project.save(); // Save the project with the updated members
+    await addMember(project, requester, role); // Add the requester or update their role in both the project and the user
+
+    await recordActivity(req, {
+        projectId: project._id,
+        action: previousRole ? "member:update" : "member:add",
+        targetType: "user",
+        targetId: requester._id,
+        before: previousRole ? { role: previousRole } : null,
+        after: { role }
+    });
 
     // Send a success response with the updated project
     res.status(200).json(new ApiResponse(200, { project }, "User added and updated in project successfully"));
@@ -77,7 +84,7 @@ const approveUser = asyncHandler(async (req, res) => {
 const getProjectById = asyncHandler(async (req, res) => {
     const { projectId } = req.params; // Get project ID from request parameters
 
-    const project = await Project.findById(projectId); // Find the project by ID
+    const project = await Project.findOne({ _id: projectId, deletedAt: null }); // Find the live project by ID
     if (!project) {
         throw new ApiError(404, "Project not found");
     }
@@ -91,59 +98,64 @@ const updateProject = asyncHandler(async (req, res) => {
     const { projectId } = req.params; // Get project ID from request parameters
     const { name, description } = req.body; // Get new project details from request body
 
-    // Check if the authenticated user has the 'owner' role for this project
-    const userRole = req.user.projectRoles.get(projectId.toString());
-    if (userRole !== 'owner') {
-        throw new ApiError(403, "Permission Denied");
-    }
-
-    const project = await Project.findById(projectId); // Find the project by ID
+    const project = await Project.findOne({ _id: projectId, deletedAt: null }); // Find the live project by ID
     if (!project) {
         throw new ApiError(404, "Project not found");
     }
 
+    const before = summarize(project, ["name", "description"]);
+
     // Update the project details if provided, otherwise keep the existing details
     project.name = name || project.name;
     project.description = description || project.description;
 
     await project.save(); // Save the updated project
 
+    await recordActivity(req, {
+        action: "project:update",
+        targetType: "project",
+        targetId: project._id,
+        before,
+        after: summarize(project, ["name", "description"])
+    });
+
     // Send a success response with the updated project
     res.status(200).json(new ApiResponse(200, { project }, "Project updated successfully"));
 });
 
-// Delete a project
+// Delete a project (soft delete, it can be restored from the trash until an owner purges it)
 const deleteProject = asyncHandler(async (req, res) => {
     const { projectId } = req.params; // Get project ID from request parameters
 
-    // Check if the authenticated user has the 'owner' role for this project
-    const userRole = req.user.projectRoles.get(projectId.toString());
-    if (userRole !== 'owner') {
-        throw new ApiError(403, "Permission Denied");
-    }
-
-    const project = await Project.findById(projectId); // Find the project by ID
+    const project = await Project.findOne({ _id: projectId, deletedAt: null }); // Find the live project by ID
     if (!project) {
         throw new ApiError(404, "Project not found");
     }
 
-    await project.remove(); // Remove the project
+    await trashProject(project, req.user._id); // Move the project, its content and versions to the trash
+
+    await recordActivity(req, { action: "project:delete", targetType: "project", targetId: project._id, before: summarize(project, ["name"]) });
 
-    // Send a success response indicating the project has been deleted
-    res.status(200).json(new ApiResponse(200, {}, "Project deleted successfully"));
+    // Send a success response indicating the project has been moved to the trash
+    res.status(200).json(new ApiResponse(200, {}, "Project moved to trash successfully"));
 });
 
-// Get all projects with pagination and aggregation
+// Get all projects the user is a member of with pagination and aggregation
 const getAllProjects = asyncHandler(async (req, res) => {
     const { page = 1, limit = 10 } = req.query; // Get page and limit from query parameters, default to 1 and 10
 
     const projects = await Project.aggregate([
+        // Only the caller's own projects, leaving out projects in the trash
+        {
+            $match: { deletedAt: null, "members.userId": req.user._id }
+        },
         // Perform a lookup to get member details from the users collection
         {
             $lookup: {
                 from: "users", // Collection to join
                 localField: "members.userId", // Field from the Project collection
                 foreignField: "_id", // Field from the User collection
+                pipeline: [{ $project: { username: 1, email: 1 } }], // Never expose passwords or tokens
                 as: "memberDetails" // Name of the new array field to add the results
             }
         },
@@ -172,7 +184,7 @@ const getAllProjects = asyncHandler(async (req, res) => {
     ]);
 
     // Get the total number of projects for pagination info
-    const totalProjects = await Project.countDocuments();
+    const totalProjects = await Project.countDocuments({ deletedAt: null, "members.userId": req.user._id });
     const totalPages = Math.ceil(totalProjects / limit);
 
     // Send a success response with the paginated projects and pagination info
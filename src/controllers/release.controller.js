@@ -0,0 +1,201 @@
+import { asyncHandler } from "../utils/asynchandler.js"; // Utility function to handle async errors
+import { Release } from "../models/release.model.js"; // Import the Release model
+import { Project } from "../models/project.model.js"; // Import the Project model
+import { Content } from "../models/content.model.js"; // Import the Content model
+import { Version } from "../models/version.model.js"; // Import the Version model
+import { ApiError } from "../utils/ApiError.js"; // Custom error class for API errors
+import { ApiResponse } from "../utils/ApiResponse.js"; // Custom response class for API responses
+import { getPagination } from "../utils/pagination.js"; // Page and limit from the query string
+import { recordActivity } from "../utils/activity.js"; // Audit log
+
+const LABEL_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._+-]{0,63}$/; // e.g. "v1.0", "2024-06-final"
+
+// Version fields shown with each release item
+const VERSION_FIELDS = "originalName size mimeType checksum filePath branch createdAt";
+
+/**
+ * Helper function to find a release of the project in the request
+ * @param {String} projectId - The project of the request
+ * @param {String} releaseId - The release ID
+ * @returns {Object} - The release document
+ */
+const findRelease = async (projectId, releaseId) => {
+    const release = await Release.findOne({ _id: releaseId, projectId });
+    if (!release) {
+        throw new ApiError(404, "Release not found");
+    }
+    return release;
+};
+
+/**
+ * Helper function to compare the items of two releases by content item
+ * @param {Object} base - The older release
+ * @param {Object} target - The newer release
+ * @returns {Object} - { added, removed, changed, unchanged }
+ */
+const compareItems = (base, target) => {
+    const baseItems = new Map(base.items.map((item) => [item.contentId.toString(), item]));
+    const targetItems = new Map(target.items.map((item) => [item.contentId.toString(), item]));
+
+    const result = { added: [], removed: [], changed: [], unchanged: [] };
+    for (const [contentId, item] of targetItems) {
+        const before = baseItems.get(contentId);
+        if (!before) {
+            result.added.push(item);
+        } else if (before.versionId.equals(item.versionId)) {
+            result.unchanged.push(item);
+        } else {
+            result.changed.push({ contentId: item.contentId, contentType: item.contentType, from: before, to: item });
+        }
+    }
+    for (const [contentId, item] of baseItems) {
+        if (!targetItems.has(contentId)) {
+            result.removed.push(item);
+        }
+    }
+    return result;
+};
+
+/**
+ * Controller to list the releases of a project, newest first
+ */
+const getReleases = asyncHandler(async (req, res) => {
+    const { projectId } = req.params; // Get the projectId from the request parameters
+    const { page, limit, skip } = getPagination(req.query);
+
+    const [releases, totalReleases] = await Promise.all([
+        Release.find({ projectId })
+            .select("-items") // The list only shows the release details, not every item
+            .populate('createdBy', 'username')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit),
+        Release.countDocuments({ projectId })
+    ]);
+    const totalPages = Math.ceil(totalReleases / limit);
+
+    res.status(200).json(new ApiResponse(200, { releases, page, totalPages, totalReleases }, "Releases fetched successfully")); // Send the response
+});
+
+/**
+ * Controller for an owner to publish a release capturing the approved version of every content item
+ * Content without an approved version is left out and listed under excluded
+ */
+const createRelease = asyncHandler(async (req, res) => {
+    const { projectId } = req.params; // Get the projectId from the request parameters
+    const { label, notes = "" } = req.body; // Get the label and notes from the request body
+
+    if (!label || !LABEL_PATTERN.test(label)) {
+        throw new ApiError(400, "Invalid release label");
+    }
+
+    const project = await Project.findOne({ _id: projectId, deletedAt: null }); // Find the live project by ID
+    if (!project) {
+        throw new ApiError(404, "Project not found");
+    }
+    if (await Release.exists({ projectId, label })) {
+        throw new ApiError(409, "A release with this label already exists");
+    }
+
+    const contents = await Content.find({ projectId, deletedAt: null }).select("type");
+    const approved = await Version.find({ contentId: { $in: contents.map((content) => content._id) }, approved: true, deletedAt: null });
+    const approvedByContent = new Map(approved.map((version) => [version.contentId.toString(), version]));
+
+    const items = [];
+    const excluded = [];
+    for (const content of contents) {
+        const version = approvedByContent.get(content._id.toString());
+        if (!version) {
+            excluded.push(content._id);
+            continue;
+        }
+        items.push({
+            contentId: content._id,
+            versionId: version._id,
+            contentType: content.type,
+            originalName: version.originalName,
+            checksum: version.checksum,
+            size: version.size
+        });
+    }
+
+    if (!items.length) {
+        throw new ApiError(409, "Nothing to release, no content item has an approved version");
+    }
+
+    const release = await Release.create({ projectId, label, notes, createdBy: req.user._id, items, excluded });
+
+    project.set({ isReleased: true, latestRelease: release._id });
+    await project.save(); // Save the project
+
+    await recordActivity(req, { action: "release:create", targetType: "release", targetId: release._id, after: { label, items: items.length, excluded: excluded.length } });
+
+    res.status(201).json(new ApiResponse(201, release, "Release published successfully")); // Send the response
+});
+
+/**
+ * Controller to get a release with the versions it contains
+ */
+const getReleaseById = asyncHandler(async (req, res) => {
+    const { projectId, releaseId } = req.params; // Get the projectId and releaseId from the request parameters
+
+    const release = await findRelease(projectId, releaseId);
+    await release.populate([
+        { path: 'items.versionId', select: VERSION_FIELDS },
+        { path: 'createdBy', select: 'username' }
+    ]);
+
+    res.status(200).json(new ApiResponse(200, release, "Release fetched successfully")); // Send the response
+});
+
+/**
+ * Controller to get the latest release of a project, what a client should receive as the final deliverables
+ */
+const getLatestRelease = asyncHandler(async (req, res) => {
+    const { projectId } = req.params; // Get the projectId from the request parameters
+
+    const release = await Release.findOne({ projectId })
+        .sort({ createdAt: -1 })
+        .populate('items.versionId', VERSION_FIELDS)
+        .populate('createdBy', 'username');
+    if (!release) {
+        throw new ApiError(404, "Project has no releases yet");
+    }
+
+    res.status(200).json(new ApiResponse(200, release, "Latest release fetched successfully")); // Send the response
+});
+
+/**
+ * Controller to compare a release with another one, by default the release published before it
+ * Lists content items added, removed, changed (a different version) and unchanged since the other release
+ */
+const compareReleases = asyncHandler(async (req, res) => {
+    const { projectId, releaseId } = req.params; // Get the projectId and releaseId from the request parameters
+    const { with: otherReleaseId } = req.query; // The release to compare against
+
+    const release = await findRelease(projectId, releaseId);
+    const base = otherReleaseId
+        ? await findRelease(projectId, otherReleaseId)
+        : await Release.findOne({ projectId, createdAt: { $lt: release.createdAt } }).sort({ createdAt: -1 });
+    if (!base) {
+        throw new ApiError(404, "There is no earlier release to compare with");
+    }
+
+    // Always compare from the older release to the newer one
+    const [older, newer] = base.createdAt <= release.createdAt ? [base, release] : [release, base];
+
+    res.status(200).json(new ApiResponse(200, {
+        from: { _id: older._id, label: older.label, createdAt: older.createdAt },
+        to: { _id: newer._id, label: newer.label, createdAt: newer.createdAt },
+        ...compareItems(older, newer)
+    }, "Releases compared successfully")); // Send the response
+});
+
+export default { getReleases, createRelease, getReleaseById, getLatestRelease, compareReleases }; // Export the controllers
+
+/*
+Release: An immutable snapshot of a project, the approved version of every content item at publishing time, with a label and notes.
+excluded: Content items that had no approved version when the release was published.
+compareItems: Matches the items of two releases by content item to find what was added, removed or moved to another version.
+Purging: Versions and content that are part of a release can't be purged from the trash, so released files stay available.
+*/
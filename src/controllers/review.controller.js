@@ -0,0 +1,107 @@
+import { asyncHandler } from "../utils/asynchandler.js"; // Utility function to handle async errors
+import { Project } from "../models/project.model.js"; // Import the Project model
+import { Content } from "../models/content.model.js"; // Import the Content model
+import { Version } from "../models/version.model.js"; // Import the Version model
+import { ApiError } from "../utils/ApiError.js"; // Custom error class for API errors
+import { ApiResponse } from "../utils/ApiResponse.js"; // Custom response class for API responses
+import { can } from "../policies/permissions.js"; // Role/permission policy table
+import { getReviewPolicy, summarizeReview, isAuthor } from "../utils/review.js"; // Review workflow helpers
+import { recordActivity } from "../utils/activity.js"; // Audit log
+
+/**
+ * Controller to get the review policy of a project
+ */
+const getProjectReviewPolicy = asyncHandler(async (req, res) => {
+    const project = await Project.findOne({ _id: req.params.projectId, deletedAt: null }); // Find the live project by ID
+    if (!project) {
+        throw new ApiError(404, "Project not found");
+    }
+
+    res.status(200).json(new ApiResponse(200, getReviewPolicy(project), "Review policy fetched successfully")); // Send the response
+});
+
+/**
+ * Controller for an owner to change what it takes for a version to be approved
+ * Versions already in review are checked against the new policy on their next decision
+ */
+const updateProjectReviewPolicy = asyncHandler(async (req, res) => {
+    const { requiredApprovals, requireOwner, allowSelfApproval } = req.body; // Get the new policy from the request body
+
+    const project = await Project.findOne({ _id: req.params.projectId, deletedAt: null }); // Find the live project by ID
+    if (!project) {
+        throw new ApiError(404, "Project not found");
+    }
+
+    const before = getReviewPolicy(project);
+    const policy = { ...before };
+    if (requiredApprovals !== undefined) {
+        if (!Number.isInteger(Number(requiredApprovals)) || Number(requiredApprovals) < 1) {
+            throw new ApiError(400, "Required approvals must be a whole number of at least 1");
+        }
+        policy.requiredApprovals = Number(requiredApprovals);
+    }
+    if (requireOwner !== undefined) {
+        policy.requireOwner = requireOwner === true || requireOwner === "true";
+    }
+    if (allowSelfApproval !== undefined) {
+        policy.allowSelfApproval = allowSelfApproval === true || allowSelfApproval === "true";
+    }
+
+    project.reviewPolicy = policy;
+    await project.save(); // Save the project
+
+    await recordActivity(req, { action: "project:review_policy", targetType: "project", targetId: project._id, before, after: policy });
+
+    res.status(200).json(new ApiResponse(200, getReviewPolicy(project), "Review policy updated successfully")); // Send the response
+});
+
+/**
+ * Controller to list the versions awaiting the current user's review across all of their projects
+ * Versions the user already decided on in the current round, or may not approve themselves, are left out
+ */
+const getPendingReviews = asyncHandler(async (req, res) => {
+    const userId = req.user._id; // Get the userId from the authenticated user
+    const projectIds = [...req.user.projectRoles.keys()]; // Every project the user is a member of
+
+    const projects = await Project.find({ _id: { $in: projectIds }, deletedAt: null }).select("name roles reviewPolicy");
+    const reviewable = new Map(projects
+        .filter((project) => can(req.user.projectRoles.get(project._id.toString()), "version:approve", project.roles))
+        .map((project) => [project._id.toString(), project]));
+
+    const contents = await Content.find({ projectId: { $in: [...reviewable.keys()] }, deletedAt: null }).select("projectId type");
+    const contentsById = new Map(contents.map((content) => [content._id.toString(), content]));
+
+    const versions = await Version.find({ contentId: { $in: [...contentsById.keys()] }, reviewStatus: 'in_review', deletedAt: null })
+        .populate('submittedBy', 'username email') // Show who is waiting for the review
+        .sort({ submittedAt: 1 }); // Longest waiting first
+
+    const pending = [];
+    for (const version of versions) {
+        const content = contentsById.get(version.contentId.toString());
+        const project = reviewable.get(content.projectId.toString());
+        const policy = getReviewPolicy(project);
+
+        const decided = version.reviews.some((review) =>
+            review.round === version.reviewRound && review.reviewerId.toString() === userId.toString());
+        if (decided || (!policy.allowSelfApproval && isAuthor(version, userId))) {
+            continue;
+        }
+
+        pending.push({
+            project: { _id: project._id, name: project.name },
+            content: { _id: content._id, type: content.type },
+            version,
+            review: summarizeReview(version, policy)
+        });
+    }
+
+    res.status(200).json(new ApiResponse(200, pending, "Pending reviews fetched successfully")); // Send the response
+});
+
+export default { getProjectReviewPolicy, updateProjectReviewPolicy, getPendingReviews }; // Export the controllers
+
+/*
+reviewPolicy: Per project settings for how many approvals a version needs, whether one of them must come from an owner and whether authors may approve their own versions.
+getPendingReviews: Looks through every project where the user's role allows version:approve and lists versions in review that still wait for the user's decision.
+summarizeReview: Counts the approvals of the current review round and what is still missing under the policy.
+*/
@@ -0,0 +1,139 @@
+import { asyncHandler } from "../utils/asynchandler.js"; // Utility function to handle async errors
+import { Project } from "../models/project.model.js"; // Import the Project model
+import { ApiError } from "../utils/ApiError.js"; // Custom error class for API errors
+import { ApiResponse } from "../utils/ApiResponse.js"; // Custom response class for API responses
+import { PROJECT_ROLES } from "../constants.js"; // Built-in project roles
+import { ASSIGNABLE_ACTIONS, permissionsFor } from "../policies/permissions.js"; // Role/permission policy table
+import { recordActivity, summarize } from "../utils/activity.js"; // Audit log
+
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_-]{1,31}$/; // e.g. "reviewer", "uploader"
+
+/**
+ * Helper function to load the live project of the request
+ * @param {Object} req - The request, with a projectId parameter
+ * @returns {Object} - The project document
+ */
+const findLiveProject = async (req) => {
+    const project = await Project.findOne({ _id: req.params.projectId, deletedAt: null }); // Find the live project by ID
+    if (!project) {
+        throw new ApiError(404, "Project not found");
+    }
+    return project;
+};
+
+/**
+ * Helper function to validate a list of permissions for a custom role
+ * @param {String[]} permissions - Actions from the permission policy
+ * @returns {String[]} - The permissions without duplicates
+ */
+const validatePermissions = (permissions) => {
+    if (!Array.isArray(permissions)) {
+        throw new ApiError(400, "Permissions must be a list of actions");
+    }
+    const unknown = permissions.filter((permission) => !ASSIGNABLE_ACTIONS.includes(permission));
+    if (unknown.length) {
+        throw new ApiError(400, "Unknown or owner-only permissions", unknown.map((action) => ({ action })));
+    }
+    return [...new Set(permissions)];
+};
+
+/**
+ * Controller to list the built-in and custom roles of a project, the actions custom roles can be given
+ * and the caller's own permissions
+ */
+const getRoles = asyncHandler(async (req, res) => {
+    const project = await findLiveProject(req); // Find the live project
+
+    const builtIn = PROJECT_ROLES.map((name) => ({ name, builtIn: true, permissions: permissionsFor(name) }));
+    const custom = project.roles.map((role) => ({ ...role.toObject(), builtIn: false }));
+
+    res.status(200).json(new ApiResponse(200, {
+        roles: [...builtIn, ...custom],
+        assignablePermissions: ASSIGNABLE_ACTIONS,
+        myPermissions: req.projectPermissions
+    }, "Roles fetched successfully")); // Send the response
+});
+
+/**
+ * Controller for an owner to define a custom role as a set of permissions
+ */
+const createRole = asyncHandler(async (req, res) => {
+    const { name, description = "", permissions = [] } = req.body; // Get the role definition from the request body
+
+    if (!name || !ROLE_NAME_PATTERN.test(name)) {
+        throw new ApiError(400, "Invalid role name");
+    }
+
+    const project = await findLiveProject(req); // Find the live project
+    if (PROJECT_ROLES.includes(name) || project.roles.some((role) => role.name === name)) {
+        throw new ApiError(409, "Role already exists"); // Built-in names are reserved
+    }
+
+    project.roles.push({ name, description, permissions: validatePermissions(permissions), createdBy: req.user._id });
+    await project.save(); // Save the project
+
+    const role = project.roles[project.roles.length - 1];
+    await recordActivity(req, { action: "role:create", targetType: "role", targetId: role._id, after: summarize(role, ["name", "permissions"]) });
+
+    res.status(201).json(new ApiResponse(201, role, "Role created successfully")); // Send the response
+});
+
+/**
+ * Controller for an owner to change the description or permissions of a custom role
+ * Members holding the role pick up the change on their next request
+ */
+const updateRole = asyncHandler(async (req, res) => {
+    const { roleName } = req.params; // Get the role name from the request parameters
+    const { description, permissions } = req.body; // Get the new definition from the request body
+
+    const project = await findLiveProject(req); // Find the live project
+    const role = project.roles.find((r) => r.name === roleName);
+    if (!role) {
+        throw new ApiError(404, PROJECT_ROLES.includes(roleName) ? "Built-in roles can't be changed" : "Role not found");
+    }
+
+    const before = summarize(role, ["name", "description", "permissions"]);
+    if (description !== undefined) {
+        role.description = description;
+    }
+    if (permissions !== undefined) {
+        role.permissions = validatePermissions(permissions);
+    }
+    await project.save(); // Save the project
+
+    await recordActivity(req, { action: "role:update", targetType: "role", targetId: role._id, before, after: summarize(role, ["name", "description", "permissions"]) });
+
+    res.status(200).json(new ApiResponse(200, role, "Role updated successfully")); // Send the response
+});
+
+/**
+ * Controller for an owner to delete a custom role that no member holds anymore
+ */
+const deleteRole = asyncHandler(async (req, res) => {
+    const { roleName } = req.params; // Get the role name from the request parameters
+
+    const project = await findLiveProject(req); // Find the live project
+    const role = project.roles.find((r) => r.name === roleName);
+    if (!role) {
+        throw new ApiError(404, PROJECT_ROLES.includes(roleName) ? "Built-in roles can't be deleted" : "Role not found");
+    }
+
+    if (project.members.some((member) => member.role === roleName)) {
+        throw new ApiError(409, "Role is still assigned to members, give them another role first");
+    }
+
+    project.roles.pull(role._id); // Remove the role
+    await project.save(); // Save the project
+
+    await recordActivity(req, { action: "role:delete", targetType: "role", targetId: role._id, before: summarize(role, ["name", "permissions"]) });
+
+    res.status(200).json(new ApiResponse(200, {}, "Role deleted successfully")); // Send the response
+});
+
+export default { getRoles, createRole, updateRole, deleteRole }; // Export the controllers
+
+/*
+Custom roles: Named sets of actions from the permission policy (e.g. "reviewer" with version:read and version:approve), assigned to members like built-in roles.
+ASSIGNABLE_ACTIONS: Every policy action except the owner-only ones (deleting, restoring or transferring the project and managing roles).
+permissionsFor: Lists the actions a role may perform; the authorize middleware uses the same table for every route.
+*/
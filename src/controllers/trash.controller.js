@@ -0,0 +1,119 @@
+import { asyncHandler } from "../utils/asynchandler.js"; // Utility function to handle async errors
+import { Project } from "../models/project.model.js"; // Import the Project model
+import { Content } from "../models/content.model.js"; // Import the Content model
+import { Version } from "../models/version.model.js"; // Import the Version model
+import { ApiError } from "../utils/ApiError.js"; // Custom error class for API errors
+import { ApiResponse } from "../utils/ApiResponse.js"; // Custom response class for API responses
+import {
+    restoreVersion,
+    restoreContent,
+    restoreProject,
+    purgeVersion,
+    purgeContent,
+    purgeProject
+} from "../utils/trash.js"; // Soft delete helpers
+import { recordActivity } from "../utils/activity.js"; // Audit log
+
+/**
+ * Helper function to find a trashed project, content item or version that belongs to a project
+ * @param {String} projectId - The ID of the project the trash belongs to
+ * @param {String} itemType - "project", "content" or "version"
+ * @param {String} itemId - The ID of the trashed item
+ * @returns {Object} - The trashed document
+ */
+const findTrashedItem = async (projectId, itemType, itemId) => {
+    let item = null;
+
+    if (itemType === "project") {
+        item = itemId === projectId ? await Project.findById(projectId) : null;
+    } else if (itemType === "content") {
+        item = await Content.findOne({ _id: itemId, projectId });
+    } else if (itemType === "version") {
+        const contentIds = await Content.find({ projectId }).distinct("_id");
+        item = await Version.findOne({ _id: itemId, contentId: { $in: contentIds } });
+    } else {
+        throw new ApiError(400, "Invalid item type"); // Only projects, content and versions can be trashed
+    }
+
+    if (!item || !item.deletedAt) {
+        throw new ApiError(404, "Item not found in trash"); // Throw an error if the item is missing or not trashed
+    }
+    return item;
+};
+
+/**
+ * Controller to list what has been deleted in a project
+ * Items trashed together with their parent are restored with it and are not listed separately
+ */
+const getTrash = asyncHandler(async (req, res) => {
+    const { projectId } = req.params; // Get the projectId from the request parameters
+
+    const project = await Project.findById(projectId); // Find the project, trashed or not
+    if (!project) {
+        throw new ApiError(404, "Project not found"); // Throw an error if the project is not found
+    }
+
+    const contentIds = await Content.find({ projectId }).distinct("_id"); // Every content item of the project
+    const [content, versions] = await Promise.all([
+        Content.find({ projectId, deletedAt: { $ne: null }, deletedCascade: { $ne: true } }).sort({ deletedAt: -1 }),
+        Version.find({ contentId: { $in: contentIds }, deletedAt: { $ne: null }, deletedCascade: { $ne: true } }).sort({ deletedAt: -1 })
+    ]);
+
+    res.status(200).json(new ApiResponse(200, {
+        project: project.deletedAt ? project : null,
+        content,
+        versions
+    }, "Trash fetched successfully")); // Send the response
+});
+
+/**
+ * Controller to restore a trashed project, content item or version
+ */
+const restoreItem = asyncHandler(async (req, res) => {
+    const { projectId, itemType, itemId } = req.params; // Get the project, item type and item ID from the request parameters
+
+    const item = await findTrashedItem(projectId, itemType, itemId); // Find the trashed item
+
+    if (itemType === "project") {
+        await restoreProject(item);
+    } else if (itemType === "content") {
+        await restoreContent(item);
+    } else {
+        await restoreVersion(item);
+    }
+
+    await recordActivity(req, { action: `${itemType}:restore`, targetType: itemType, targetId: item._id });
+
+    res.status(200).json(new ApiResponse(200, item, "Item restored successfully")); // Send the response
+});
+
+/**
+ * Controller to permanently delete a trashed project, content item or version
+ * Stored files are removed once no remaining version references them
+ */
+const purgeItem = asyncHandler(async (req, res) => {
+    const { projectId, itemType, itemId } = req.params; // Get the project, item type and item ID from the request parameters
+
+    const item = await findTrashedItem(projectId, itemType, itemId); // Find the trashed item
+
+    if (itemType === "project") {
+        await purgeProject(item);
+    } else if (itemType === "content") {
+        await purgeContent(item);
+    } else {
+        await purgeVersion(item);
+    }
+
+    await recordActivity(req, { action: `${itemType}:purge`, targetType: itemType, targetId: item._id }); // The log outlives the item
+
+    res.status(200).json(new ApiResponse(200, {}, "Item permanently deleted")); // Send the response
+});
+
+export default { getTrash, restoreItem, purgeItem }; // Export the controllers
+
+/*
+findTrashedItem: A helper that loads a trashed document and makes sure it belongs to the project in the URL.
+deletedAt / deletedCascade: deletedAt marks a document as trashed, deletedCascade marks documents trashed together with their parent.
+restoreProject, restoreContent, restoreVersion: Take a document out of the trash along with everything trashed with it.
+purgeProject, purgeContent, purgeVersion: Permanently delete a trashed document and everything below it, releasing stored files.
+*/
@@ -0,0 +1,339 @@
+import fs from "fs"; // Chunks are appended to the session file
+import mongoose from "mongoose"; // Session IDs are known before the session is saved
+import { Transform } from "stream"; // Counts the bytes of a chunk
+import { pipeline } from "stream/promises"; // Pipe the request into the session file with error propagation
+import { asyncHandler } from "../utils/asynchandler.js"; // Utility function to handle async errors
+import { Upload } from "../models/upload.model.js"; // Import the Upload model
+import { Content } from "../models/content.model.js"; // Import the Content model
+import { ApiError } from "../utils/ApiError.js"; // Custom error class for API errors
+import { ApiResponse } from "../utils/ApiResponse.js"; // Custom response class for API responses
+import { DEFAULT_BRANCH } from "../constants.js"; // Branch uploads go to when none is given
+import { MAX_UPLOAD_SIZE } from "../policies/contentTypes.js"; // Largest file any content type accepts
+import { checkUpload, queueVersion } from "../utils/processing.js"; // Same checks and version creation as multipart uploads
+import { UPLOAD_DIR, sessionPath, nextExpiry, parseUploadMetadata, pickUploadFields, removeSessionFile } from "../utils/uploads.js"; // Upload session helpers
+
+const TUS_VERSION = "1.0.0";
+const TUS_EXTENSIONS = "creation,termination,expiration";
+const CHUNK_CONTENT_TYPE = "application/offset+octet-stream";
+const LOCK_DURATION = 60 * 1000; // Renewed while a chunk is being written
+
+/**
+ * Helper function to send the tus headers every upload response carries
+ * @param {Object} res - The Express response
+ * @param {Object} upload - The session, when there is one
+ */
+const setTusHeaders = (res, upload) => {
+    res.set({
+        "Tus-Resumable": TUS_VERSION,
+        "Tus-Version": TUS_VERSION,
+        "Tus-Extension": TUS_EXTENSIONS,
+        "Tus-Max-Size": String(MAX_UPLOAD_SIZE),
+        "Cache-Control": "no-store" // Offsets change with every chunk
+    });
+    if (upload) {
+        res.set({
+            "Upload-Offset": String(upload.offset),
+            "Upload-Length": String(upload.length),
+            "Upload-Expires": upload.expiresAt.toUTCString()
+        });
+    }
+};
+
+/**
+ * Helper function to refuse tus clients speaking another protocol version
+ * Requests without Tus-Resumable are plain HTTP clients and accepted
+ * @param {Object} req - The request
+ */
+const checkTusVersion = (req) => {
+    const version = req.get("Tus-Resumable");
+    if (version && version !== TUS_VERSION) {
+        throw new ApiError(412, `Only tus ${TUS_VERSION} is supported`);
+    }
+};
+
+/**
+ * Helper function to find an upload session of the current user
+ * Sessions belong to the user who started them, nobody else can add to or read them
+ * @param {Object} req - The request, with projectId, contentId and uploadId parameters
+ * @returns {Object} - The upload document
+ */
+const findUpload = async (req) => {
+    const { projectId, contentId, uploadId } = req.params; // Get the IDs from the request parameters
+
+    const upload = await Upload.findOne({ _id: uploadId, projectId, contentId, userId: req.user._id });
+    if (!upload) {
+        throw new ApiError(404, "Upload not found");
+    }
+    return upload;
+};
+
+/**
+ * Helper function to refuse sessions that can't take any more bytes
+ * @param {Object} upload - The upload document
+ */
+const requireActive = (upload) => {
+    if (upload.status === 'expired' || upload.status === 'aborted') {
+        throw new ApiError(410, `Upload ${upload.status}, start a new one`);
+    }
+    if (upload.status === 'failed') {
+        throw new ApiError(410, "Upload failed, start a new one", [{ reason: upload.failureReason }]);
+    }
+    if (upload.status === 'completed') {
+        throw new ApiError(409, "Upload is already complete");
+    }
+};
+
+/**
+ * Helper function to build a stream that passes at most limit bytes and drops the rest
+ * Failing the pipeline instead would destroy the request and reset the connection before the 413 is sent,
+ * so the request is read to the end and exceeded is set for the caller to answer
+ * @param {Number} limit - Bytes the session still expects
+ * @returns {Transform} - With an exceeded property, true once more than limit bytes arrived
+ */
+const limitBytes = (limit) => {
+    let received = 0;
+    const limiter = new Transform({
+        transform(chunk, encoding, callback) {
+            const room = limit - received;
+            received += chunk.length;
+            if (received > limit) {
+                limiter.exceeded = true;
+                return callback(null, room > 0 ? chunk.subarray(0, room) : undefined);
+            }
+            callback(null, chunk);
+        }
+    });
+    limiter.exceeded = false;
+    return limiter;
+};
+
+/**
+ * Helper function to turn a complete session into a version, the same way a multipart upload does
+ * @param {Object} req - The request
+ * @param {Object} upload - The upload document, with filePath selected
+ * @returns {Object} - The completed upload
+ */
+const completeUpload = async (req, upload) => {
+    try {
+        const content = await Content.findOne({ _id: upload.contentId, deletedAt: null });
+        if (!content) {
+            throw new ApiError(404, "Content not found");
+        }
+
+        const { version, job } = await queueVersion(content, {
+            path: upload.filePath,
+            size: upload.length,
+            mimetype: upload.mimeType,
+            originalname: upload.originalName
+        }, upload.fields, { userId: req.user._id, projectId: upload.projectId });
+
+        upload.set({ status: 'completed', versionId: version._id, jobId: job._id, lockedUntil: null }); // The job owns the file from here on
+        return upload.save();
+    } catch (error) {
+        upload.set({ status: 'failed', failureReason: error.message, lockedUntil: null });
+        await upload.save();
+        await removeSessionFile(upload.filePath);
+        throw error;
+    }
+};
+
+/**
+ * Controller to start a resumable upload (tus creation)
+ * The size comes from Upload-Length and the file name, type and version fields from Upload-Metadata,
+ * plain HTTP clients may send { length, filename, filetype, branch, parentIds, metadata } as JSON instead
+ */
+const createUpload = asyncHandler(async (req, res) => {
+    checkTusVersion(req);
+    const { projectId, contentId } = req.params; // Get the projectId and contentId from the request parameters
+
+    const details = req.get("Upload-Metadata") !== undefined ? parseUploadMetadata(req.get("Upload-Metadata")) : (req.body || {});
+    const length = Number(req.get("Upload-Length") ?? req.body?.length);
+    if (!Number.isInteger(length) || length <= 0) {
+        throw new ApiError(400, "Upload-Length must be the size of the file in bytes"); // Deferred lengths are not supported
+    }
+    if (!details.filename) {
+        throw new ApiError(400, "A filename is required in Upload-Metadata");
+    }
+
+    const content = await Content.findOne({ _id: contentId, projectId, deletedAt: null }); // Find the content within the project
+    if (!content) {
+        throw new ApiError(404, "Content not found");
+    }
+
+    // Refuse files the content type won't take before any byte is sent
+    const fields = pickUploadFields(details);
+    const mimeType = details.filetype || "application/octet-stream";
+    checkUpload(content, { originalname: details.filename, mimetype: mimeType, size: length }, fields.metadata);
+    if (!(await content.resolveBranch(fields.branch || DEFAULT_BRANCH))) {
+        throw new ApiError(404, "Branch not found");
+    }
+
+    const uploadId = new mongoose.Types.ObjectId();
+    const filePath = sessionPath(uploadId);
+    await fs.promises.mkdir(UPLOAD_DIR, { recursive: true });
+    await fs.promises.writeFile(filePath, "");
+
+    const upload = await Upload.create({
+        _id: uploadId,
+        projectId,
+        contentId,
+        userId: req.user._id,
+        originalName: details.filename,
+        mimeType,
+        length,
+        fields,
+        filePath,
+        expiresAt: nextExpiry()
+    });
+
+    setTusHeaders(res, upload);
+    res.location(`${req.protocol}://${req.get("host")}${req.baseUrl}/uploads/${upload._id}`);
+    res.status(201).json(new ApiResponse(201, upload, "Upload started successfully")); // Send the response
+});
+
+/**
+ * Controller to report how many bytes of an upload arrived (tus HEAD), where a client resumes from
+ */
+const getUploadOffset = asyncHandler(async (req, res) => {
+    checkTusVersion(req);
+    const upload = await findUpload(req); // Find the session
+    if (upload.status !== 'active' && upload.status !== 'completed') {
+        requireActive(upload);
+    }
+
+    setTusHeaders(res, upload);
+    res.status(200).end();
+});
+
+/**
+ * Controller to get the state of an upload as JSON: the byte ranges received, and the version once complete
+ */
+const getUpload = asyncHandler(async (req, res) => {
+    const upload = await findUpload(req); // Find the session
+
+    setTusHeaders(res, upload);
+    res.status(200).json(new ApiResponse(200, {
+        ...upload.toJSON(),
+        received: upload.offset ? [[0, upload.offset]] : [], // Chunks are appended in order, so what arrived is one range
+        missing: upload.offset < upload.length ? [[upload.offset, upload.length]] : []
+    }, "Upload fetched successfully")); // Send the response
+});
+
+/**
+ * Controller to append a chunk to an upload (tus PATCH)
+ * The chunk has to start at the current offset; bytes that arrive before a dropped connection are kept,
+ * so the client asks for the offset again and sends the rest. The last chunk turns the upload into a version.
+ */
+const appendUpload = asyncHandler(async (req, res) => {
+    checkTusVersion(req);
+    const { projectId, contentId, uploadId } = req.params; // Get the IDs from the request parameters
+
+    if (req.get("Content-Type") !== CHUNK_CONTENT_TYPE) {
+        throw new ApiError(415, `Chunks must be sent as ${CHUNK_CONTENT_TYPE}`);
+    }
+    const offset = Number(req.get("Upload-Offset"));
+    if (!Number.isInteger(offset) || offset < 0) {
+        throw new ApiError(400, "Upload-Offset must be the number of bytes already sent");
+    }
+
+    // Lock the session at the expected offset, so chunks can't be written twice or side by side
+    const now = new Date();
+    const upload = await Upload.findOneAndUpdate(
+        {
+            _id: uploadId,
+            projectId,
+            contentId,
+            userId: req.user._id,
+            status: 'active',
+            offset,
+            $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+        },
+        { $set: { lockedUntil: new Date(now.getTime() + LOCK_DURATION) } },
+        { new: true }
+    ).select("+filePath");
+    if (!upload) {
+        const current = await findUpload(req);
+        requireActive(current);
+        if (current.offset !== offset) {
+            setTusHeaders(res, current);
+            throw new ApiError(409, `Upload-Offset doesn't match, the upload is at byte ${current.offset}`);
+        }
+        throw new ApiError(409, "Another chunk of this upload is being written");
+    }
+
+    // Refuse chunks that announce more bytes than are missing before reading them, the body is drained after the 413
+    const announced = req.get("Content-Length");
+    if (announced !== undefined && Number(announced) > upload.length - offset) {
+        await Upload.updateOne({ _id: upload._id }, { $set: { lockedUntil: null } });
+        setTusHeaders(res, upload);
+        throw new ApiError(413, "Chunk goes past the announced upload length");
+    }
+
+    const renewLock = setInterval(() => {
+        Upload.updateOne({ _id: upload._id }, { $set: { lockedUntil: new Date(Date.now() + LOCK_DURATION), expiresAt: nextExpiry() } }).catch(() => {});
+    }, LOCK_DURATION / 2);
+
+    let writeError = null;
+    const limiter = limitBytes(upload.length - offset);
+    try {
+        await fs.promises.truncate(upload.filePath, offset); // Drop bytes of an earlier chunk that was never acknowledged
+        await pipeline(req, limiter, fs.createWriteStream(upload.filePath, { flags: "a" }));
+    } catch (error) {
+        writeError = error;
+    } finally {
+        clearInterval(renewLock);
+    }
+
+    if (!writeError && limiter.exceeded) {
+        await fs.promises.truncate(upload.filePath, offset); // Nothing of an oversized chunk is kept
+        writeError = new ApiError(413, "Chunk goes past the announced upload length");
+    }
+    const { size } = await fs.promises.stat(upload.filePath);
+    upload.set({ offset: Math.min(size, upload.length), expiresAt: nextExpiry(), lockedUntil: null });
+    await upload.save(); // Keep what arrived, even when the connection dropped
+
+    if (writeError) {
+        throw writeError instanceof ApiError ? writeError : new ApiError(400, "Chunk was interrupted, resume from Upload-Offset");
+    }
+
+    if (upload.offset === upload.length) {
+        const completed = await completeUpload(req, upload);
+        res.set({ "Upload-Version-Id": completed.versionId.toString(), "Upload-Job-Id": completed.jobId.toString() });
+    }
+
+    setTusHeaders(res, upload);
+    res.status(204).end();
+});
+
+/**
+ * Controller to abort an upload (tus termination), the bytes received so far are deleted
+ */
+const abortUpload = asyncHandler(async (req, res) => {
+    checkTusVersion(req);
+    const { uploadId } = req.params; // Get the uploadId from the request parameters
+
+    const upload = await findUpload(req); // Find the session
+    requireActive(upload);
+
+    const aborted = await Upload.findOneAndUpdate(
+        { _id: uploadId, status: 'active', $or: [{ lockedUntil: null }, { lockedUntil: { $lte: new Date() } }] },
+        { $set: { status: 'aborted' } }
+    ).select("+filePath");
+    if (!aborted) {
+        throw new ApiError(409, "A chunk of this upload is being written, try again once it is done");
+    }
+    await removeSessionFile(aborted.filePath);
+
+    setTusHeaders(res);
+    res.status(204).end();
+});
+
+export default { createUpload, getUploadOffset, getUpload, appendUpload, abortUpload }; // Export the controllers
+
+/*
+tus: An open protocol for resumable uploads (https://tus.io); these controllers implement its core plus the creation, termination and expiration extensions, so tus clients work out of the box.
+Upload-Offset: Bytes of the file received so far; every chunk starts there, after a dropped connection the client asks for it with HEAD and continues.
+Upload-Metadata: filename and filetype of the file, and branch, parentIds and metadata like the fields of a multipart upload, base64 encoded.
+completeUpload: Once the last byte arrived the session goes through queueVersion, the same checks and background processing as createVersion.
+expiresAt: Sessions that receive no chunk for a day expire and their bytes are deleted by startUploadExpiry.
+*/
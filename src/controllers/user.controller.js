@@ -4,6 +4,7 @@ import { User } from "../models/user.model.js"; // User model
 import jwt from 'jsonwebtoken'; // JSON Web Token library for token generation and verification
 import bcrypt from 'bcryptjs'; // Library for hashing passwords
 import { ApiResponse } from "../utils/ApiResponse.js"; // Custom response class for API responses
+import { recordActivity } from "../utils/activity.js"; // Audit log
 
 /**
  * Helper function to generate access and refresh tokens for a user
@@ -58,6 +59,14 @@ const registerUser = asyncHandler(async (req, res) => {
         throw new ApiError(500, "Something went wrong while registering the user"); // Throw an error if user creation failed
     }
 
+    await recordActivity(req, {
+        actorId: createdUser._id, // Nobody is logged in yet, the new user is the actor
+        action: "user:register",
+        targetType: "user",
+        targetId: createdUser._id,
+        after: { username, email }
+    });
+
     // Generate access and refresh tokens for the newly created user
     const { accessToken, refreshToken } = await generateAccessAndRefreshTokens(createdUser._id);
 
@@ -206,6 +215,8 @@ const changeCurrentPassword = asyncHandler(async (req, res) => {
     user.password = newPassword; // Set the new password for the user
     await user.save({ validateBeforeSave: false }); // Save the user without running validation
 
+    await recordActivity(req, { action: "user:change_password", targetType: "user", targetId: user._id }); // The password itself is never logged
+
     // Send a success response indicating the password change
     return res.status(200).json(new ApiResponse(200, {}, "Password changed successfully"));
 });
@@ -242,6 +253,8 @@ const updateAccountDetails = asyncHandler(async (req, res) => {
         { new: true }
     ).select("-password");
 
+    await recordActivity(req, { action: "user:update", targetType: "user", targetId: req.user._id, before: { email: req.user.email }, after: { email } });
+
     // Send a success response with the updated user
     return res.status(200).json(new ApiResponse(200, user, "Account details updated successfully"));
 });
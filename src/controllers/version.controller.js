@@ -1,56 +1,132 @@
 import { asyncHandler } from "../utils/asynchandler.js"; // Import the asyncHandler to manage async functions
 import { Version } from "../models/version.model.js"; // Import the Version model
 import { Content } from "../models/content.model.js"; // Import the Content model
-import { Project } from "../models/project.model.js"; // Import the Project model
 import { ApiError } from "../utils/ApiError.js"; // Custom error class for API errors
 import { ApiResponse } from "../utils/ApiResponse.js"; // Custom response class for API responses
-import multer from "multer"; // Import multer for file uploads
-import { uploadOnCloudinary } from "../utils/cloudinary.js"; // Utility function to upload files to Cloudinary
+import fs from "fs"; // File system module to clean up temp uploads
+import { pipeline } from "stream/promises"; // Pipe stored files to the response with error propagation
+import { storage } from "../storage/index.js"; // Configured storage driver (Cloudinary or local disk)
+import { hashStream } from "../utils/hash.js"; // SHA-256 helper for integrity checks
+import { isTextVersion, diffText } from "../utils/diff.js"; // Line-level diff helpers for text content
+import { DEFAULT_BRANCH } from "../constants.js"; // Branch uploads go to when none is given
+import { trashVersion } from "../utils/trash.js"; // Soft delete helper
+import { Project } from "../models/project.model.js"; // Import the Project model
+import { getReviewPolicy, summarizeReview, submitForReview, recordDecision } from "../utils/review.js"; // Review workflow helpers
+import { carryForwardAnnotations } from "../utils/comments.js"; // Unresolved annotations follow new versions
+import { recordActivity, summarize } from "../utils/activity.js"; // Audit log
+import { compareMetadata } from "../utils/metadata.js"; // Differences between the metadata of two versions
+import { queueVersion } from "../utils/processing.js"; // Creates the version of an upload and queues its processing
+
+const MAX_DIFF_SIZE = 5 * 1024 * 1024; // Larger files are not diffed in a single request
+
+/**
+ * Helper function to remove a multer temp file, ignoring files that are already gone
+ * @param {Object} file - The multer file object
+ */
+const removeTempFile = async (file) => {
+    if (file?.path) {
+        await fs.promises.rm(file.path, { force: true });
+    }
+};
 
 const getAllVersions = asyncHandler(async (req, res) => {
     const {contentId} = req.params
-    const content = await Content.findById(contentId)
-    const userRole = req.user.projectRoles.get(content.projectId.toString())
-
-    if(!["owner", "editor", "member"].includes(userRole)) {
-        throw new ApiError(403, "Permission Denied")
+    const content = await Content.findOne({ _id: contentId, deletedAt: null })
+    if (!content) {
+        throw new ApiError(404, "Content not found")
     }
 
-    const versions = await Version.find({contentId})
-    res.status(200).json(new ApiResponse(200, versions, "Versions fetched Succesfully"))
+    const versions = await Version.find({ contentId, deletedAt: null })
+
+    // Each version lists how its metadata differs from its first parent, e.g. a cut that got 12 seconds shorter
+    const byId = new Map(versions.map((version) => [version._id.toString(), version]))
+    const withChanges = versions.map((version) => {
+        const parent = byId.get(version.parents[0]?.toString())
+        return { ...version.toJSON(), metadataChanges: parent ? compareMetadata(parent.metadata, version.metadata) : null }
+    })
+    res.status(200).json(new ApiResponse(200, withChanges, "Versions fetched Succesfully"))
 })
 
 /**
- * Controller to create a new version of content
+ * Controller to get the version history of a content item as a graph of nodes (versions) and edges (parent links)
  */
-const createVersion = asyncHandler(async (req, res) => {
+const getVersionGraph = asyncHandler(async (req, res) => {
     const { contentId } = req.params; // Get the contentId from the request parameters
-    const userId = req.user._id; // Get the userId from the authenticated user
-
-    const fileLocalPath = req.files?.file[0]?.path; // Get the local path of the uploaded file
-
-    const file = await uploadOnCloudinary(fileLocalPath); // Upload the file to Cloudinary
 
-    const content = await Content.findById(contentId); // Find the content by its ID
+    const content = await Content.findOne({ _id: contentId, deletedAt: null }); // Find the content by its ID
     if (!content) {
         throw new ApiError(404, "Content not found"); // Throw an error if the content is not found
     }
 
-    const userRole = req.user.projectRoles.get(content.projectId.toString()); // Get the user's role in the project
-    if (userRole !== 'editor' && userRole !== 'owner') {
-        throw new ApiError(403, "Permission Denied"); // Throw an error if the user doesn't have permission
+    await content.resolveBranch(DEFAULT_BRANCH); // Make sure content created before branches lists its default branch
+
+    const versions = await Version.find({ contentId, deletedAt: null }).sort({ createdAt: 1 }); // Oldest first, trashed versions are left out
+    const versionIds = new Set(versions.map((version) => version._id.toString()));
+
+    const nodes = versions.map((version) => ({
+        id: version._id,
+        branch: version.branch,
+        parents: version.parents,
+        uploadedBy: version.uploadedBy,
+        originalName: version.originalName,
+        checksum: version.checksum,
+        metadata: version.metadata,
+        reviewStatus: version.reviewStatus,
+        createdAt: version.createdAt
+    }));
+    const edges = versions.flatMap((version) =>
+        version.parents
+            .filter((parentId) => versionIds.has(parentId.toString())) // Skip links to trashed versions
+            .map((parentId) => ({ from: parentId, to: version._id }))
+    );
+    const branches = content.branches.map((branch) => ({ name: branch.name, head: branch.head }));
+
+    res.status(200).json(new ApiResponse(200, { nodes, edges, branches }, "Version graph fetched successfully")); // Send the response
+});
+
+/**
+ * Helper function to refuse versions whose upload is still processing or failed, they have no stored file yet
+ * @param {Object} version - The version document
+ */
+const requireProcessed = (version) => {
+    if (version.processingStatus === "processing") {
+        throw new ApiError(409, "Version is still processing", [{ jobId: version.jobId }]);
+    }
+    if (version.processingStatus === "failed") {
+        throw new ApiError(409, "Version failed to process, upload it again", [{ reason: version.processingError }]);
     }
+};
 
-    const newVersion = await Version.create({
-        contentId: contentId,
-        uploadedBy: userId,
-        filePath: file?.url || "" // Use the file URL from Cloudinary or an empty string
-    });
+/**
+ * Controller to create a new version of content
+ * The upload is checked and queued, hashing, metadata extraction and storage run in a background job
+ * The response carries the job to poll; the version stays in the "processing" state until the job is done
+ */
+const createVersion = asyncHandler(async (req, res) => {
+    const { contentId, projectId } = req.params; // Get the contentId and projectId from the request parameters
+    const userId = req.user._id; // Get the userId from the authenticated user
 
-    content.versions.push(newVersion._id); // Add the new version to the content's versions array
-    await content.save(); // Save the content
+    const uploadedFile = req.files?.file?.[0]; // Get the uploaded file
+    if (!uploadedFile) {
+        throw new ApiError(400, "File is required"); // Throw an error if no file was uploaded
+    }
 
-    res.status(201).json(new ApiResponse(201, { newVersion }, "Version created successfully")); // Send the response
+    let queued = false;
+    try {
+        const content = await Content.findOne({ _id: contentId, deletedAt: null }); // Find the content by its ID
+        if (!content) {
+            throw new ApiError(404, "Content not found"); // Throw an error if the content is not found
+        }
+
+        const { version: newVersion, job } = await queueVersion(content, uploadedFile, req.body, { userId, projectId }); // Shared with resumable uploads
+        queued = true; // The job owns the temp file from here on
+
+        res.status(202).json(new ApiResponse(202, { newVersion, job: { _id: job._id, status: job.status } }, "Version is being processed")); // Send the response
+    } finally {
+        if (!queued) {
+            await removeTempFile(uploadedFile); // Never leave the temp file behind
+        }
+    }
 });
 
 /**
@@ -59,130 +135,382 @@ const createVersion = asyncHandler(async (req, res) => {
 const getVersionById = asyncHandler(async (req, res) => {
     const { versionId, contentId } = req.params; // Get the versionId and contentId from the request parameters
 
-    const version = await Version.findById(versionId); // Find the version by its ID
+    const version = await Version.findOne({ _id: versionId, deletedAt: null }); // Find the version by its ID
     if (!version) {
         throw new ApiError(404, "Version not found"); // Throw an error if the version is not found
     }
 
-    const content = await Content.findById(contentId); // Find the content by its ID
+    const content = await Content.findOne({ _id: contentId, deletedAt: null }); // Find the content by its ID
     if (!content) {
         throw new ApiError(404, "Content not found"); // Throw an error if the content is not found
     }
 
-    const userRole = req.user.projectRoles.get(content.projectId.toString()); // Get the user's role in the project
-    if (!['owner', 'editor', 'member'].includes(userRole)) {
-        throw new ApiError(403, "Permission Denied"); // Throw an error if the user doesn't have permission
-    }
-
     res.status(200).json(new ApiResponse(200, version, "Version fetched successfully")); // Send the response
 });
 
 /**
  * Controller to update a specific version by its ID
+ * Versions are immutable, changes are made by uploading a new version or reverting to an older one
  */
 const updateVersion = asyncHandler(async (req, res) => {
-    const { versionId } = req.params; // Get the versionId from the request parameters
-    const userId = req.user._id; // Get the userId from the authenticated user
-
-    const fileLocalPath = req.files?.file[0]?.path; // Get the local path of the uploaded file
+    throw new ApiError(405, "Versions are immutable, upload a new version instead");
+});
 
-    const file = await uploadOnCloudinary(fileLocalPath); // Upload the file to Cloudinary
+/**
+ * Controller to delete a specific version by its ID
+ * The version is moved to the project's trash and can be restored until it is purged
+ */
+const deleteVersion = asyncHandler(async (req, res) => {
+    const { versionId } = req.params; // Get the versionId from the request parameters
 
-    const version = await Version.findById(versionId); // Find the version by its ID
+    const version = await Version.findOne({ _id: versionId, deletedAt: null }); // Find the version by its ID
     if (!version) {
         throw new ApiError(404, "Version not found"); // Throw an error if the version is not found
     }
 
-    const content = await Content.findById(version.contentId); // Find the content by its ID
+    const content = await Content.findOne({ _id: version.contentId, deletedAt: null }); // Find the content by its ID
     if (!content) {
         throw new ApiError(404, "Content not found"); // Throw an error if the content is not found
     }
 
-    const userRole = req.user.projectRoles.get(content.projectId.toString()); // Get the user's role in the project
-    if (userRole !== 'owner' && userRole !== 'editor') {
-        throw new ApiError(403, "Permission Denied"); // Throw an error if the user doesn't have permission
+    await trashVersion(version, req.user._id); // Move the version to the trash
+
+    await recordActivity(req, { action: "version:delete", targetType: "version", targetId: version._id, before: summarize(version, ["contentId", "branch", "originalName"]) });
+    res.status(200).json(new ApiResponse(200, {}, "Version moved to trash successfully")); // Send the response
+});
+
+/**
+ * Controller to download the file of a specific version
+ * The SHA-256 checksum is sent along so clients can verify the download
+ */
+const downloadVersion = asyncHandler(async (req, res) => {
+    const { versionId, contentId } = req.params; // Get the versionId and contentId from the request parameters
+
+    const version = await Version.findOne({ _id: versionId, deletedAt: null }); // Find the version by its ID
+    if (!version || !version.storageKey) {
+        throw new ApiError(404, "Version not found"); // Throw an error if the version or its file is not found
+    }
+
+    const content = await Content.findOne({ _id: contentId, deletedAt: null }); // Find the content by its ID
+    if (!content) {
+        throw new ApiError(404, "Content not found"); // Throw an error if the content is not found
     }
 
-    version.uploadedBy = userId; // Update the user who uploaded the version
-    version.filePath = file?.url || ""; // Update the file URL
-    await version.save(); // Save the version
+    const fileStream = await storage.stream(version.storageKey); // Open the stored file
 
-    res.status(200).json(new ApiResponse(200, { version }, "Version updated successfully")); // Send the response
+    res.attachment(version.originalName || version._id.toString()); // Set Content-Disposition with the original filename
+    if (version.mimeType) {
+        res.type(version.mimeType);
+    }
+    if (version.size) {
+        res.setHeader("Content-Length", version.size);
+    }
+    if (version.checksum) {
+        res.setHeader("ETag", `"${version.checksum}"`);
+        res.setHeader("X-Checksum-SHA256", version.checksum);
+    }
+
+    await pipeline(fileStream, res); // Stream the file without buffering it in memory
 });
 
 /**
- * Controller to delete a specific version by its ID
+ * Controller to send the thumbnail or preview rendered from a version
+ * Works with every storage driver, including those whose files have no public URL
  */
-const deleteVersion = asyncHandler(async (req, res) => {
-    const { versionId } = req.params; // Get the versionId from the request parameters
+const downloadPreview = asyncHandler(async (req, res) => {
+    const { versionId, kind } = req.params; // Get the versionId and which image from the request parameters
+
+    const field = { thumbnail: "thumbnailKey", preview: "previewKey" }[kind];
+    if (!field) {
+        throw new ApiError(404, "Preview not found"); // Only thumbnail and preview exist
+    }
 
-    const version = await Version.findById(versionId); // Find the version by its ID
+    const version = await Version.findOne({ _id: versionId, deletedAt: null }); // Find the version by its ID
     if (!version) {
-        throw new ApiError(404, "Version not found"); // Throw an error if the version is not found
+        throw new ApiError(404, "Version not found");
+    }
+    if (version.previewStatus !== "ready" || !version[field]) {
+        throw new ApiError(404, "Preview not available", [{ previewStatus: version.previewStatus }]);
     }
 
-    const content = await Content.findById(version.contentId); // Find the content by its ID
+    const imageStream = await storage.stream(version[field]); // Open the stored image
+
+    res.type("image/jpeg");
+    res.setHeader("Cache-Control", "private, max-age=86400"); // Previews of a file never change
+    await pipeline(imageStream, res);
+});
+
+/**
+ * Controller to verify that the stored file of a version still matches its recorded checksum
+ */
+const verifyVersion = asyncHandler(async (req, res) => {
+    const { versionId, contentId } = req.params; // Get the versionId and contentId from the request parameters
+
+    const version = await Version.findOne({ _id: versionId, deletedAt: null }); // Find the version by its ID
+    if (!version || !version.storageKey) {
+        throw new ApiError(404, "Version not found"); // Throw an error if the version or its file is not found
+    }
+
+    const content = await Content.findOne({ _id: contentId, deletedAt: null }); // Find the content by its ID
     if (!content) {
         throw new ApiError(404, "Content not found"); // Throw an error if the content is not found
     }
 
-    const userRole = req.user.projectRoles.get(content.projectId.toString()); // Get the user's role in the project
-    if (userRole !== 'owner') {
-        throw new ApiError(403, "Permission Denied"); // Throw an error if the user doesn't have permission
+    if (!version.checksum) {
+        throw new ApiError(409, "Version has no recorded checksum"); // Versions uploaded before hashing can't be verified
     }
 
-    await version.remove(); // Remove the version
-    res.status(200).json(new ApiResponse(200, {}, "Version removed successfully")); // Send the response
+    const actualChecksum = await hashStream(await storage.stream(version.storageKey)); // Re-hash the stored file
+    const valid = actualChecksum === version.checksum;
+
+    res.status(200).json(new ApiResponse(200, { checksum: version.checksum, actualChecksum, valid }, valid ? "Version file is intact" : "Version file does not match its checksum"));
 });
 
 /**
- * Controller to approve a specific version by its ID
+ * Controller to get a line-level diff between two versions of the same content
+ * versionId is the base and otherVersionId the version it is compared against
  */
-const approveVersion = asyncHandler(async (req, res) => {
-    const { versionId } = req.params; // Get the versionId from the request parameters
-    const userId = req.user._id; // Get the userId from the authenticated user
+const diffVersions = asyncHandler(async (req, res) => {
+    const { versionId, otherVersionId, contentId } = req.params; // Get both version IDs and the contentId from the request parameters
+    const context = Math.min(Math.max(parseInt(req.query.context ?? 3) || 0, 0), 100); // Unchanged lines shown around each change
 
-    const version = await Version.findById(versionId); // Find the version by its ID
-    if (!version) {
-        throw new ApiError(404, "Version not found"); // Throw an error if the version is not found
+    const content = await Content.findOne({ _id: contentId, deletedAt: null }); // Find the content by its ID
+    if (!content) {
+        throw new ApiError(404, "Content not found"); // Throw an error if the content is not found
+    }
+
+    const [baseVersion, otherVersion] = await Promise.all([
+        Version.findOne({ _id: versionId, contentId, deletedAt: null }),
+        Version.findOne({ _id: otherVersionId, contentId, deletedAt: null })
+    ]); // Both versions must belong to this content
+    if (!baseVersion || !otherVersion) {
+        throw new ApiError(404, "Version not found"); // Throw an error if either version is not found
+    }
+    requireProcessed(baseVersion);
+    requireProcessed(otherVersion);
+
+    if (!isTextVersion(baseVersion) || !isTextVersion(otherVersion)) {
+        throw new ApiError(415, "Only text-based versions can be diffed"); // Throw an error for media or unknown files
     }
 
-    const content = await Content.findById(version.contentId); // Find the content by its ID
+    if (baseVersion.size > MAX_DIFF_SIZE || otherVersion.size > MAX_DIFF_SIZE) {
+        throw new ApiError(413, "Versions are too large to diff"); // Throw an error for oversized files
+    }
+
+    const [baseText, otherText] = (await Promise.all([
+        storage.get(baseVersion.storageKey),
+        storage.get(otherVersion.storageKey)
+    ])).map((buffer) => buffer.toString("utf8")); // Read both files from storage
+
+    if (baseText.includes("\u0000") || otherText.includes("\u0000")) {
+        throw new ApiError(415, "Only text-based versions can be diffed"); // Binary data disguised as text
+    }
+
+    const diff = diffText(baseText, otherText, {
+        oldName: `${baseVersion._id}/${baseVersion.originalName || ""}`,
+        newName: `${otherVersion._id}/${otherVersion.originalName || ""}`,
+        context
+    });
+
+    res.status(200).json(new ApiResponse(200, {
+        baseVersionId: baseVersion._id,
+        otherVersionId: otherVersion._id,
+        identical: diff.hunks.length === 0,
+        ...diff
+    }, "Diff generated successfully")); // Send the response
+});
+
+/**
+ * Controller to revert a content item to an older version
+ * A new version pointing at the old file is appended to the branch, nothing is overwritten
+ */
+const revertVersion = asyncHandler(async (req, res) => {
+    const { versionId, contentId } = req.params; // Get the versionId and contentId from the request parameters
+    const { branch: branchName } = req.body; // Get the target branch from the request body
+    const approve = req.body.approve === true || req.body.approve === "true"; // Optionally approve the restored version
+    const userId = req.user._id; // Get the userId from the authenticated user
+
+    const content = await Content.findOne({ _id: contentId, deletedAt: null }); // Find the content by its ID
     if (!content) {
         throw new ApiError(404, "Content not found"); // Throw an error if the content is not found
     }
 
-    const project = await Project.findById(content.projectId); // Find the project by its ID
-    const userRole = req.user.projectRoles.get(project._id.toString()); // Get the user's role in the project
-    if (userRole !== 'owner') {
-        throw new ApiError(403, "Permission Denied"); // Throw an error if the user doesn't have permission
+    let project = null;
+    if (approve) {
+        if (!req.projectPermissions.includes("version:submit") || !req.projectPermissions.includes("version:approve")) {
+            throw new ApiError(403, "Permission Denied", [{ action: "version:approve" }]); // Approving follows the same rules as the review endpoints
+        }
+        project = await Project.findById(content.projectId); // The review policy decides whether the approval is enough
+        if (!getReviewPolicy(project).allowSelfApproval) {
+            throw new ApiError(403, "You can't approve your own version in this project, submit it for review instead");
+        }
     }
 
-    const versionIndex = content.versions.indexOf(version._id); // Find the index of the version in the content's versions array
-    if (versionIndex > -1) {
-        content.versions.splice(versionIndex, 1); // Remove the version from its current position
+    const source = await Version.findOne({ _id: versionId, contentId, deletedAt: null }); // The version being restored
+    if (!source) {
+        throw new ApiError(404, "Version not found"); // Throw an error if the version is not found
     }
-    content.versions.unshift(version._id); // Add the version to the front
+    requireProcessed(source); // There is no stored file to restore yet
 
-    await Version.updateMany(
-        { contentId: content._id },
-        { $set: { approved: false } } // Set approved to false for all versions of this content
-    );
-    version.approved = true; // Mark the version as approved
-    await version.save(); // Save the version
+    const branch = await content.resolveBranch(branchName || source.branch); // Revert on the source's branch unless told otherwise
+    if (!branch) {
+        throw new ApiError(404, "Branch not found"); // Throw an error if the branch is not found
+    }
 
+    const newVersion = await Version.create({
+        contentId: content._id,
+        uploadedBy: userId,
+        branch: branch.name,
+        parents: branch.head ? [branch.head] : [], // The revert continues the branch rather than rewriting it
+        filePath: source.filePath, // The stored file is shared, not copied again
+        storageKey: source.storageKey,
+        checksum: source.checksum,
+        size: source.size,
+        mimeType: source.mimeType,
+        originalName: source.originalName,
+        metadata: source.metadata, // Same file, same metadata
+        revertedFrom: source._id,
+        revertedBy: userId
+    });
+
+    content.versions.push(newVersion._id); // Add the new version to the content's versions array
+    branch.head = newVersion._id; // Advance the branch to the new version
     await content.save(); // Save the content
+    await carryForwardAnnotations(newVersion); // Copy open feedback from the previous head
+
+    await recordActivity(req, { action: "version:revert", targetType: "version", targetId: newVersion._id, after: summarize(newVersion, ["contentId", "branch", "revertedFrom"]) });
+
+    if (approve) {
+        // Submit the new version and record the caller's approval, the project's policy may still ask for more reviewers
+        const submitted = await submitForReview(newVersion, userId);
+        const { version } = await recordDecision(submitted, project, { userId, role: req.projectRole }, 'approve', req.body.reason);
+        await recordActivity(req, { action: "version:approve", targetType: "version", targetId: version._id, after: { reviewStatus: version.reviewStatus } });
+        return res.status(201).json(new ApiResponse(201, { newVersion: version }, "Version reverted successfully"));
+    }
+
+    res.status(201).json(new ApiResponse(201, { newVersion }, "Version reverted successfully")); // Send the response
+});
+
+/**
+ * Helper function to find a live version of the content in the request
+ * @param {Object} req - The request, with contentId and versionId parameters
+ * @returns {Object} - The version document
+ */
+const findLiveVersion = async (req) => {
+    const { versionId, contentId } = req.params; // Get the versionId and contentId from the request parameters
+
+    const content = await Content.findOne({ _id: contentId, deletedAt: null }); // Find the content by its ID
+    if (!content) {
+        throw new ApiError(404, "Content not found"); // Throw an error if the content is not found
+    }
+
+    const version = await Version.findOne({ _id: versionId, contentId, deletedAt: null }); // Find the version by its ID
+    if (!version) {
+        throw new ApiError(404, "Version not found"); // Throw an error if the version is not found
+    }
+    return version;
+};
+
+/**
+ * Helper function to record a review decision on the version in the request
+ * @param {Object} req - The request
+ * @param {String} decision - One of approve, reject, request_changes
+ * @returns {Object} - The updated version and a summary of the review round
+ */
+const reviewVersion = async (req, decision) => {
+    const version = await findLiveVersion(req); // Find the version under review
+    requireProcessed(version); // Only files that made it to storage can be reviewed
+    const project = await Project.findById(req.params.projectId); // The project holds the review policy
+
+    const result = await recordDecision(version, project, { userId: req.user._id, role: req.projectRole }, decision, req.body.reason);
+
+    await recordActivity(req, {
+        action: `version:${decision}`,
+        targetType: "version",
+        targetId: version._id,
+        before: { reviewStatus: version.reviewStatus },
+        after: { reviewStatus: result.version.reviewStatus, reason: req.body.reason }
+    });
+
+    return result;
+};
+
+/**
+ * Controller to get the review state of a version: its status, the decisions of every round and what is still missing
+ */
+const getVersionReview = asyncHandler(async (req, res) => {
+    const version = await findLiveVersion(req); // Find the version
+    await version.populate('reviews.reviewerId', 'username email'); // Show who decided
+
+    const project = await Project.findById(req.params.projectId); // The project holds the review policy
+    const policy = getReviewPolicy(project);
+
+    res.status(200).json(new ApiResponse(200, {
+        ...summarizeReview(version, policy),
+        policy,
+        history: version.reviews
+    }, "Review fetched successfully")); // Send the response
+});
+
+/**
+ * Controller to submit a draft version for review, or resubmit it after changes were requested
+ */
+const submitVersion = asyncHandler(async (req, res) => {
+    const version = await findLiveVersion(req); // Find the version
+    requireProcessed(version); // Only files that made it to storage can be reviewed
+    const submitted = await submitForReview(version, req.user._id); // Start a new review round
+
+    await recordActivity(req, { action: "version:submit", targetType: "version", targetId: version._id, before: { reviewStatus: version.reviewStatus }, after: { reviewStatus: submitted.reviewStatus } });
+
+    res.status(200).json(new ApiResponse(200, { version: submitted }, "Version submitted for review successfully")); // Send the response
+});
+
+/**
+ * Controller to approve a version in review
+ * The version only becomes approved once the project's review policy is met
+ */
+const approveVersion = asyncHandler(async (req, res) => {
+    const { version, review } = await reviewVersion(req, 'approve'); // Record the approval
+
+    const message = version.reviewStatus === 'approved' ? "Version approved successfully" : "Approval recorded, more approvals are required";
+    res.status(200).json(new ApiResponse(200, { version, review }, message)); // Send the response
+});
+
+/**
+ * Controller to reject a version in review, a reason is required
+ */
+const rejectVersion = asyncHandler(async (req, res) => {
+    const { version, review } = await reviewVersion(req, 'reject'); // Record the rejection
+
+    res.status(200).json(new ApiResponse(200, { version, review }, "Version rejected successfully")); // Send the response
+});
+
+/**
+ * Controller to send a version in review back to its author, a reason is required
+ */
+const requestVersionChanges = asyncHandler(async (req, res) => {
+    const { version, review } = await reviewVersion(req, 'request_changes'); // Record the request for changes
 
-    res.status(200).json(new ApiResponse(200, { version }, "Version approved successfully")); // Send the response
+    res.status(200).json(new ApiResponse(200, { version, review }, "Changes requested successfully")); // Send the response
 });
 
 export default {
     getAllVersions,
+    getVersionGraph,
     createVersion,
     getVersionById,
     updateVersion,
     deleteVersion,
-    approveVersion
+    downloadVersion,
+    downloadPreview,
+    verifyVersion,
+    diffVersions,
+    revertVersion,
+    getVersionReview,
+    submitVersion,
+    approveVersion,
+    rejectVersion,
+    requestVersionChanges
 }; // Export the controllers
 
 /*
@@ -190,10 +518,20 @@ asyncHandler: A utility function to handle asynchronous operations and catch err
 req.params: Contains route parameters, used to extract contentId, versionId, etc., from the URL.
 req.body: Contains data sent by the client in the request body.
 req.files: Contains uploaded files, handled by multer.
+queueVersion: Checks an upload against the content type registry, creates its version in the "processing" state and queues the job that hashes, measures and stores it.
+requireProcessed: Refuses to review, diff or restore versions whose upload is still processing or failed.
 req.user: Contains the authenticated user's information, including projectRoles which stores the user's roles for different projects.
-uploadOnCloudinary: Utility function to upload files to Cloudinary and get the file URL.
-Version.create, Version.findById, Version.findByIdAndUpdate, Version.findByIdAndRemove: Mongoose methods to interact with the Version model for creating, fetching, updating, and deleting documents.
-Content.findById: Mongoose method to find content by its ID.
+req.projectRole, req.projectPermissions: The caller's role in the project and the actions it allows, set by the authorize middleware that guards every route.
+downloadPreview: Streams the thumbnail or preview of a version from storage, by the key the preview job stored.
+storage: The configured storage driver (Cloudinary or local disk) exposing put/get/delete/stat/stream.
+trashVersion: Soft deletes a version; it stays in the project's trash until restored or purged, versions themselves are never modified.
+hashStream: SHA-256 helper used for integrity checks of stored files.
+submitForReview, recordDecision: Move a version through the review states (draft, in review, changes requested, approved, rejected); decisions are pushed atomically and checked against the project's review policy.
+carryForwardAnnotations: Copies the unresolved annotations of a new version's parents onto it, flagged as carried forward.
+isTextVersion, diffText: Helpers that decide whether a version is text-based and build a unified diff plus a structured hunk list.
+Version.create, Version.find, Version.findOne: Mongoose methods to interact with the Version model for creating and fetching documents.
+Content.findOne: Mongoose method to find content by its ID.
+deletedAt: null: Query filter that leaves out trashed (soft deleted) documents.
 ApiError: Custom error class used to throw API-specific errors with appropriate status codes.
 ApiResponse: Custom response class used to standardize API responses with a consistent structure. 
 */
\ No newline at end of file
@@ -0,0 +1,238 @@
+import { asyncHandler } from "../utils/asynchandler.js"; // Utility function to handle async errors
+import { Webhook } from "../models/webhook.model.js"; // Import the Webhook model
+import { WebhookDelivery } from "../models/webhookDelivery.model.js"; // Import the WebhookDelivery model
+import { ApiError } from "../utils/ApiError.js"; // Custom error class for API errors
+import { ApiResponse } from "../utils/ApiResponse.js"; // Custom response class for API responses
+import { getPagination } from "../utils/pagination.js"; // Page and limit from the query string
+import { recordActivity } from "../utils/activity.js"; // Audit log
+import { isValidEventPattern, checkWebhookUrl, generateSecret, createDelivery } from "../utils/webhooks.js"; // Signing and delivery
+
+/**
+ * Helper function to describe a webhook for the audit log
+ * Only the host is logged, the path of many webhook URLs (e.g. Slack's) is itself a secret
+ * @param {Object} webhook - The webhook document
+ * @returns {Object} - { host, events, active }
+ */
+const auditFields = (webhook) => ({ host: new URL(webhook.url).host, events: webhook.events, active: webhook.active });
+
+/**
+ * Helper function to check the event selection of a webhook
+ * @param {String[]} events - e.g. ["version:create", "version:approve"], ["version:*"] or ["*"]
+ * @returns {String[]} - The events without duplicates
+ */
+const validateEvents = (events) => {
+    if (!Array.isArray(events) || !events.length) {
+        throw new ApiError(400, "Select at least one event");
+    }
+    const invalid = events.filter((event) => !isValidEventPattern(event));
+    if (invalid.length) {
+        throw new ApiError(400, "Invalid events", invalid.map((event) => ({ event })));
+    }
+    return [...new Set(events)];
+};
+
+/**
+ * Helper function to find a webhook of the project in the request
+ * @param {Object} req - The request, with projectId and webhookId parameters
+ * @returns {Object} - The webhook document
+ */
+const findWebhook = async (req) => {
+    const { projectId, webhookId } = req.params; // Get the projectId and webhookId from the request parameters
+
+    const webhook = await Webhook.findOne({ _id: webhookId, projectId });
+    if (!webhook) {
+        throw new ApiError(404, "Webhook not found");
+    }
+    return webhook;
+};
+
+/**
+ * Controller to list the webhooks of a project
+ */
+const getWebhooks = asyncHandler(async (req, res) => {
+    const webhooks = await Webhook.find({ projectId: req.params.projectId }).sort({ createdAt: 1 });
+
+    res.status(200).json(new ApiResponse(200, webhooks, "Webhooks fetched successfully")); // Send the response
+});
+
+/**
+ * Controller for an owner to register a webhook endpoint
+ * The signing secret is only returned here and when it is rotated
+ */
+const createWebhook = asyncHandler(async (req, res) => {
+    const { url, events, description = "" } = req.body; // Get the endpoint and events from the request body
+
+    const secret = generateSecret();
+    const webhook = await Webhook.create({
+        projectId: req.params.projectId,
+        url: await checkWebhookUrl(url),
+        events: validateEvents(events),
+        description,
+        secret,
+        createdBy: req.user._id
+    });
+
+    await recordActivity(req, { action: "webhook:create", targetType: "webhook", targetId: webhook._id, after: auditFields(webhook) });
+
+    res.status(201).json(new ApiResponse(201, { webhook, secret }, "Webhook created successfully")); // Send the response
+});
+
+/**
+ * Controller to get a webhook
+ */
+const getWebhookById = asyncHandler(async (req, res) => {
+    const webhook = await findWebhook(req); // Find the webhook
+
+    res.status(200).json(new ApiResponse(200, webhook, "Webhook fetched successfully")); // Send the response
+});
+
+/**
+ * Controller for an owner to change a webhook's URL, events or description, or to pause it
+ */
+const updateWebhook = asyncHandler(async (req, res) => {
+    const { url, events, description, active } = req.body; // Get the changes from the request body
+
+    const webhook = await findWebhook(req); // Find the webhook
+    const before = auditFields(webhook);
+
+    if (url !== undefined) {
+        webhook.url = await checkWebhookUrl(url);
+    }
+    if (events !== undefined) {
+        webhook.events = validateEvents(events);
+    }
+    if (description !== undefined) {
+        webhook.description = description;
+    }
+    if (active !== undefined) {
+        webhook.active = active === true || active === "true";
+    }
+    await webhook.save(); // Save the webhook
+
+    await recordActivity(req, { action: "webhook:update", targetType: "webhook", targetId: webhook._id, before, after: auditFields(webhook) });
+
+    res.status(200).json(new ApiResponse(200, webhook, "Webhook updated successfully")); // Send the response
+});
+
+/**
+ * Controller for an owner to delete a webhook together with its delivery log
+ */
+const deleteWebhook = asyncHandler(async (req, res) => {
+    const webhook = await findWebhook(req); // Find the webhook
+
+    await WebhookDelivery.deleteMany({ webhookId: webhook._id });
+    await webhook.deleteOne();
+
+    await recordActivity(req, { action: "webhook:delete", targetType: "webhook", targetId: webhook._id, before: auditFields(webhook) });
+
+    res.status(200).json(new ApiResponse(200, {}, "Webhook deleted successfully")); // Send the response
+});
+
+/**
+ * Controller for an owner to replace a webhook's signing secret, the old one stops working at once
+ */
+const rotateWebhookSecret = asyncHandler(async (req, res) => {
+    const webhook = await findWebhook(req); // Find the webhook
+
+    const secret = generateSecret();
+    webhook.secret = secret;
+    await webhook.save(); // Save the webhook
+
+    await recordActivity(req, { action: "webhook:rotate_secret", targetType: "webhook", targetId: webhook._id });
+
+    res.status(200).json(new ApiResponse(200, { webhook, secret }, "Webhook secret rotated successfully")); // Send the response
+});
+
+/**
+ * Controller to send a test event to a webhook, whatever events it subscribed to
+ */
+const pingWebhook = asyncHandler(async (req, res) => {
+    const webhook = await findWebhook(req); // Find the webhook
+
+    const delivery = await createDelivery({
+        webhookId: webhook._id,
+        projectId: webhook.projectId,
+        event: "webhook:ping",
+        payload: { event: "webhook:ping", projectId: webhook.projectId, occurredAt: new Date(), data: { webhookId: webhook._id } }
+    });
+
+    res.status(200).json(new ApiResponse(200, delivery, "Ping sent")); // Send the response
+});
+
+/**
+ * Controller to list the deliveries of a webhook, newest first, optionally by status
+ */
+const getDeliveries = asyncHandler(async (req, res) => {
+    const webhook = await findWebhook(req); // Find the webhook
+    const { page, limit, skip } = getPagination(req.query);
+
+    const filter = { webhookId: webhook._id };
+    if (req.query.status) {
+        filter.status = req.query.status;
+    }
+
+    const [deliveries, totalDeliveries] = await Promise.all([
+        WebhookDelivery.find(filter).select("-payload").sort({ createdAt: -1 }).skip(skip).limit(limit),
+        WebhookDelivery.countDocuments(filter)
+    ]);
+    const totalPages = Math.ceil(totalDeliveries / limit);
+
+    res.status(200).json(new ApiResponse(200, { deliveries, page, totalPages, totalDeliveries }, "Deliveries fetched successfully")); // Send the response
+});
+
+/**
+ * Controller to get a delivery with its payload and every attempt
+ */
+const getDeliveryById = asyncHandler(async (req, res) => {
+    const webhook = await findWebhook(req); // Find the webhook
+
+    const delivery = await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhookId: webhook._id });
+    if (!delivery) {
+        throw new ApiError(404, "Delivery not found");
+    }
+
+    res.status(200).json(new ApiResponse(200, delivery, "Delivery fetched successfully")); // Send the response
+});
+
+/**
+ * Controller to send the payload of an earlier delivery again as a new delivery
+ */
+const redeliver = asyncHandler(async (req, res) => {
+    const webhook = await findWebhook(req); // Find the webhook
+
+    const original = await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhookId: webhook._id });
+    if (!original) {
+        throw new ApiError(404, "Delivery not found");
+    }
+
+    const delivery = await createDelivery({
+        webhookId: webhook._id,
+        projectId: webhook.projectId,
+        event: original.event,
+        payload: original.payload,
+        redeliveryOf: original._id
+    });
+
+    res.status(200).json(new ApiResponse(200, delivery, "Delivery sent again")); // Send the response
+});
+
+export default {
+    getWebhooks,
+    createWebhook,
+    getWebhookById,
+    updateWebhook,
+    deleteWebhook,
+    rotateWebhookSecret,
+    pingWebhook,
+    getDeliveries,
+    getDeliveryById,
+    redeliver
+}; // Export the controllers
+
+/*
+Webhook: An endpoint that receives a POST for each recorded project action it subscribed to ("version:create", "version:*", "*").
+X-Webhook-Signature: "sha256=" + HMAC-SHA256 of "<X-Webhook-Timestamp>.<raw body>" with the webhook's secret; receivers recompute it to check the sender.
+WebhookDelivery: One payload sent to one webhook; every attempt is logged with its status code, failures are retried with growing delays before the delivery is marked failed.
+redeliver: Sends the exact payload of an earlier delivery again as a new delivery.
+checkWebhookUrl: Refuses hosts that resolve to loopback, private or link-local addresses unless they are listed in WEBHOOK_ALLOWED_HOSTS; checked on registration and before every attempt, and redirects are never followed.
+*/
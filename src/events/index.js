@@ -0,0 +1,25 @@
+import { EventEmitter } from "events";
+
+// In-process event bus; changes are published here once they are written to the audit log
+// so notifications and other side effects don't have to be wired into every controller
+const events = new EventEmitter();
+events.setMaxListeners(0); // One listener per open connection is expected later on
+
+/**
+ * Subscribe an async handler to an event
+ * Handlers run after the response is on its way, their errors are logged instead of reaching the request
+ * @param {String} name - The event name, e.g. "activity"
+ * @param {Function} handler - Called with the event payload
+ * @returns {Function} - Unsubscribes the handler
+ */
+const subscribe = (name, handler) => {
+    const listener = (payload) => {
+        Promise.resolve()
+            .then(() => handler(payload))
+            .catch((error) => console.error(`Handler for ${name} failed:`, error.message));
+    };
+    events.on(name, listener);
+    return () => events.off(name, listener);
+};
+
+export { events, subscribe };
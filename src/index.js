@@ -1,10 +1,18 @@
 import "dotenv/config";
 import connectDB from "./db/index.js";
 import {app} from './app.js';
+import { startWebhookRetries } from "./utils/webhooks.js";
+import { startJobWorker } from "./utils/jobs.js";
+import { startTempSweep } from "./utils/processing.js";
+import { startUploadExpiry } from "./utils/uploads.js";
 
 connectDB()
 
 .then(() => {
+    startWebhookRetries(); // Failed webhook deliveries are retried once the database is up
+    startJobWorker(); // Uploads queued before a restart are picked up again
+    startTempSweep(); // Leftover uploads in public/temp are removed
+    startUploadExpiry(); // Idle resumable uploads expire and their chunks are deleted
     app.listen(process.env.PORT || 8000, () => {
         console.log(`Server running at port: ${process.env.PORT}`);
     });
@@ -0,0 +1,14 @@
+/**
+ * Mail transport that prints messages to the console, for local development
+ * @returns {Object} - A mail transport (send)
+ */
+const createConsoleTransport = () => {
+    const send = async (message) => {
+        console.log(`\n[mail] To: ${message.to}\n[mail] From: ${message.from}\n[mail] Subject: ${message.subject}\n\n${message.text}\n`);
+        return { delivered: true };
+    };
+
+    return { name: "console", send };
+};
+
+export { createConsoleTransport };
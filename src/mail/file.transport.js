@@ -0,0 +1,22 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+/**
+ * Mail transport that writes every message as a JSON file, for local use and tests
+ * @param {Object} options
+ * @param {String} options.dir - Directory the messages are written to
+ * @returns {Object} - A mail transport (send)
+ */
+const createFileTransport = ({ dir }) => {
+    const send = async (message) => {
+        await fs.promises.mkdir(dir, { recursive: true });
+        const filePath = path.join(dir, `${Date.now()}-${crypto.randomUUID()}.json`);
+        await fs.promises.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+        return { delivered: true, filePath };
+    };
+
+    return { name: "file", send };
+};
+
+export { createFileTransport };
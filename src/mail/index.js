@@ -0,0 +1,28 @@
+import "dotenv/config";
+import { createConsoleTransport } from "./console.transport.js";
+import { createFileTransport } from "./file.transport.js";
+
+/**
+ * Build the mail transport selected by MAIL_TRANSPORT ("console" or "file")
+ * Every transport exposes send({ to, from, subject, text }) -> { delivered }
+ * A real provider only needs to implement the same send() to be plugged in here
+ */
+const createMailer = (transport = process.env.MAIL_TRANSPORT || "console") => {
+    switch (transport) {
+        case "console":
+            return createConsoleTransport();
+        case "file":
+            return createFileTransport({ dir: process.env.MAIL_FILE_DIR || "./mail-outbox" });
+        default:
+            throw new Error(`Unknown mail transport: ${transport}`);
+    }
+};
+
+const transport = createMailer();
+
+// Send a message through the configured transport, filling in the sender address
+const mailer = {
+    send: (message) => transport.send({ from: process.env.MAIL_FROM || "no-reply@localhost", ...message }),
+};
+
+export { mailer, createMailer };
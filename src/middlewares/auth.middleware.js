@@ -1,19 +1,36 @@
 import jwt from 'jsonwebtoken';
 import { ApiError } from "../utils/ApiError.js";
 import { User } from "../models/user.model.js";
+import { asyncHandler } from "../utils/asynchandler.js";
 
-export const verifyToken = async (req, res, next) => {
+export const verifyToken = asyncHandler(async (req, res, next) => {
     const token = req.cookies.accessToken || req.headers['authorization']?.split(' ')[1]; // if cookies not sent, see the authorization header
 
     if (!token) {
         throw new ApiError(401, "Unauthorized Request");
     }
 
+    let decoded;
     try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET_KEY);
-        req.user = await User.findById(decoded._id).select('-password -refreshToken');
-        next();
+        decoded = jwt.verify(token, process.env.JWT_SECRET_KEY);
     } catch (error) {
         throw new ApiError(401, "Invalid token");
     }
+
+    req.user = await User.findById(decoded._id).select('-password -refreshToken');
+    if (!req.user) {
+        throw new ApiError(401, "Invalid token"); // The account was deleted after the token was issued
+    }
+    next(); // Called outside the try so errors from later handlers aren't reported as bad tokens
+});
+
+/**
+ * Let a route take the access token from the access_token query parameter
+ * Only meant for routes opened by EventSource, which can't send an Authorization header
+ */
+export const tokenFromQuery = (req, res, next) => {
+    if (!req.headers['authorization'] && typeof req.query.access_token === "string") {
+        req.headers['authorization'] = `Bearer ${req.query.access_token}`;
+    }
+    next();
 };
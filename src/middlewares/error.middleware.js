@@ -0,0 +1,27 @@
+import { ApiError } from "../utils/ApiError.js";
+
+// Turn errors thrown by routes into the same JSON shape ApiResponse uses
+export const errorHandler = (err, req, res, next) => {
+    if (res.headersSent) {
+        return next(err); // A streamed response already started, let Express close the connection
+    }
+
+    let error = err;
+    if (err.code === "LIMIT_FILE_SIZE") {
+        error = new ApiError(413, "File is too large"); // Multer stopped reading the upload
+    } else if (!(err instanceof ApiError)) {
+        error = new ApiError(err.name === "CastError" ? 400 : err.statusCode || err.status || 500, err.message); // CastError: malformed ObjectId
+    }
+
+    if (error.statusCode >= 500) {
+        console.log("Request failed:", err);
+    }
+
+    res.status(error.statusCode).json({
+        statusCode: error.statusCode,
+        data: error.data,
+        message: error.message,
+        success: false,
+        errors: error.errors
+    });
+};
@@ -1,13 +1,14 @@
 import multer from "multer"
+import { MAX_UPLOAD_SIZE } from "../policies/contentTypes.js"
 
 const storage = multer.diskStorage({
     destination: function (req, file, cb) {
         cb(null, './public/temp')
     },
     filename: function (req, file, cb) {
-        // const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9)
-        cb(null, file.originalname)
+        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9)
+        cb(null, uniqueSuffix + '-' + file.originalname) // Keep concurrent uploads of the same name apart
     }
 })
 
-export const upload = multer({ storage: storage })
\ No newline at end of file
+export const upload = multer({ storage: storage, limits: { fileSize: MAX_UPLOAD_SIZE } }) // Per-type limits are checked once the content is known
\ No newline at end of file
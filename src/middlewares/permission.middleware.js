@@ -0,0 +1,63 @@
+import { ApiError } from "../utils/ApiError.js";
+import { asyncHandler } from "../utils/asynchandler.js";
+import { Project } from "../models/project.model.js";
+import { Content } from "../models/content.model.js";
+import { Version } from "../models/version.model.js";
+import { can, permissionsFor } from "../policies/permissions.js";
+import { PROJECT_ROLES } from "../constants.js";
+
+/**
+ * Middleware factory that only lets users through whose project role allows an action
+ * The project comes from the :projectId route parameter (or projectId in the body for routes without one),
+ * and :contentId / :versionId parameters are checked to belong to that project so IDs can't be mixed across projects
+ * @param {String|Function} action - The action, or a function deriving it from the request
+ * Custom roles are looked up on the project, built-in roles come straight from the policy table
+ * @returns {Function} - Express middleware; sets req.projectRole and req.projectPermissions for the handlers after it
+ */
+export const authorize = (action) =>
+    asyncHandler(async (req, res, next) => {
+        const projectId = req.params.projectId || req.body?.projectId;
+        if (!projectId) {
+            throw new ApiError(400, "Project ID is required");
+        }
+
+        const resolvedAction = typeof action === "function" ? action(req) : action;
+        const role = req.user.projectRoles.get(projectId.toString());
+
+        let customRoles = [];
+        if (role && !PROJECT_ROLES.includes(role)) {
+            customRoles = (await Project.findById(projectId).select("roles"))?.roles || [];
+        }
+
+        if (!can(role, resolvedAction, customRoles)) {
+            throw new ApiError(403, "Permission Denied", [{ action: resolvedAction }]);
+        }
+
+        const { contentId, versionId } = req.params;
+        if (contentId && !(await Content.exists({ _id: contentId, projectId }))) {
+            throw new ApiError(404, "Content not found");
+        }
+        if (contentId && versionId && !(await Version.exists({ _id: versionId, contentId }))) {
+            throw new ApiError(404, "Version not found");
+        }
+
+        req.projectRole = role;
+        req.projectPermissions = permissionsFor(role, customRoles);
+        next();
+    });
+
+/**
+ * Middleware that lets any member of the :projectId project through, whatever their role allows
+ * For what every member may always do, such as leaving the project, which no role should be able to take away
+ * @returns {Function} - Express middleware; sets req.projectRole for the handlers after it
+ */
+export const requireMember = () =>
+    asyncHandler(async (req, res, next) => {
+        const role = req.user.projectRoles.get(req.params.projectId);
+        if (!role) {
+            throw new ApiError(403, "You are not a member of this project");
+        }
+
+        req.projectRole = role;
+        next();
+    });
@@ -0,0 +1,70 @@
+import mongoose, { Schema } from "mongoose";
+
+const auditLogSchema = new Schema(
+    {
+        // Empty for account actions that don't belong to a project
+        projectId:
+        {
+            type: Schema.Types.ObjectId,
+            ref: 'Project',
+            default: null
+        },
+        actorId:
+        {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        // What happened, "<target>:<verb>" like the permission actions, e.g. "version:delete" or "member:update"
+        action:
+        {
+            type: String,
+            required: true
+        },
+        targetType:
+        {
+            type: String,
+            required: true
+        },
+        targetId:
+        {
+            type: Schema.Types.ObjectId
+        },
+        // Short summaries of the fields that changed, not full documents
+        before:
+        {
+            type: Schema.Types.Mixed,
+            default: null
+        },
+        after:
+        {
+            type: Schema.Types.Mixed,
+            default: null
+        }
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false }
+    }
+);
+
+// The log is append-only, entries are never changed or removed through the model
+auditLogSchema.pre('save', function (next) {
+    if (!this.isNew) {
+        return next(new Error("Audit log entries can't be changed"));
+    }
+    next();
+});
+
+const refuseChange = function (next) {
+    next(new Error("Audit log entries can't be changed"));
+};
+["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "deleteOne", "deleteMany", "findOneAndDelete"].forEach((operation) => {
+    auditLogSchema.pre(operation, refuseChange);
+});
+
+// The feeds list newest first per project and per actor
+auditLogSchema.index({ projectId: 1, createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+auditLogSchema.index({ targetId: 1, createdAt: -1 });
+
+export const AuditLog = mongoose.model("AuditLog", auditLogSchema);
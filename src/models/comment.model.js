@@ -1,13 +1,76 @@
 import mongoose, { Schema } from "mongoose";
 
+// Where on a media version an annotation points: a moment, a stretch of time or a rectangle of the frame
+const anchorSchema = new Schema(
+    {
+        kind:
+        {
+            type: String,
+            enum: ['time', 'range', 'region'],
+            required: true
+        },
+        // Seconds from the start of the media; for regions on video, the frame the region is drawn on
+        start:
+        {
+            type: Number,
+            min: 0
+        },
+        end:
+        {
+            type: Number,
+            min: 0
+        },
+        // Region as fractions (0 to 1) of the image size, so it stays in place at any resolution
+        x:
+        {
+            type: Number,
+            min: 0,
+            max: 1
+        },
+        y:
+        {
+            type: Number,
+            min: 0,
+            max: 1
+        },
+        width:
+        {
+            type: Number,
+            min: 0,
+            max: 1
+        },
+        height:
+        {
+            type: Number,
+            min: 0,
+            max: 1
+        }
+    },
+    {
+        _id: false
+    }
+);
+
 const commentSchema = new Schema(
     {
-        // projectId: 
-        // {
-        //     type: Schema.Types.ObjectId,
-        //     ref: 'Project',
-        //     required: true
-        // },
+        projectId: 
+        {
+            type: Schema.Types.ObjectId,
+            ref: 'Project',
+            required: true
+        },
+        // What the comment is about: the project itself, one of its content items or a specific version
+        targetType:
+        {
+            type: String,
+            enum: ['project', 'content', 'version'],
+            default: 'project'
+        },
+        targetId:
+        {
+            type: Schema.Types.ObjectId,
+            required: true
+        },
         userId: 
         {
             type: Schema.Types.ObjectId,
@@ -19,10 +82,100 @@ const commentSchema = new Schema(
             type: String,
             required: true
         },
+        // The comment this one replies to, null for the first comment of a thread
+        parentId:
+        {
+            type: Schema.Types.ObjectId,
+            ref: 'Comment',
+            default: null
+        },
+        // The first comment of the thread, so a whole thread is fetched with one query
+        threadId:
+        {
+            type: Schema.Types.ObjectId,
+            ref: 'Comment',
+            default: null
+        },
+        // Project members mentioned with @username
+        mentions:
+        [
+            {
+                type: Schema.Types.ObjectId,
+                ref: 'User'
+            }
+        ],
+        // Set for annotations, comments anchored to a point, range or region of a version
+        anchor:
+        {
+            type: anchorSchema,
+            default: null
+        },
+        // Unresolved annotations are copied to new versions, the copy points at the annotation it came from
+        carriedForward:
+        {
+            type: Boolean,
+            default: false
+        },
+        carriedFrom:
+        {
+            type: Schema.Types.ObjectId,
+            ref: 'Comment'
+        },
+        // The annotation the chain of copies started with
+        originalId:
+        {
+            type: Schema.Types.ObjectId,
+            ref: 'Comment'
+        },
+        // Threads are resolved as a whole, so only the first comment carries these
+        resolved:
+        {
+            type: Boolean,
+            default: false
+        },
+        resolvedBy:
+        {
+            type: Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        resolvedAt:
+        {
+            type: Date
+        },
+        editedAt:
+        {
+            type: Date
+        },
+        // Deleted comments keep their place in the thread, only their text is removed
+        deletedAt:
+        {
+            type: Date,
+            default: null
+        },
+        deletedBy:
+        {
+            type: Schema.Types.ObjectId,
+            ref: 'User'
+        }
     },
     {
         timestamps:true
     }
 );
 
-export const Comment = mongoose.model("Comment", commentSchema)
\ No newline at end of file
+// Deleted comments are sent without their text and mentions
+commentSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        if (ret.deletedAt) {
+            ret.text = null;
+            ret.mentions = [];
+        }
+        return ret;
+    }
+});
+
+// Threads are listed per target, replies per thread
+commentSchema.index({ projectId: 1, targetType: 1, targetId: 1, parentId: 1, createdAt: -1 });
+commentSchema.index({ threadId: 1, createdAt: 1 });
+
+export const Comment = mongoose.model("Comment", commentSchema)
@@ -1,4 +1,5 @@
 import mongoose, { Schema } from "mongoose";
+import { DEFAULT_BRANCH } from "../constants.js";
 
 const contentSchema = new Schema(
     {
@@ -8,22 +9,102 @@ const contentSchema = new Schema(
             ref: 'Project',
             required: true
         },
+        // Key of the content type registry, e.g. "video" or "script"
         type: 
         {
             type: String,
             required: true
         },
+        // Required for new content, items created before titles existed have none
+        title:
+        {
+            type: String,
+            trim: true
+        },
+        description:
+        {
+            type: String,
+            default: ""
+        },
+        tags:
+        [
+            {
+                type: String,
+                lowercase: true,
+                trim: true
+            }
+        ],
         versions:
         [
             {
                 type: Schema.Types.ObjectId,
                 ref:'Version'
             }
-        ]
+        ],
+        // Named lines of development, e.g. "director-cut" or "social-cut"
+        branches:
+        [
+            {
+                name:
+                {
+                    type: String,
+                    required: true
+                },
+                // Latest version on the branch, new uploads use it as their parent
+                head:
+                {
+                    type: Schema.Types.ObjectId,
+                    ref: 'Version'
+                },
+                createdBy:
+                {
+                    type: Schema.Types.ObjectId,
+                    ref: 'User'
+                },
+                createdAt:
+                {
+                    type: Date,
+                    default: Date.now
+                }
+            }
+        ],
+        // Soft delete: the document sits in the project's trash until it is restored or purged
+        deletedAt:
+        {
+            type: Date,
+            default: null
+        },
+        deletedBy:
+        {
+            type: Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        // True when the document was trashed together with its parent (content or project)
+        deletedCascade:
+        {
+            type: Boolean,
+            default: false
+        }
     },
     {
         timestamps:true
     }
 );
 
+// Find a branch by name
+// Content created before branches existed gets a default branch pointing at its latest version
+contentSchema.methods.resolveBranch = async function (name) {
+    let branch = this.branches.find((b) => b.name === name);
+    if (!branch && name === DEFAULT_BRANCH) {
+        const latest = await mongoose.model("Version").findOne({ contentId: this._id, deletedAt: null }).sort({ createdAt: -1 });
+        this.branches.push({ name, head: latest?._id });
+        branch = this.branches[this.branches.length - 1];
+    }
+    return branch || null;
+};
+
+// Content is listed and filtered by type and tag within a project
+contentSchema.index({ projectId: 1, type: 1 });
+contentSchema.index({ projectId: 1, tags: 1 });
+
 export const Content = mongoose.model("Content", contentSchema);
\ No newline at end of file
@@ -0,0 +1,90 @@
+import mongoose, { Schema } from "mongoose";
+
+const inviteSchema = new Schema(
+    {
+        projectId:
+        {
+            type: Schema.Types.ObjectId,
+            ref: 'Project',
+            required: true
+        },
+        // Role granted to whoever accepts the invite, any role but owner
+        role:
+        {
+            type: String,
+            required: true
+        },
+        // Optional address the invite was sent to, only that account can accept it
+        email:
+        {
+            type: String,
+            lowercase: true,
+            trim: true
+        },
+        // SHA-256 of the invite token, the token itself is only shown once
+        tokenHash:
+        {
+            type: String,
+            required: true,
+            unique: true,
+            select: false
+        },
+        createdBy:
+        {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        expiresAt:
+        {
+            type: Date,
+            required: true
+        },
+        maxUses:
+        {
+            type: Number,
+            default: 1,
+            min: 1
+        },
+        uses:
+        {
+            type: Number,
+            default: 0
+        },
+        acceptedBy:
+        [
+            {
+                userId:
+                {
+                    type: Schema.Types.ObjectId,
+                    ref: 'User'
+                },
+                acceptedAt:
+                {
+                    type: Date,
+                    default: Date.now
+                }
+            }
+        ],
+        revokedAt:
+        {
+            type: Date
+        },
+        revokedBy:
+        {
+            type: Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    },
+    {
+        timestamps: true,
+        toJSON: { virtuals: true }
+    }
+);
+
+// An invite can be accepted while it is not revoked, not expired and has uses left
+inviteSchema.virtual('isActive').get(function () {
+    return !this.revokedAt && this.expiresAt > new Date() && this.uses < this.maxUses;
+});
+
+export const Invite = mongoose.model("Invite", inviteSchema)
@@ -0,0 +1,85 @@
+import mongoose, { Schema } from "mongoose";
+
+const jobSchema = new Schema(
+    {
+        // Which handler runs the job, e.g. "version:process"
+        type:
+        {
+            type: String,
+            required: true
+        },
+        // Handed to the handler, e.g. { versionId, filePath }
+        payload:
+        {
+            type: Schema.Types.Mixed,
+            default: {}
+        },
+        projectId:
+        {
+            type: Schema.Types.ObjectId,
+            ref: 'Project'
+        },
+        createdBy:
+        {
+            type: Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        status:
+        {
+            type: String,
+            enum: ['queued', 'running', 'succeeded', 'failed'],
+            default: 'queued'
+        },
+        attempts:
+        {
+            type: Number,
+            default: 0
+        },
+        maxAttempts:
+        {
+            type: Number,
+            default: 3
+        },
+        // When the job may run next, pushed back after a failed attempt
+        runAt:
+        {
+            type: Date,
+            default: Date.now
+        },
+        // Set while a worker runs the job; a worker that crashed lets it expire and the job runs again
+        lockedUntil:
+        {
+            type: Date,
+            default: null
+        },
+        // Why the last attempt failed
+        lastError:
+        {
+            type: String,
+            default: null
+        },
+        // What the handler returned, e.g. { versionId }
+        result:
+        {
+            type: Schema.Types.Mixed,
+            default: null
+        },
+        startedAt:
+        {
+            type: Date,
+            default: null
+        },
+        finishedAt:
+        {
+            type: Date,
+            default: null
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+jobSchema.index({ status: 1, runAt: 1 });
+
+export const Job = mongoose.model("Job", jobSchema);
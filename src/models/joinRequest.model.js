@@ -0,0 +1,60 @@
+import mongoose, { Schema } from "mongoose";
+
+const joinRequestSchema = new Schema(
+    {
+        projectId:
+        {
+            type: Schema.Types.ObjectId,
+            ref: 'Project',
+            required: true
+        },
+        requesterId:
+        {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        // Role the requester would like to have in the project, any role but owner
+        role:
+        {
+            type: String,
+            required: true
+        },
+        message:
+        {
+            type: String,
+            default: ""
+        },
+        status:
+        {
+            type: String,
+            enum: ['pending', 'approved', 'rejected', 'cancelled'],
+            default: 'pending'
+        },
+        // Owner who approved or rejected the request
+        decidedBy:
+        {
+            type: Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        decidedAt:
+        {
+            type: Date
+        },
+        reason:
+        {
+            type: String
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// A user can only have one pending request per project
+joinRequestSchema.index(
+    { projectId: 1, requesterId: 1 },
+    { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+export const JoinRequest = mongoose.model("JoinRequest", joinRequestSchema)
@@ -0,0 +1,55 @@
+import mongoose, { Schema } from "mongoose";
+import { NOTIFICATION_TYPES } from "../constants.js";
+
+const notificationSchema = new Schema(
+    {
+        // The user the notification is for
+        userId:
+        {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        projectId:
+        {
+            type: Schema.Types.ObjectId,
+            ref: 'Project'
+        },
+        type:
+        {
+            type: String,
+            enum: NOTIFICATION_TYPES,
+            required: true
+        },
+        // The user whose action caused the notification
+        actorId:
+        {
+            type: Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        message:
+        {
+            type: String,
+            required: true
+        },
+        // IDs a client needs to open what the notification is about, e.g. { contentId, versionId, commentId }
+        data:
+        {
+            type: Schema.Types.Mixed,
+            default: {}
+        },
+        readAt:
+        {
+            type: Date,
+            default: null
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+// Notifications are listed per user, newest first, and counted while unread
+notificationSchema.index({ userId: 1, readAt: 1, createdAt: -1 });
+
+export const Notification = mongoose.model("Notification", notificationSchema);
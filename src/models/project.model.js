@@ -20,14 +20,65 @@ const projectSchema = new Schema(
                     type: Schema.Types.ObjectId,
                     ref: 'User'
                 },
+                // A built-in role (owner/editor/member) or the name of one of the project's custom roles
                 role:
                 {
                     type: String,
-                    enum: ['owner', 'editor', 'member'],
                     required: true
                 }
             }
         ],
+        // Roles defined by the owners on top of the built-in ones, e.g. "reviewer" or "uploader"
+        roles:
+        [
+            {
+                name:
+                {
+                    type: String,
+                    required: true
+                },
+                description:
+                {
+                    type: String,
+                    default: ""
+                },
+                // Actions from the permission policy, e.g. "version:approve"
+                permissions:
+                [
+                    {
+                        type: String
+                    }
+                ],
+                createdBy:
+                {
+                    type: Schema.Types.ObjectId,
+                    ref: 'User'
+                }
+            }
+        ],
+        // What it takes for a submitted version to become approved
+        reviewPolicy:
+        {
+            requiredApprovals:
+            {
+                type: Number,
+                default: 1,
+                min: 1
+            },
+            // At least one of the approvals has to come from an owner
+            requireOwner:
+            {
+                type: Boolean,
+                default: false
+            },
+            // Whether the uploader or submitter of a version may approve it
+            allowSelfApproval:
+            {
+                type: Boolean,
+                default: true
+            }
+        },
+        // Older comments were only listed here, comments now carry their projectId and target
         comments:
         [
             {
@@ -37,9 +88,26 @@ const projectSchema = new Schema(
         ],
         //[{{user},{role}}] 
         // [user:role]
+        // Set once the first release is published
         isReleased:
         {
             type:Boolean
+        },
+        latestRelease:
+        {
+            type: Schema.Types.ObjectId,
+            ref: 'Release'
+        },
+        // Soft delete: the document sits in the project's trash until it is restored or purged
+        deletedAt:
+        {
+            type: Date,
+            default: null
+        },
+        deletedBy:
+        {
+            type: Schema.Types.ObjectId,
+            ref: 'User'
         }
     },
     {
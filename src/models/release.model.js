@@ -0,0 +1,88 @@
+import mongoose, { Schema } from "mongoose";
+
+const releaseSchema = new Schema(
+    {
+        projectId:
+        {
+            type: Schema.Types.ObjectId,
+            ref: 'Project',
+            required: true
+        },
+        // Version label chosen by the owner, unique within the project, e.g. "v1.0" or "2024-06-final"
+        label:
+        {
+            type: String,
+            required: true
+        },
+        notes:
+        {
+            type: String,
+            default: ""
+        },
+        createdBy:
+        {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        // The approved version of every content item at the time of the release
+        items:
+        [
+            {
+                contentId:
+                {
+                    type: Schema.Types.ObjectId,
+                    ref: 'Content',
+                    required: true
+                },
+                versionId:
+                {
+                    type: Schema.Types.ObjectId,
+                    ref: 'Version',
+                    required: true
+                },
+                contentType:
+                {
+                    type: String
+                },
+                originalName:
+                {
+                    type: String
+                },
+                checksum:
+                {
+                    type: String
+                },
+                size:
+                {
+                    type: Number
+                },
+                _id: false
+            }
+        ],
+        // Content items that had no approved version and were left out
+        excluded:
+        [
+            {
+                type: Schema.Types.ObjectId,
+                ref: 'Content'
+            }
+        ]
+    },
+    {
+        timestamps: true
+    }
+);
+
+// Releases are immutable, a correction is a new release
+releaseSchema.pre('save', function (next) {
+    if (!this.isNew) {
+        return next(new Error("Releases are immutable, publish a new release instead"));
+    }
+    next();
+});
+
+releaseSchema.index({ projectId: 1, label: 1 }, { unique: true });
+releaseSchema.index({ projectId: 1, createdAt: -1 });
+
+export const Release = mongoose.model("Release", releaseSchema);
@@ -0,0 +1,101 @@
+import mongoose, { Schema } from "mongoose";
+
+// A resumable upload session: the file is received in chunks and becomes a version once complete
+const uploadSchema = new Schema(
+    {
+        projectId:
+        {
+            type: Schema.Types.ObjectId,
+            ref: 'Project',
+            required: true
+        },
+        contentId:
+        {
+            type: Schema.Types.ObjectId,
+            ref: 'Content',
+            required: true
+        },
+        userId:
+        {
+            type: Schema.Types.ObjectId,
+            ref: 'User',
+            required: true
+        },
+        originalName:
+        {
+            type: String,
+            required: true
+        },
+        mimeType:
+        {
+            type: String,
+            default: "application/octet-stream"
+        },
+        // Total size announced when the session was created
+        length:
+        {
+            type: Number,
+            required: true
+        },
+        // Bytes received so far, the next chunk has to start here
+        offset:
+        {
+            type: Number,
+            default: 0
+        },
+        // branch, parentIds and metadata, used like the fields of a multipart upload
+        fields:
+        {
+            type: Schema.Types.Mixed,
+            default: {}
+        },
+        // Where the received bytes are kept until the version is created
+        filePath:
+        {
+            type: String,
+            required: true,
+            select: false
+        },
+        status:
+        {
+            type: String,
+            enum: ['active', 'completed', 'failed', 'aborted', 'expired'],
+            default: 'active'
+        },
+        // Set while a chunk is being written, so two requests can't append at once
+        lockedUntil:
+        {
+            type: Date,
+            default: null
+        },
+        // Pushed back with every chunk, idle sessions expire and their bytes are deleted
+        expiresAt:
+        {
+            type: Date,
+            required: true
+        },
+        versionId:
+        {
+            type: Schema.Types.ObjectId,
+            ref: 'Version'
+        },
+        jobId:
+        {
+            type: Schema.Types.ObjectId,
+            ref: 'Job'
+        },
+        // Why the upload couldn't become a version
+        failureReason:
+        {
+            type: String,
+            default: null
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+uploadSchema.index({ status: 1, expiresAt: 1 });
+
+export const Upload = mongoose.model("Upload", uploadSchema);
@@ -26,13 +26,22 @@ const userSchema = new Schema(
             type: Map,
             of:
             {
-                type: String,
-                enum: ['owner', 'editor', 'member']
+                type: String // A built-in role or the name of a custom role of that project
             },
             default: {}
         },
         // Assign the role to the project in the user's projectRoles map:
         //user.projectRoles.set(projectId, role);
+        // Notification types the user turned on or off, types that are not listed are on
+        notificationPreferences:
+        {
+            type: Map,
+            of:
+            {
+                type: Boolean
+            },
+            default: {}
+        },
     },
     {
         timestamps: true
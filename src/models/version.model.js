@@ -1,4 +1,5 @@
 import mongoose, { Schema } from "mongoose";
+import { DEFAULT_BRANCH, REVIEW_STATUSES, REVIEW_DECISIONS } from "../constants.js";
 
 const versionSchema = new Schema(
     {
@@ -14,19 +15,247 @@ const versionSchema = new Schema(
             ref: 'User',
             required: true
         },
+        // Public URL of the stored file, null when the storage driver only serves files through the download route
+        // Filled in by the processing job together with storageKey
         filePath:
         {
             type: String,
-            required: true
+            default: null
+        },
+        // Key of the file in the configured storage driver
+        storageKey:
+        {
+            type: String
+        },
+        // Versions this one was derived from, more than one when branches are merged
+        parents:
+        [
+            {
+                type: Schema.Types.ObjectId,
+                ref: 'Version'
+            }
+        ],
+        branch:
+        {
+            type: String,
+            default: DEFAULT_BRANCH
+        },
+        // SHA-256 of the file contents, files are stored once per checksum
+        checksum:
+        {
+            type: String,
+            index: true
+        },
+        size:
+        {
+            type: Number
+        },
+        mimeType:
+        {
+            type: String
+        },
+        originalName:
+        {
+            type: String
+        },
+        // Described by the metadata schema of the content's type, e.g. duration and resolution for video
+        metadata:
+        {
+            type: Schema.Types.Mixed,
+            default: {}
+        },
+        // Uploads are hashed, measured and stored by a background job, the file fields are empty until it is ready
+        processingStatus:
+        {
+            type: String,
+            enum: ["processing", "ready", "failed"],
+            default: "ready"
+        },
+        processingError:
+        {
+            type: String,
+            default: null
+        },
+        // Why reading metadata from the file failed, the version is still processed with what could be read
+        metadataError:
+        {
+            type: String,
+            default: null
+        },
+        // The job processing the upload, clients poll it for progress
+        jobId:
+        {
+            type: Schema.Types.ObjectId,
+            ref: 'Job'
+        },
+        // Rendered in the background after upload: a small thumbnail for lists and a larger preview
+        // The URLs point at the previews route, which streams the images, when the storage driver doesn't serve files publicly
+        thumbnailUrl:
+        {
+            type: String,
+            default: null
+        },
+        previewUrl:
+        {
+            type: String,
+            default: null
+        },
+        // Storage keys of the rendered images, as returned by the storage driver
+        thumbnailKey:
+        {
+            type: String,
+            default: null
+        },
+        previewKey:
+        {
+            type: String,
+            default: null
+        },
+        previewStatus:
+        {
+            type: String,
+            enum: ["pending", "ready", "failed", "unsupported"],
+            default: "pending"
+        },
+        previewError:
+        {
+            type: String,
+            default: null
+        },
+        // True for the version currently approved for its content, only one version per content holds it
+        approved:
+        {
+            type: Boolean,
+            default: false
+        },
+        reviewStatus:
+        {
+            type: String,
+            enum: REVIEW_STATUSES,
+            default: "draft"
+        },
+        // Incremented on every submission, only decisions of the current round count
+        reviewRound:
+        {
+            type: Number,
+            default: 0
+        },
+        submittedBy:
+        {
+            type: Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        submittedAt:
+        {
+            type: Date
+        },
+        // Every decision ever recorded on the version, including earlier rounds
+        reviews:
+        [
+            {
+                reviewerId:
+                {
+                    type: Schema.Types.ObjectId,
+                    ref: 'User',
+                    required: true
+                },
+                // The reviewer's project role when deciding, used for the requireOwner policy
+                role:
+                {
+                    type: String
+                },
+                decision:
+                {
+                    type: String,
+                    enum: REVIEW_DECISIONS,
+                    required: true
+                },
+                reason:
+                {
+                    type: String,
+                    default: ""
+                },
+                round:
+                {
+                    type: Number,
+                    required: true
+                },
+                createdAt:
+                {
+                    type: Date,
+                    default: Date.now
+                }
+            }
+        ],
+        // Set when the version was created by reverting to an older one
+        revertedFrom:
+        {
+            type: Schema.Types.ObjectId,
+            ref: 'Version'
+        },
+        revertedBy:
+        {
+            type: Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        // Set when the uploaded file was identical to an existing version of the content, the stored file is shared with it
+        duplicateOf:
+        {
+            type: Schema.Types.ObjectId,
+            ref: 'Version',
+            default: null
+        },
+        // Soft delete: the document sits in the project's trash until it is restored or purged
+        deletedAt:
+        {
+            type: Date,
+            default: null
+        },
+        deletedBy:
+        {
+            type: Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        // True when the document was trashed together with its parent (content or project)
+        deletedCascade:
+        {
+            type: Boolean,
+            default: false
         },
-        // approved: 
-        // {
-        //     type: Boolean
-        // },
     },
     {
         timestamps: true
     }
 );
 
+// Fields describing the stored file and where the version came from can't change once created
+const IMMUTABLE_FIELDS = [
+    "contentId",
+    "uploadedBy",
+    "filePath",
+    "storageKey",
+    "checksum",
+    "size",
+    "mimeType",
+    "originalName",
+    "parents",
+    "branch",
+    "revertedFrom",
+    "revertedBy",
+    "duplicateOf",
+];
+
+versionSchema.pre('save', function (next) {
+    if (!this.isNew && IMMUTABLE_FIELDS.some((field) => this.isModified(field))) {
+        return next(new Error("Versions are immutable, upload a new version instead"));
+    }
+    next();
+});
+
+// Versions awaiting review are listed per content
+versionSchema.index({ contentId: 1, reviewStatus: 1 });
+
+// Identical uploads under the same content are looked up by checksum
+versionSchema.index({ contentId: 1, checksum: 1 });
+
 export const Version = mongoose.model("Version", versionSchema) 
\ No newline at end of file
@@ -0,0 +1,53 @@
+import mongoose, { Schema } from "mongoose";
+
+const webhookSchema = new Schema(
+    {
+        projectId:
+        {
+            type: Schema.Types.ObjectId,
+            ref: 'Project',
+            required: true
+        },
+        url:
+        {
+            type: String,
+            required: true
+        },
+        // Actions to deliver, e.g. "version:create", "version:*" for every version action or "*" for everything
+        events:
+        [
+            {
+                type: String
+            }
+        ],
+        description:
+        {
+            type: String,
+            default: ""
+        },
+        // Used to sign every payload, only shown when the webhook is created or the secret is rotated
+        secret:
+        {
+            type: String,
+            required: true,
+            select: false
+        },
+        active:
+        {
+            type: Boolean,
+            default: true
+        },
+        createdBy:
+        {
+            type: Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+webhookSchema.index({ projectId: 1, active: 1 });
+
+export const Webhook = mongoose.model("Webhook", webhookSchema);
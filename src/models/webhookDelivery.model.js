@@ -0,0 +1,88 @@
+import mongoose, { Schema } from "mongoose";
+
+const webhookDeliverySchema = new Schema(
+    {
+        webhookId:
+        {
+            type: Schema.Types.ObjectId,
+            ref: 'Webhook',
+            required: true
+        },
+        projectId:
+        {
+            type: Schema.Types.ObjectId,
+            ref: 'Project',
+            required: true
+        },
+        event:
+        {
+            type: String,
+            required: true
+        },
+        // The exact body that is sent, redeliveries send it again unchanged
+        payload:
+        {
+            type: Schema.Types.Mixed,
+            required: true
+        },
+        status:
+        {
+            type: String,
+            enum: ['pending', 'succeeded', 'failed'],
+            default: 'pending'
+        },
+        // One entry per attempt, with the endpoint's response code or the network error
+        attempts:
+        [
+            {
+                at:
+                {
+                    type: Date,
+                    default: Date.now
+                },
+                statusCode:
+                {
+                    type: Number
+                },
+                error:
+                {
+                    type: String
+                },
+                responseBody:
+                {
+                    type: String
+                },
+                durationMs:
+                {
+                    type: Number
+                }
+            }
+        ],
+        // When the next retry is due, null once the delivery succeeded or gave up
+        nextAttemptAt:
+        {
+            type: Date,
+            default: Date.now
+        },
+        // Set while a worker is sending the delivery so it isn't picked up twice
+        lockedUntil:
+        {
+            type: Date,
+            default: null
+        },
+        // The delivery this one was manually resent from
+        redeliveryOf:
+        {
+            type: Schema.Types.ObjectId,
+            ref: 'WebhookDelivery'
+        }
+    },
+    {
+        timestamps: true
+    }
+);
+
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+export const WebhookDelivery = mongoose.model("WebhookDelivery", webhookDeliverySchema);
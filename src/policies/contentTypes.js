@@ -0,0 +1,200 @@
+import path from "path";
+
+const MB = 1024 * 1024;
+const GB = 1024 * MB;
+
+// Every kind of content a project can hold, what files its versions may be and which metadata describes them
+// Metadata fields are { type: "number" | "integer" | "string", min, max, description }
+const CONTENT_TYPES = {
+    video: {
+        label: "Video",
+        mimeTypes: ["video/*", "application/mxf"],
+        extensions: [".mp4", ".mov", ".m4v", ".mkv", ".webm", ".avi", ".mxf"],
+        maxSize: 20 * GB,
+        metadata: {
+            duration: { type: "number", min: 0, description: "Length in seconds" },
+            width: { type: "integer", min: 1, description: "Frame width in pixels" },
+            height: { type: "integer", min: 1, description: "Frame height in pixels" },
+            frameRate: { type: "number", min: 0, description: "Frames per second" },
+            codec: { type: "string", description: "Video codec, e.g. h264" },
+            audioCodec: { type: "string", description: "Codec of the first audio track" },
+            bitrate: { type: "integer", min: 1, description: "Bits per second" },
+        },
+    },
+    audio: {
+        label: "Audio",
+        mimeTypes: ["audio/*"],
+        extensions: [".mp3", ".wav", ".aac", ".m4a", ".flac", ".ogg", ".aif", ".aiff"],
+        maxSize: 2 * GB,
+        metadata: {
+            duration: { type: "number", min: 0, description: "Length in seconds" },
+            sampleRate: { type: "integer", min: 1, description: "Samples per second" },
+            channels: { type: "integer", min: 1, description: "Number of channels" },
+            bitrate: { type: "integer", min: 1, description: "Bits per second" },
+            codec: { type: "string", description: "Audio codec, e.g. aac" },
+        },
+    },
+    image: {
+        label: "Image",
+        mimeTypes: ["image/*"],
+        extensions: [".jpg", ".jpeg", ".png", ".gif", ".webp", ".avif", ".tif", ".tiff", ".bmp", ".heic"],
+        maxSize: 200 * MB,
+        metadata: {
+            width: { type: "integer", min: 1, description: "Width in pixels" },
+            height: { type: "integer", min: 1, description: "Height in pixels" },
+            colorSpace: { type: "string", description: "e.g. srgb" },
+            orientation: { type: "integer", min: 1, max: 8, description: "EXIF orientation" },
+            camera: { type: "string", description: "Camera make and model from EXIF" },
+            lens: { type: "string", description: "Lens model from EXIF" },
+            takenAt: { type: "string", description: "Capture time from EXIF, ISO 8601" },
+        },
+    },
+    script: {
+        label: "Script",
+        mimeTypes: ["text/plain", "text/markdown", "application/pdf", "application/vnd.openxmlformats-officedocument.wordprocessingml.document", "application/octet-stream"],
+        extensions: [".txt", ".md", ".fountain", ".fdx", ".pdf", ".docx"],
+        maxSize: 50 * MB,
+        metadata: {
+            wordCount: { type: "integer", min: 0, description: "Number of words" },
+            lineCount: { type: "integer", min: 0, description: "Number of lines" },
+            pageCount: { type: "integer", min: 0, description: "Number of pages" },
+        },
+    },
+    subtitle: {
+        label: "Subtitle",
+        mimeTypes: ["text/plain", "text/vtt", "application/x-subrip", "text/x-ssa", "application/octet-stream"],
+        extensions: [".srt", ".vtt", ".ass", ".ssa"],
+        maxSize: 10 * MB,
+        metadata: {
+            language: { type: "string", description: "Language code, e.g. en or pt-BR" },
+            cueCount: { type: "integer", min: 0, description: "Number of subtitle cues" },
+            duration: { type: "number", min: 0, description: "Time of the last cue in seconds" },
+        },
+    },
+    document: {
+        label: "Document",
+        mimeTypes: ["application/pdf", "text/*", "application/msword", "application/vnd.openxmlformats-officedocument.*", "application/vnd.oasis.opendocument.*", "application/rtf"],
+        extensions: [".pdf", ".txt", ".md", ".rtf", ".doc", ".docx", ".odt", ".xlsx", ".pptx", ".csv"],
+        maxSize: 200 * MB,
+        metadata: {
+            pageCount: { type: "integer", min: 0, description: "Number of pages" },
+            wordCount: { type: "integer", min: 0, description: "Number of words" },
+            lineCount: { type: "integer", min: 0, description: "Number of lines" },
+        },
+    },
+    design: {
+        label: "Design file",
+        mimeTypes: ["image/vnd.adobe.photoshop", "image/svg+xml", "application/postscript", "application/illustrator", "application/pdf", "application/octet-stream"],
+        extensions: [".psd", ".psb", ".ai", ".eps", ".svg", ".fig", ".sketch", ".xd", ".indd", ".afdesign"],
+        maxSize: 2 * GB,
+        metadata: {
+            width: { type: "integer", min: 1, description: "Canvas width in pixels" },
+            height: { type: "integer", min: 1, description: "Canvas height in pixels" },
+            tool: { type: "string", description: "Application the file was made with" },
+        },
+    },
+};
+
+// Other spellings that were used as free-form types before the registry existed
+const ALIASES = {
+    vid: "video",
+    movie: "video",
+    clip: "video",
+    sound: "audio",
+    music: "audio",
+    img: "image",
+    photo: "image",
+    picture: "image",
+    screenplay: "script",
+    subtitles: "subtitle",
+    captions: "subtitle",
+    doc: "document",
+    pdf: "document",
+    "design file": "design",
+    "design-file": "design",
+};
+
+// No single upload can be larger than the largest type allows
+const MAX_UPLOAD_SIZE = Math.max(...Object.values(CONTENT_TYPES).map((type) => type.maxSize));
+
+/**
+ * Map a type as written by a client or stored before the registry ("Video", "vid") to its registry key
+ * @param {String} type
+ * @returns {String|null} - The registry key, or null for unknown types
+ */
+const normalizeContentType = (type) => {
+    const key = String(type || "").trim().toLowerCase();
+    if (CONTENT_TYPES[key]) {
+        return key;
+    }
+    return ALIASES[key] || null;
+};
+
+const matchesMime = (patterns, mimeType) =>
+    patterns.some((pattern) => pattern === mimeType || (pattern.endsWith("*") && mimeType.startsWith(pattern.slice(0, -1))));
+
+/**
+ * Check an uploaded file against what a content type accepts
+ * Both the extension and the MIME type have to fit, browsers report generic MIME types for many pro formats
+ * @param {String} type - The registry key
+ * @param {Object} file - { originalname, mimetype, size }
+ * @returns {String[]} - Problems found, empty when the file is accepted
+ */
+const checkFile = (type, { originalname = "", mimetype = "", size = 0 }) => {
+    const definition = CONTENT_TYPES[type];
+    const problems = [];
+    const extension = path.extname(originalname).toLowerCase();
+
+    if (!definition.extensions.includes(extension)) {
+        problems.push(`${definition.label} files must be one of ${definition.extensions.join(", ")}`);
+    }
+    if (!matchesMime(definition.mimeTypes, mimetype.toLowerCase())) {
+        problems.push(`${mimetype || "Unknown"} files can't be uploaded as ${definition.label.toLowerCase()}`);
+    }
+    if (size > definition.maxSize) {
+        problems.push(`${definition.label} files are limited to ${Math.round(definition.maxSize / MB)} MB`);
+    }
+    return problems;
+};
+
+/**
+ * Check version metadata against the schema of a content type
+ * Unknown fields are refused, so typos don't end up stored as metadata
+ * @param {String} type - The registry key
+ * @param {Object} metadata - e.g. { duration: 93.4, width: 1920, height: 1080 }
+ * @returns {Object} - { metadata, problems }, metadata with numbers parsed
+ */
+const checkMetadata = (type, metadata = {}) => {
+    const schema = CONTENT_TYPES[type].metadata;
+    const problems = [];
+    const parsed = {};
+
+    for (const [field, value] of Object.entries(metadata)) {
+        const rule = schema[field];
+        if (!rule) {
+            problems.push(`${field} is not part of ${type} metadata`);
+            continue;
+        }
+        if (rule.type === "string") {
+            if (typeof value !== "string") {
+                problems.push(`${field} must be text`);
+                continue;
+            }
+            parsed[field] = value;
+            continue;
+        }
+
+        const number = Number(value);
+        if (value === "" || value === null || !Number.isFinite(number) || (rule.type === "integer" && !Number.isInteger(number))) {
+            problems.push(`${field} must be ${rule.type === "integer" ? "a whole number" : "a number"}`);
+        } else if ((rule.min !== undefined && number < rule.min) || (rule.max !== undefined && number > rule.max)) {
+            problems.push(`${field} is out of range`);
+        } else {
+            parsed[field] = number;
+        }
+    }
+
+    return { metadata: parsed, problems };
+};
+
+export { CONTENT_TYPES, MAX_UPLOAD_SIZE, normalizeContentType, checkFile, checkMetadata };
@@ -0,0 +1,118 @@
+import { PROJECT_ROLES } from "../constants.js";
+
+// Which built-in project roles may perform which action
+// This module only depends on constants so the table can be checked on its own
+const PERMISSIONS = {
+    "project:read": PROJECT_ROLES,
+    "project:update": ["owner"],
+    "project:delete": ["owner"],
+    "project:restore": ["owner"],
+    "project:transfer": ["owner"],
+
+    "activity:read": PROJECT_ROLES, // The project's activity feed and audit log
+
+    "member:read": PROJECT_ROLES,
+    "member:manage": ["owner"], // Adding, removing and re-roling members, join requests and invites
+    "role:manage": ["owner"], // Defining custom roles
+    "webhook:manage": ["owner"], // Registering webhooks and reading their delivery log
+
+    "trash:read": ["owner", "editor"],
+    "trash:restore": ["owner", "editor"],
+    "trash:purge": ["owner"],
+
+    "content:read": PROJECT_ROLES,
+    "content:create": ["owner", "editor"],
+    "content:update": ["owner"],
+    "content:delete": ["owner"],
+
+    "branch:create": ["owner", "editor"],
+    "branch:delete": ["owner"],
+
+    "version:read": PROJECT_ROLES,
+    "version:create": ["owner", "editor"],
+    "version:revert": ["owner", "editor"],
+    "version:delete": ["owner"],
+    "version:submit": ["owner", "editor"], // Sending a version for review
+    "version:approve": ["owner"], // Approving, rejecting or requesting changes on a version in review
+
+    "release:read": PROJECT_ROLES,
+    "release:create": ["owner"], // Publishing a snapshot of the approved versions
+
+    "comment:read": PROJECT_ROLES,
+    "comment:create": PROJECT_ROLES, // Starting threads and replying
+    "comment:resolve": ["owner", "editor"], // Resolving and reopening threads started by others
+    "comment:moderate": ["owner"], // Deleting comments written by others
+};
+
+const ACTIONS = Object.keys(PERMISSIONS);
+
+// Actions that stay with owners and can't be handed to a custom role
+const OWNER_ONLY_ACTIONS = ["project:delete", "project:restore", "project:transfer", "role:manage"];
+
+// Actions a custom role may be given
+const ASSIGNABLE_ACTIONS = ACTIONS.filter((action) => !OWNER_ONLY_ACTIONS.includes(action));
+
+// Activity about these targets holds webhook hosts and invitee emails, only the roles managing them may read it
+const RESTRICTED_TARGETS = {
+    webhook: "webhook:manage",
+    invite: "member:manage",
+    join_request: "member:manage",
+};
+
+/**
+ * Check whether a project role may perform an action
+ * @param {String} role - The user's role in the project, undefined for non-members
+ * @param {String} action - An action from the PERMISSIONS table, e.g. "content:create"
+ * @param {Object[]} customRoles - The project's custom roles ({ name, permissions })
+ * @returns {Boolean} - False for unknown roles and unknown actions
+ */
+const can = (role, action, customRoles = []) => {
+    if (!role) {
+        return false;
+    }
+    if (PROJECT_ROLES.includes(role)) {
+        return Boolean(PERMISSIONS[action]?.includes(role));
+    }
+    const customRole = customRoles.find((r) => r.name === role);
+    return Boolean(customRole?.permissions.includes(action) && ASSIGNABLE_ACTIONS.includes(action));
+};
+
+/**
+ * List the actions a project role may perform
+ * @param {String} role - The user's role in the project
+ * @param {Object[]} customRoles - The project's custom roles
+ * @returns {String[]}
+ */
+const permissionsFor = (role, customRoles = []) => ACTIONS.filter((action) => can(role, action, customRoles));
+
+/**
+ * Check whether a role exists in a project, either built in or custom
+ * @param {String} role - The role name
+ * @param {Object[]} customRoles - The project's custom roles
+ * @returns {Boolean}
+ */
+const isValidRole = (role, customRoles = []) =>
+    PROJECT_ROLES.includes(role) || customRoles.some((r) => r.name === role);
+
+/**
+ * Work out the action needed to read activity about a target
+ * Targets follow their own read action (comment needs comment:read), restricted targets the action managing them,
+ * and everything else project:read
+ * @param {String} target - A target type, or the first part of an action, e.g. "comment" or "webhook"
+ * @returns {String}
+ */
+const readActionFor = (target) =>
+    RESTRICTED_TARGETS[target] || (ACTIONS.includes(`${target}:read`) ? `${target}:read` : "project:read");
+
+/**
+ * Check whether a member may be given a new role, or removed when no role is given
+ * Ownership only changes hands through a transfer, and only owners may demote or remove another owner
+ * @param {String} actorRole - The role of the user making the change
+ * @param {String} memberRole - The member's current role, undefined for new members
+ * @param {String} newRole - The role to give, undefined when the member is removed
+ * @returns {Boolean}
+ */
+const canChangeMember = (actorRole, memberRole, newRole) =>
+    newRole !== 'owner' && (memberRole !== 'owner' || actorRole === 'owner');
+
+export { PERMISSIONS, ACTIONS, ASSIGNABLE_ACTIONS, RESTRICTED_TARGETS, can, permissionsFor, isValidRole, readActionFor, canChangeMember };
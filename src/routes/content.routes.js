@@ -2,6 +2,7 @@ import { Router } from "express";
 import contentControllers from "../controllers/content.controller.js";
 import { asyncHandler } from "../utils/asynchandler.js";
 import { verifyToken } from "../middlewares/auth.middleware.js"; // Assuming you have an authentication middleware
+import { authorize } from "../middlewares/permission.middleware.js"; // Role/permission checks from the policy table
 
 import versionRouter from "./version.routes.js";
 
@@ -9,19 +10,28 @@ const router = Router({ mergeParams: true });
 
 
 // Route to get all content for a project
-router.route("/").get(verifyToken, asyncHandler(contentControllers.getAllContent));
+router.route("/").get(verifyToken, authorize("content:read"), asyncHandler(contentControllers.getAllContent));
 
 // Route to create content for a project
-router.route("/").post(verifyToken, asyncHandler(contentControllers.createContent));
+router.route("/").post(verifyToken, authorize("content:create"), asyncHandler(contentControllers.createContent));
 
 // Route to get content by ID
-router.route("/:contentId").get(verifyToken, asyncHandler(contentControllers.getContentById));
+router.route("/:contentId").get(verifyToken, authorize("content:read"), asyncHandler(contentControllers.getContentById));
 
 // Route to update content by ID
-router.route("/:contentId").put(verifyToken, asyncHandler(contentControllers.updateContent));
+router.route("/:contentId").put(verifyToken, authorize("content:update"), asyncHandler(contentControllers.updateContent));
 
 // Route to delete content by ID
-router.route("/:contentId").delete(verifyToken, asyncHandler(contentControllers.deleteContent));
+router.route("/:contentId").delete(verifyToken, authorize("content:delete"), asyncHandler(contentControllers.deleteContent));
+
+// Route to list the branches of a content item
+router.route("/:contentId/branches").get(verifyToken, authorize("content:read"), asyncHandler(contentControllers.getBranches));
+
+// Route to create a branch of a content item
+router.route("/:contentId/branches").post(verifyToken, authorize("branch:create"), asyncHandler(contentControllers.createBranch));
+
+// Route to delete a branch of a content item
+router.route("/:contentId/branches/:branchName").delete(verifyToken, authorize("branch:delete"), asyncHandler(contentControllers.deleteBranch));
 
 // mount
 router.use("/:contentId/versions", verifyToken, versionRouter)
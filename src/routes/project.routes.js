@@ -1,31 +1,220 @@
 import { Router } from "express";
 import projectControllers from "../controllers/project.controller.js";
+import trashControllers from "../controllers/trash.controller.js";
+import joinRequestControllers from "../controllers/joinRequest.controller.js";
+import inviteControllers from "../controllers/invite.controller.js";
+import memberControllers from "../controllers/member.controller.js";
+import roleControllers from "../controllers/role.controller.js";
+import reviewControllers from "../controllers/review.controller.js";
+import commentControllers from "../controllers/comment.controller.js";
+import activityControllers from "../controllers/activity.controller.js";
+import eventControllers from "../controllers/event.controller.js";
+import webhookControllers from "../controllers/webhook.controller.js";
+import releaseControllers from "../controllers/release.controller.js";
+import archiveControllers from "../controllers/archive.controller.js";
+import contentControllers from "../controllers/content.controller.js";
+import jobControllers from "../controllers/job.controller.js";
 import { asyncHandler } from "../utils/asynchandler.js";
-import { verifyToken } from "../middlewares/auth.middleware.js"; // Assuming you have an authentication middleware
+import { verifyToken, tokenFromQuery } from "../middlewares/auth.middleware.js"; // Assuming you have an authentication middleware
+import { authorize, requireMember } from "../middlewares/permission.middleware.js"; // Role/permission checks from the policy table
 
 //route import:
 import contentRouter from "./content.routes.js"
 
 const router = Router();
 
+// Restoring a whole project needs more than restoring content or versions
+const restoreAction = (req) => (req.params.itemType === "project" ? "project:restore" : "trash:restore");
+
 // Route to create a project
 router.route("/create").post(verifyToken, asyncHandler(projectControllers.createProject));
 
-// Route to join a project
-router.route("/approve-user").post(verifyToken, asyncHandler(projectControllers.approveUser));
+// Route to list the content types and what each one accepts
+router.route("/content-types").get(verifyToken, asyncHandler(contentControllers.getContentTypes));
+
+// Route to add a user to a project directly
+router.route("/approve-user").post(verifyToken, authorize("member:manage"), asyncHandler(projectControllers.approveUser));
+
+// Route to ask to join a project
+router.route("/join").post(verifyToken, asyncHandler(joinRequestControllers.createJoinRequest));
+
+// Route to list the current user's join requests
+router.route("/join-requests/mine").get(verifyToken, asyncHandler(joinRequestControllers.getMyJoinRequests));
+
+// Route to cancel one of the current user's join requests
+router.route("/join-requests/:requestId").delete(verifyToken, asyncHandler(joinRequestControllers.cancelJoinRequest));
+
+// Route to list a project's join requests
+router.route("/:projectId/join-requests").get(verifyToken, authorize("member:manage"), asyncHandler(joinRequestControllers.getProjectJoinRequests));
+
+// Route to approve a join request
+router.route("/:projectId/join-requests/:requestId/approve").post(verifyToken, authorize("member:manage"), asyncHandler(joinRequestControllers.approveJoinRequest));
+
+// Route to reject a join request
+router.route("/:projectId/join-requests/:requestId/reject").post(verifyToken, authorize("member:manage"), asyncHandler(joinRequestControllers.rejectJoinRequest));
+
+// Route to look up an invite by its token (no login needed)
+router.route("/invites/:token").get(asyncHandler(inviteControllers.getInviteByToken));
+
+// Route to accept an invite
+router.route("/invites/:token/accept").post(verifyToken, asyncHandler(inviteControllers.acceptInvite));
+
+// Route to create an invite for a project
+router.route("/:projectId/invites").post(verifyToken, authorize("member:manage"), asyncHandler(inviteControllers.createInvite));
+
+// Route to list the invites of a project
+router.route("/:projectId/invites").get(verifyToken, authorize("member:manage"), asyncHandler(inviteControllers.getInvites));
+
+// Route to revoke an invite
+router.route("/:projectId/invites/:inviteId").delete(verifyToken, authorize("member:manage"), asyncHandler(inviteControllers.revokeInvite));
 
 // Route to get a project by ID
-router.route("/:projectId").get(verifyToken, asyncHandler(projectControllers.getProjectById));
+router.route("/:projectId").get(verifyToken, authorize("project:read"), asyncHandler(projectControllers.getProjectById));
 
 // Route to update a project
-router.route("/:projectId").put(verifyToken, asyncHandler(projectControllers.updateProject));
+router.route("/:projectId").put(verifyToken, authorize("project:update"), asyncHandler(projectControllers.updateProject));
 
 // Route to delete a project
-router.route("/:projectId").delete(verifyToken, asyncHandler(projectControllers.deleteProject));
+router.route("/:projectId").delete(verifyToken, authorize("project:delete"), asyncHandler(projectControllers.deleteProject));
 
 // Route to get all projects with pagination
 router.route("/").get(verifyToken, asyncHandler(projectControllers.getAllProjects));
 
+// Route to list the members of a project
+router.route("/:projectId/members").get(verifyToken, authorize("member:read"), asyncHandler(memberControllers.getMembers));
+
+// Route to check that project members and user roles agree
+router.route("/:projectId/members/consistency").get(verifyToken, authorize("member:manage"), asyncHandler(memberControllers.getMembershipConsistency));
+
+// Route to repair differences between project members and user roles
+router.route("/:projectId/members/consistency/repair").post(verifyToken, authorize("member:manage"), asyncHandler(memberControllers.repairMembershipConsistency));
+
+// Route to change a member's role
+router.route("/:projectId/members/:userId").patch(verifyToken, authorize("member:manage"), asyncHandler(memberControllers.updateMemberRole));
+
+// Route to remove a member
+router.route("/:projectId/members/:userId").delete(verifyToken, authorize("member:manage"), asyncHandler(memberControllers.deleteMember));
+
+// Route to transfer ownership of a project
+router.route("/:projectId/transfer-ownership").post(verifyToken, authorize("project:transfer"), asyncHandler(memberControllers.transferProjectOwnership));
+
+// Route to leave a project, open to every member whatever their role (the last owner is refused by the controller)
+router.route("/:projectId/leave").post(verifyToken, requireMember(), asyncHandler(memberControllers.leaveProject));
+
+// Route to list the roles of a project
+router.route("/:projectId/roles").get(verifyToken, authorize("member:read"), asyncHandler(roleControllers.getRoles));
+
+// Route to define a custom role
+router.route("/:projectId/roles").post(verifyToken, authorize("role:manage"), asyncHandler(roleControllers.createRole));
+
+// Route to change a custom role
+router.route("/:projectId/roles/:roleName").put(verifyToken, authorize("role:manage"), asyncHandler(roleControllers.updateRole));
+
+// Route to delete a custom role
+router.route("/:projectId/roles/:roleName").delete(verifyToken, authorize("role:manage"), asyncHandler(roleControllers.deleteRole));
+
+// Route to get the review policy of a project
+router.route("/:projectId/review-policy").get(verifyToken, authorize("project:read"), asyncHandler(reviewControllers.getProjectReviewPolicy));
+
+// Route to change the review policy of a project
+router.route("/:projectId/review-policy").put(verifyToken, authorize("project:update"), asyncHandler(reviewControllers.updateProjectReviewPolicy));
+
+// Route to list the comment threads of a project, content item or version
+router.route("/:projectId/comments").get(verifyToken, authorize("comment:read"), asyncHandler(commentControllers.getComments));
+
+// Route to comment or reply
+router.route("/:projectId/comments").post(verifyToken, authorize("comment:create"), asyncHandler(commentControllers.createComment));
+
+// Route to get a comment
+router.route("/:projectId/comments/:commentId").get(verifyToken, authorize("comment:read"), asyncHandler(commentControllers.getCommentById));
+
+// Route to edit a comment
+router.route("/:projectId/comments/:commentId").put(verifyToken, authorize("comment:create"), asyncHandler(commentControllers.updateComment));
+
+// Route to delete a comment (authors delete their own, comment:moderate is checked for the rest)
+router.route("/:projectId/comments/:commentId").delete(verifyToken, authorize("comment:read"), asyncHandler(commentControllers.deleteComment));
+
+// Route to list the replies of a thread
+router.route("/:projectId/comments/:commentId/replies").get(verifyToken, authorize("comment:read"), asyncHandler(commentControllers.getReplies));
+
+// Route to resolve a thread (its author, or anyone with comment:resolve)
+router.route("/:projectId/comments/:commentId/resolve").post(verifyToken, authorize("comment:read"), asyncHandler(commentControllers.resolveComment));
+
+// Route to reopen a resolved thread
+router.route("/:projectId/comments/:commentId/reopen").post(verifyToken, authorize("comment:read"), asyncHandler(commentControllers.reopenComment));
+
+// Route to get the activity feed of a project
+router.route("/:projectId/activity").get(verifyToken, authorize("activity:read"), asyncHandler(activityControllers.getProjectActivity));
+
+// Route to list the background jobs of a project
+router.route("/:projectId/jobs").get(verifyToken, authorize("version:read"), asyncHandler(jobControllers.getJobs));
+
+// Route to poll the status of a background job, e.g. the processing of an upload
+router.route("/:projectId/jobs/:jobId").get(verifyToken, authorize("version:read"), asyncHandler(jobControllers.getJobById));
+
+// Route to receive a project's changes as they happen (Server-Sent Events, the token may be passed as ?access_token=)
+router.route("/:projectId/events").get(tokenFromQuery, verifyToken, authorize("project:read"), asyncHandler(eventControllers.streamProjectEvents));
+
+// Route to list the webhooks of a project
+router.route("/:projectId/webhooks").get(verifyToken, authorize("webhook:manage"), asyncHandler(webhookControllers.getWebhooks));
+
+// Route to register a webhook
+router.route("/:projectId/webhooks").post(verifyToken, authorize("webhook:manage"), asyncHandler(webhookControllers.createWebhook));
+
+// Route to get a webhook
+router.route("/:projectId/webhooks/:webhookId").get(verifyToken, authorize("webhook:manage"), asyncHandler(webhookControllers.getWebhookById));
+
+// Route to change or pause a webhook
+router.route("/:projectId/webhooks/:webhookId").put(verifyToken, authorize("webhook:manage"), asyncHandler(webhookControllers.updateWebhook));
+
+// Route to delete a webhook
+router.route("/:projectId/webhooks/:webhookId").delete(verifyToken, authorize("webhook:manage"), asyncHandler(webhookControllers.deleteWebhook));
+
+// Route to replace the signing secret of a webhook
+router.route("/:projectId/webhooks/:webhookId/rotate-secret").post(verifyToken, authorize("webhook:manage"), asyncHandler(webhookControllers.rotateWebhookSecret));
+
+// Route to send a test event to a webhook
+router.route("/:projectId/webhooks/:webhookId/ping").post(verifyToken, authorize("webhook:manage"), asyncHandler(webhookControllers.pingWebhook));
+
+// Route to list the deliveries of a webhook
+router.route("/:projectId/webhooks/:webhookId/deliveries").get(verifyToken, authorize("webhook:manage"), asyncHandler(webhookControllers.getDeliveries));
+
+// Route to get a delivery with its attempts
+router.route("/:projectId/webhooks/:webhookId/deliveries/:deliveryId").get(verifyToken, authorize("webhook:manage"), asyncHandler(webhookControllers.getDeliveryById));
+
+// Route to send a delivery again
+router.route("/:projectId/webhooks/:webhookId/deliveries/:deliveryId/redeliver").post(verifyToken, authorize("webhook:manage"), asyncHandler(webhookControllers.redeliver));
+
+// Route to download the approved version of every content item as a ZIP archive
+router.route("/:projectId/download").get(verifyToken, authorize("version:read"), asyncHandler(archiveControllers.downloadProjectArchive));
+
+// Route to list the releases of a project
+router.route("/:projectId/releases").get(verifyToken, authorize("release:read"), asyncHandler(releaseControllers.getReleases));
+
+// Route to publish a release of the approved versions
+router.route("/:projectId/releases").post(verifyToken, authorize("release:create"), asyncHandler(releaseControllers.createRelease));
+
+// Route to get the latest release of a project
+router.route("/:projectId/releases/latest").get(verifyToken, authorize("release:read"), asyncHandler(releaseControllers.getLatestRelease));
+
+// Route to get a release
+router.route("/:projectId/releases/:releaseId").get(verifyToken, authorize("release:read"), asyncHandler(releaseControllers.getReleaseById));
+
+// Route to download the files of a release as a ZIP archive
+router.route("/:projectId/releases/:releaseId/download").get(verifyToken, authorize("release:read"), asyncHandler(archiveControllers.downloadReleaseArchive));
+
+// Route to compare a release with an earlier one (?with=<releaseId>, the previous release by default)
+router.route("/:projectId/releases/:releaseId/compare").get(verifyToken, authorize("release:read"), asyncHandler(releaseControllers.compareReleases));
+
+// Route to list a project's trash
+router.route("/:projectId/trash").get(verifyToken, authorize("trash:read"), asyncHandler(trashControllers.getTrash));
+
+// Route to restore a trashed project, content item or version
+router.route("/:projectId/trash/:itemType/:itemId/restore").post(verifyToken, authorize(restoreAction), asyncHandler(trashControllers.restoreItem));
+
+// Route to permanently delete a trashed project, content item or version
+router.route("/:projectId/trash/:itemType/:itemId").delete(verifyToken, authorize("trash:purge"), asyncHandler(trashControllers.purgeItem));
+
 // Mount content routes
 router.use("/:projectId/content", verifyToken , contentRouter)
 
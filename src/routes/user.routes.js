@@ -1,5 +1,8 @@
 import { Router } from "express";
 import userControllers from "../controllers/user.controller.js";
+import reviewControllers from "../controllers/review.controller.js";
+import activityControllers from "../controllers/activity.controller.js";
+import notificationControllers from "../controllers/notification.controller.js";
 import { asyncHandler } from "../utils/asynchandler.js";
 import { verifyToken } from "../middlewares/auth.middleware.js"; // Middleware to verify JWT token
 
@@ -39,5 +42,28 @@ router.get('/me', verifyToken, userControllers.getCurrentUser);
 // Update account details route
 router.put('/update-account', verifyToken, userControllers.updateAccountDetails);
 
+// Everything the current user did
+router.get('/activity', verifyToken, activityControllers.getMyActivity);
+
+// Notifications of the current user
+router.get('/notifications', verifyToken, notificationControllers.getNotifications);
+
+// Number of unread notifications
+router.get('/notifications/unread-count', verifyToken, notificationControllers.getUnreadCount);
+
+// Mark every notification as read
+router.post('/notifications/read-all', verifyToken, notificationControllers.markAllRead);
+
+// Notification preferences
+router.route('/notifications/preferences')
+    .get(verifyToken, notificationControllers.getPreferences)
+    .put(verifyToken, notificationControllers.updatePreferences);
+
+// Mark a notification as read
+router.post('/notifications/:notificationId/read', verifyToken, notificationControllers.markRead);
+
+// Versions awaiting the current user's review
+router.get('/reviews/pending', verifyToken, reviewControllers.getPendingReviews);
+
 
 export default router;
@@ -1,7 +1,10 @@
 import { Router } from "express";
 import versionControllers from "../controllers/version.controller.js";
+import annotationControllers from "../controllers/annotation.controller.js";
+import uploadControllers from "../controllers/upload.controller.js";
 import { verifyToken } from "../middlewares/auth.middleware.js"; // Middleware to verify JWT token
 import { upload } from "../middlewares/multer.middleware.js";
+import { authorize } from "../middlewares/permission.middleware.js"; // Role/permission checks from the policy table
 
 const router = Router({ mergeParams: true });
 
@@ -9,10 +12,14 @@ const router = Router({ mergeParams: true });
 router.use(verifyToken);
 
 // Get all versions
-router.get("/", versionControllers.getAllVersions)
+router.get("/", authorize("version:read"), versionControllers.getAllVersions)
+
+// Get the version history as a graph of nodes and edges
+router.get("/graph", authorize("version:read"), versionControllers.getVersionGraph)
 
 // Create new version
 router.post("/",
+    authorize("version:create"), // Checked before multer so rejected uploads never touch the disk
     upload.fields([
         {
             name: "file",
@@ -20,16 +27,67 @@ router.post("/",
         }
     ]), versionControllers.createVersion);
 
+// Start a resumable upload of a new version (tus creation)
+router.post("/uploads", authorize("version:create"), uploadControllers.createUpload);
+
+// Get the offset of a resumable upload, where the client resumes from (tus)
+router.head("/uploads/:uploadId", authorize("version:create"), uploadControllers.getUploadOffset);
+
+// Get the state of a resumable upload
+router.get("/uploads/:uploadId", authorize("version:create"), uploadControllers.getUpload);
+
+// Append a chunk to a resumable upload, the last one creates the version (tus)
+router.patch("/uploads/:uploadId", authorize("version:create"), uploadControllers.appendUpload);
+
+// Abort a resumable upload (tus termination)
+router.delete("/uploads/:uploadId", authorize("version:create"), uploadControllers.abortUpload);
+
 // Get version by ID
-router.get("/:versionId", versionControllers.getVersionById);
+router.get("/:versionId", authorize("version:read"), versionControllers.getVersionById);
+
+// Download the file of a version
+router.get("/:versionId/download", authorize("version:read"), versionControllers.downloadVersion);
+
+// Get the thumbnail or preview image of a version
+router.get("/:versionId/previews/:kind", authorize("version:read"), versionControllers.downloadPreview);
+
+// Verify the stored file of a version against its checksum
+router.get("/:versionId/verify", authorize("version:read"), versionControllers.verifyVersion);
 
-// Update version
+// Diff two versions of text-based content
+router.get("/:versionId/diff/:otherVersionId", authorize("version:read"), versionControllers.diffVersions);
+
+// Get the annotations of a version ordered by time
+router.get("/:versionId/annotations", authorize("comment:read"), annotationControllers.getAnnotations);
+
+// Annotate a version at a time, time range or region
+router.post("/:versionId/annotations", authorize("comment:create"), annotationControllers.createAnnotation);
+
+// Update version (versions are immutable, this always answers 405)
 router.put("/:versionId", versionControllers.updateVersion);
 
-// Delete version
-router.delete("/:versionId", versionControllers.deleteVersion);
+// Delete version (moves it to the project's trash)
+router.delete("/:versionId", authorize("version:delete"), versionControllers.deleteVersion);
+
+// Revert to a version by creating a new version from it
+router.post("/:versionId/revert", authorize("version:revert"), versionControllers.revertVersion);
+
+// Get the review status and decisions of a version
+router.get("/:versionId/review", authorize("version:read"), versionControllers.getVersionReview);
+
+// Submit a version for review
+router.post("/:versionId/submit", authorize("version:submit"), versionControllers.submitVersion);
+
+// Approve a version in review
+router.post("/:versionId/approve", authorize("version:approve"), versionControllers.approveVersion);
+
+// Reject a version in review
+router.post("/:versionId/reject", authorize("version:approve"), versionControllers.rejectVersion);
+
+// Ask for changes on a version in review
+router.post("/:versionId/request-changes", authorize("version:approve"), versionControllers.requestVersionChanges);
 
-// Approve version
-router.post("/:versionId", versionControllers.approveVersion)
+// Approve version (kept for older clients, same as /:versionId/approve)
+router.post("/:versionId", authorize("version:approve"), versionControllers.approveVersion)
 
 export default router;
@@ -0,0 +1,101 @@
+import fs from "fs";
+import { v2 as cloudinary } from "cloudinary";
+import { Readable } from "stream";
+
+// Keys written before keys were kept as given, "<resource_type>/<public_id>"
+const LEGACY_KEY = /^(image|video|raw)\//;
+
+// Cloudinary refuses larger files in a single request, they are sent in chunks instead
+const MAX_SINGLE_UPLOAD = 100 * 1024 * 1024;
+const CHUNK_SIZE = 20 * 1024 * 1024;
+
+/**
+ * Storage driver backed by Cloudinary
+ * Files are stored as "raw" resources with the caller's key as their public ID, so put() returns the key it was given
+ * and raw files keep their extension; Cloudinary only transforms image and video resources, which nothing here needs
+ * @param {Object} options
+ * @param {String} options.cloudName - Cloudinary cloud name
+ * @param {String} options.apiKey - Cloudinary API key
+ * @param {String} options.apiSecret - Cloudinary API secret
+ * @returns {Object} - A storage driver (put/get/delete/stat/stream)
+ */
+const createCloudinaryStorage = ({ cloudName, apiKey, apiSecret }) => {
+    cloudinary.config({
+        cloud_name: cloudName,
+        api_key: apiKey,
+        api_secret: apiSecret,
+    });
+
+    // Find the resource behind a key, keys from before are read the way they were written
+    const parseKey = (key) => {
+        const legacy = key.match(LEGACY_KEY);
+        if (legacy) {
+            return { resourceType: legacy[1], publicId: key.slice(legacy[0].length) };
+        }
+        return { resourceType: "raw", publicId: key };
+    };
+
+    const urlFor = (key) => {
+        const { resourceType, publicId } = parseKey(key);
+        return cloudinary.url(publicId, { resource_type: resourceType, secure: true });
+    };
+
+    const download = async (key) => {
+        const response = await fetch(urlFor(key));
+        if (!response.ok) {
+            throw new Error(`Cloudinary download failed with status ${response.status}`);
+        }
+        return response;
+    };
+
+    // upload_large only reports through its callback
+    const uploadLarge = (localFilePath, options) => new Promise((resolve, reject) => {
+        cloudinary.uploader.upload_large(localFilePath, { ...options, chunk_size: CHUNK_SIZE }, (error, result) => (error ? reject(error) : resolve(result)));
+    });
+
+    const put = async (localFilePath, { key }) => {
+        if (LEGACY_KEY.test(key)) {
+            throw new Error(`Invalid storage key: ${key}`); // Would be read back as a key of the old form
+        }
+        const options = {
+            resource_type: "raw",
+            public_id: key, // Raw public IDs keep the extension, Cloudinary adds none
+            overwrite: true,
+        };
+        const { size } = await fs.promises.stat(localFilePath);
+        const response = size > MAX_SINGLE_UPLOAD
+            ? await uploadLarge(localFilePath, options)
+            : await cloudinary.uploader.upload(localFilePath, options);
+        return {
+            key,
+            url: response.secure_url,
+            size: response.bytes,
+        };
+    };
+
+    const get = async (key) => Buffer.from(await (await download(key)).arrayBuffer());
+
+    const remove = async (key) => {
+        const { resourceType, publicId } = parseKey(key);
+        await cloudinary.uploader.destroy(publicId, { resource_type: resourceType, invalidate: true });
+    };
+
+    const stat = async (key) => {
+        const { resourceType, publicId } = parseKey(key);
+        try {
+            const resource = await cloudinary.api.resource(publicId, { resource_type: resourceType });
+            return { key, url: resource.secure_url, size: resource.bytes, modifiedAt: new Date(resource.created_at) };
+        } catch (error) {
+            if (error?.error?.http_code === 404) {
+                return null; // Missing files are reported as null rather than an error
+            }
+            throw error;
+        }
+    };
+
+    const stream = async (key) => Readable.fromWeb((await download(key)).body);
+
+    return { name: "cloudinary", put, get, delete: remove, stat, stream };
+};
+
+export { createCloudinaryStorage };
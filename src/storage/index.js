@@ -0,0 +1,40 @@
+import "dotenv/config";
+import path from "path";
+import { createCloudinaryStorage } from "./cloudinary.storage.js";
+import { createLocalStorage } from "./local.storage.js";
+
+/**
+ * Build the storage driver selected by STORAGE_DRIVER ("cloudinary" or "local")
+ * Falls back to Cloudinary when its credentials are configured and to the local disk otherwise
+ * Every driver exposes the same interface:
+ *   put(localFilePath, { key, mimeType }) -> { key, url, size }, url is null for drivers that don't serve files publicly
+ *   get(key) -> Buffer
+ *   delete(key)
+ *   stat(key) -> { key, url, size, modifiedAt } or null
+ *   stream(key) -> Readable
+ */
+const createStorage = (driver = process.env.STORAGE_DRIVER) => {
+    const selected = driver || (process.env.CLOUDINARY_CLOUD_NAME ? "cloudinary" : "local");
+
+    switch (selected) {
+        case "cloudinary":
+            return createCloudinaryStorage({
+                cloudName: process.env.CLOUDINARY_CLOUD_NAME,
+                apiKey: process.env.CLOUDINARY_API_KEY,
+                apiSecret: process.env.CLOUDINARY_API_SECRET,
+            });
+        case "local": {
+            const root = process.env.STORAGE_LOCAL_ROOT || "./storage"; // Outside public/, files are only sent through routes that check access
+            if (!path.relative(path.resolve("public"), path.resolve(root)).startsWith("..")) {
+                console.warn(`STORAGE_LOCAL_ROOT (${root}) is inside public/, stored files can be downloaded without logging in`);
+            }
+            return createLocalStorage({ root });
+        }
+        default:
+            throw new Error(`Unknown storage driver: ${selected}`);
+    }
+};
+
+const storage = createStorage();
+
+export { storage, createStorage };
@@ -0,0 +1,53 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * Storage driver that keeps files on the local disk
+ * @param {Object} options
+ * @param {String} options.root - Directory the files are written to, it should not be served statically
+ * @returns {Object} - A storage driver (put/get/delete/stat/stream)
+ */
+const createLocalStorage = ({ root }) => {
+    const rootPath = path.resolve(root);
+
+    // Map a storage key to a path inside the root directory, refusing keys that escape it
+    const resolveKey = (key) => {
+        const filePath = path.resolve(rootPath, key);
+        if (!filePath.startsWith(rootPath + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    };
+
+    const put = async (localFilePath, { key }) => {
+        const filePath = resolveKey(key);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.copyFile(localFilePath, filePath); // The caller owns (and removes) the temp file
+        const { size } = await fs.promises.stat(filePath);
+        return { key, url: null, size }; // No public URL, the file is streamed by the download routes
+    };
+
+    const get = async (key) => fs.promises.readFile(resolveKey(key));
+
+    const remove = async (key) => {
+        await fs.promises.rm(resolveKey(key), { force: true });
+    };
+
+    const stat = async (key) => {
+        try {
+            const stats = await fs.promises.stat(resolveKey(key));
+            return { key, url: null, size: stats.size, modifiedAt: stats.mtime };
+        } catch (error) {
+            if (error.code === "ENOENT") {
+                return null; // Missing files are reported as null rather than an error
+            }
+            throw error;
+        }
+    };
+
+    const stream = async (key) => fs.createReadStream(resolveKey(key));
+
+    return { name: "local", put, get, delete: remove, stat, stream };
+};
+
+export { createLocalStorage };
@@ -0,0 +1,45 @@
+import { AuditLog } from "../models/auditLog.model.js";
+import { events } from "../events/index.js";
+
+/**
+ * Pick the fields worth keeping from a document for the before/after summary of an audit entry
+ * @param {Object} doc - A document or plain object
+ * @param {String[]} fields - The fields to keep
+ * @returns {Object|null}
+ */
+const summarize = (doc, fields) => {
+    if (!doc) {
+        return null;
+    }
+    const source = typeof doc.toObject === "function" ? doc.toObject() : doc;
+    return Object.fromEntries(fields.filter((field) => source[field] !== undefined).map((field) => [field, source[field]]));
+};
+
+/**
+ * Append an entry to the audit log for a change made by the current user
+ * Recording never fails the request: the change already happened, a failed entry is only logged
+ * Every recorded entry is published as an "activity" event
+ * @param {Object} req - The request, the actor defaults to req.user and the project to req.params.projectId
+ * @param {Object} entry - { action, targetType, targetId, projectId, actorId, before, after }
+ * @returns {Object|null} - The audit entry
+ */
+const recordActivity = async (req, { action, targetType, targetId, projectId = req.params?.projectId, actorId = req.user?._id, before = null, after = null }) => {
+    try {
+        const entry = await AuditLog.create({
+            projectId: projectId || null,
+            actorId,
+            action,
+            targetType,
+            targetId,
+            before,
+            after
+        });
+        events.emit("activity", entry);
+        return entry;
+    } catch (error) {
+        console.error(`Could not record ${action}:`, error.message);
+        return null;
+    }
+};
+
+export { summarize, recordActivity };
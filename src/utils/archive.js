@@ -0,0 +1,99 @@
+import archiver from "archiver";
+import { once } from "events";
+import path from "path";
+import { storage } from "../storage/index.js";
+
+// Formats that are already compressed are stored as they are, deflating them again only costs time
+const COMPRESSED_MIME = /^(image\/(jpeg|png|gif|webp|avif)|video\/|audio\/(mpeg|aac|ogg|mp4)|application\/(zip|gzip|pdf))/;
+
+/**
+ * Make a string safe to use as a file or folder name inside an archive
+ * @param {String} name
+ * @returns {String}
+ */
+const safeName = (name) => String(name || "").replace(/[\\/:*?"<>|\u0000-\u001f]+/g, "_").replace(/^\.+/, "").slice(0, 120) || "untitled";
+
+/**
+ * Work out a unique path inside the archive for each version: <content type>/<content id>/<original name>
+ * @param {Object} item - { contentId, contentType, version }
+ * @returns {String}
+ */
+const archivePath = ({ contentId, contentType, version }) => {
+    const fileName = version.originalName || `${version._id}${path.extname(version.filePath || "")}`;
+    return `${safeName(contentType)}/${contentId}/${safeName(fileName)}`;
+};
+
+/**
+ * Wait for a step of the archive, or until the response closes
+ * Once a closed download aborted the archive, its events never come, and the handler would wait forever
+ * @param {Object} res - The Express response
+ * @param {Promise} pending - e.g. once(archive, "entry"), rejects when the archive fails
+ */
+const untilClosed = async (res, pending) => {
+    if (res.destroyed) {
+        pending.catch(() => {}); // Nobody waits for it anymore, a later archive error is not unhandled
+        return;
+    }
+    const controller = new AbortController();
+    try {
+        await Promise.race([pending, once(res, "close", { signal: controller.signal })]);
+    } finally {
+        controller.abort(); // Stop listening for close
+    }
+};
+
+/**
+ * Turn the error of a stream into a rejection
+ * Listening right away also keeps an error emitted before archiver reads the stream from crashing the process
+ * @param {Object} stream - A readable stream
+ * @returns {Promise} - Rejects with the stream's error, never resolves
+ */
+const streamFailed = (stream) => once(stream, "error").then(([error]) => {
+    throw error;
+});
+
+/**
+ * Stream a ZIP archive of versions to the response, with manifest.json as its first entry
+ * Files are read from storage one after another, so memory use doesn't grow with the size of the project
+ * Errors never reach the error middleware: the download has started, so the response is destroyed instead
+ * @param {Object} res - The Express response
+ * @param {Object} options - { filename, manifest, items: [{ path, version }] }
+ */
+const streamArchive = async (res, { filename, manifest, items }) => {
+    const archive = archiver("zip", { zlib: { level: 6 } });
+
+    res.attachment(filename);
+    res.type("application/zip");
+
+    archive.on("warning", (error) => console.error("Archive warning:", error.message));
+    archive.on("error", (error) => res.destroy(error)); // Headers are sent, the client sees a broken download
+    res.on("close", () => archive.abort()); // The client went away, stop reading files
+    archive.pipe(res);
+
+    try {
+        archive.append(JSON.stringify(manifest, null, 2), { name: "manifest.json" });
+        await untilClosed(res, once(archive, "entry"));
+
+        for (const item of items) {
+            if (res.destroyed) {
+                return;
+            }
+            const source = await storage.stream(item.version.storageKey);
+            const failed = streamFailed(source); // e.g. a file missing from storage
+            archive.append(source, {
+                name: item.path,
+                date: item.version.createdAt,
+                store: COMPRESSED_MIME.test(item.version.mimeType || "")
+            });
+            await untilClosed(res, Promise.race([once(archive, "entry"), failed])); // Wait for this file before opening the next one
+        }
+
+        await untilClosed(res, archive.finalize());
+    } catch (error) {
+        console.error("Archive failed:", error.message);
+        archive.abort();
+        res.destroy(error);
+    }
+};
+
+export { archivePath, streamArchive };
@@ -1,31 +0,0 @@
-import { v2 as cloudinary } from "cloudinary"
-import exp from "constants";
-import fs from "fs"
-
-// Configuration
-cloudinary.config({
-    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-    api_key: process.env.CLOUDINARY_API_KEY,
-    api_secret: process.env.CLOUDINARY_API_SECRET // Click 'View Credentials' below to copy your API secret
-});
-
-const uploadOnCloudinary = async (localFilePath) => {
-    try {
-        if (!localFilePath)
-            return null
-
-        //upload the file on cloudinary
-        const response = await cloudinary.uploader.upload(localFilePath, {
-            resource_type: "auto"
-        })
-        // file has been uploaded succesfully
-        console.log("File uploaded on cloudinary", response.url)
-        fs.unlinkSync(localFilePath)
-        return response
-    } catch (error) {
-        fs.unlinkSync(localFilePath) // Remove locally saved temp files as the upload operation got failed\
-        return null;
-    }
-}
-
-export {uploadOnCloudinary}
\ No newline at end of file
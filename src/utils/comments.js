@@ -0,0 +1,147 @@
+import { Comment } from "../models/comment.model.js";
+import { Project } from "../models/project.model.js";
+import { User } from "../models/user.model.js";
+import { ApiError } from "./ApiError.js";
+
+const MAX_COMMENT_LENGTH = 5000;
+const MENTION_PATTERN = /@([A-Za-z0-9_.-]+)/g; // @username
+
+/**
+ * Check the text of a comment
+ * @param {String} text - The comment text
+ * @returns {String} - The trimmed text
+ */
+const validateText = (text) => {
+    const trimmed = typeof text === 'string' ? text.trim() : "";
+    if (!trimmed) {
+        throw new ApiError(400, "Comment text is required");
+    }
+    if (trimmed.length > MAX_COMMENT_LENGTH) {
+        throw new ApiError(400, `Comments are limited to ${MAX_COMMENT_LENGTH} characters`);
+    }
+    return trimmed;
+};
+
+/**
+ * Find the project members mentioned in a comment
+ * Names that are not members of the project are left as plain text
+ * @param {String} projectId - The project of the comment
+ * @param {String} text - The comment text
+ * @returns {ObjectId[]} - The IDs of the mentioned members
+ */
+const findMentions = async (projectId, text) => {
+    const usernames = [...new Set([...text.matchAll(MENTION_PATTERN)].map((match) => match[1]))];
+    if (!usernames.length) {
+        return [];
+    }
+
+    const project = await Project.findById(projectId).select("members");
+    const memberIds = project.members.map((member) => member.userId);
+
+    return User.find({ _id: { $in: memberIds }, username: { $in: usernames } }).distinct("_id");
+};
+
+const isTimed = (mimeType = "") => /^(audio|video)\//.test(mimeType);
+const isVisual = (mimeType = "") => /^(image|video)\//.test(mimeType);
+const isFraction = (value) => typeof value === 'number' && value >= 0 && value <= 1;
+const isSeconds = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+/**
+ * Check an annotation anchor against the media type of the version it is placed on
+ * Time and ranges need audio or video, regions need an image or a video frame
+ * @param {Object} anchor - { kind, start, end, x, y, width, height }
+ * @param {Object} version - The version document
+ * @returns {Object} - The anchor with only the fields its kind uses
+ */
+const validateAnchor = (anchor, version) => {
+    const { kind } = anchor || {};
+    const start = anchor?.start === undefined ? undefined : Number(anchor.start);
+    const end = anchor?.end === undefined ? undefined : Number(anchor.end);
+
+    if (kind === 'time' || kind === 'range') {
+        if (!isTimed(version.mimeType)) {
+            throw new ApiError(400, "Time-coded annotations need an audio or video version");
+        }
+        if (!isSeconds(start)) {
+            throw new ApiError(400, "Annotation start must be a number of seconds");
+        }
+        if (kind === 'time') {
+            return { kind, start };
+        }
+        if (!isSeconds(end) || end <= start) {
+            throw new ApiError(400, "Annotation end must come after its start");
+        }
+        return { kind, start, end };
+    }
+
+    if (kind === 'region') {
+        if (!isVisual(version.mimeType)) {
+            throw new ApiError(400, "Region annotations need an image or video version");
+        }
+        const [x, y, width, height] = ['x', 'y', 'width', 'height'].map((field) => Number(anchor[field]));
+        if (![x, y, width, height].every(isFraction) || !width || !height || x + width > 1 || y + height > 1) {
+            throw new ApiError(400, "Regions are given as fractions (0 to 1) of the image and must lie inside it");
+        }
+        if (start !== undefined && (!isTimed(version.mimeType) || !isSeconds(start))) {
+            throw new ApiError(400, "Region start must be a number of seconds on a video version");
+        }
+        return start === undefined ? { kind, x, y, width, height } : { kind, start, x, y, width, height };
+    }
+
+    throw new ApiError(400, "Annotation kind must be time, range or region");
+};
+
+/**
+ * Copy the unresolved annotations of a version's parents onto the version
+ * Copies are flagged as carried forward and point at the annotation they came from,
+ * an annotation reaching a merge through both parents is only copied once
+ * @param {Object} version - The new version document
+ */
+const carryForwardAnnotations = async (version) => {
+    if (!version.parents?.length) {
+        return;
+    }
+
+    const annotations = await Comment.find({
+        targetType: 'version',
+        targetId: { $in: version.parents },
+        parentId: null,
+        anchor: { $ne: null },
+        resolved: false,
+        deletedAt: null
+    }).sort({ createdAt: 1 });
+
+    const seen = new Set();
+    const copies = [];
+    for (const annotation of annotations) {
+        const originalId = annotation.originalId || annotation._id;
+        if (seen.has(originalId.toString())) {
+            continue;
+        }
+        seen.add(originalId.toString());
+
+        copies.push({
+            projectId: annotation.projectId,
+            targetType: 'version',
+            targetId: version._id,
+            userId: annotation.userId, // The feedback stays with the person who gave it
+            text: annotation.text,
+            mentions: annotation.mentions,
+            anchor: annotation.anchor,
+            carriedForward: true,
+            carriedFrom: annotation._id,
+            originalId
+        });
+    }
+
+    if (copies.length) {
+        await Comment.insertMany(copies);
+    }
+};
+
+export {
+    validateText,
+    findMentions,
+    validateAnchor,
+    carryForwardAnnotations,
+};
@@ -0,0 +1,84 @@
+import path from "path";
+import { structuredPatch, formatPatch, FILE_HEADERS_ONLY } from "diff";
+
+// MIME types and extensions that can be compared line by line (scripts, captions, markdown, subtitles...)
+const TEXT_MIME_TYPES = [
+    "application/json",
+    "application/xml",
+    "application/x-subrip",
+    "application/x-yaml",
+    "application/yaml",
+];
+const TEXT_EXTENSIONS = [
+    ".txt", ".md", ".markdown", ".fountain", ".srt", ".vtt", ".sbv", ".ass", ".ssa",
+    ".csv", ".tsv", ".json", ".xml", ".html", ".htm", ".yaml", ".yml",
+];
+
+/**
+ * Check whether a version holds a text file that can be diffed
+ * @param {Object} version - The version document
+ * @returns {Boolean}
+ */
+const isTextVersion = (version) => {
+    if (version.mimeType?.startsWith("text/") || TEXT_MIME_TYPES.includes(version.mimeType)) {
+        return true;
+    }
+    const extension = path.extname(version.originalName || "").toLowerCase();
+    return TEXT_EXTENSIONS.includes(extension);
+};
+
+/**
+ * Build a line-level diff between two texts
+ * @param {String} oldText - The text of the base version
+ * @param {String} newText - The text of the compared version
+ * @param {Object} options
+ * @param {String} options.oldName - Label for the base version in the unified diff
+ * @param {String} options.newName - Label for the compared version in the unified diff
+ * @param {Number} options.context - Number of unchanged lines around each change
+ * @returns {Object} - The unified diff, a structured hunk list and addition/deletion counts
+ */
+const diffText = (oldText, newText, { oldName = "a", newName = "b", context = 3 } = {}) => {
+    const patch = structuredPatch(oldName, newName, oldText, newText, "", "", { context });
+
+    let additions = 0;
+    let deletions = 0;
+
+    const hunks = patch.hunks.map((hunk) => {
+        let oldLine = hunk.oldStart;
+        let newLine = hunk.newStart;
+        const lines = [];
+
+        for (const line of hunk.lines) {
+            const marker = line[0];
+            const text = line.slice(1);
+
+            if (marker === "+") {
+                lines.push({ type: "add", content: text, newLine: newLine++ });
+                additions++;
+            } else if (marker === "-") {
+                lines.push({ type: "remove", content: text, oldLine: oldLine++ });
+                deletions++;
+            } else if (marker === " ") {
+                lines.push({ type: "context", content: text, oldLine: oldLine++, newLine: newLine++ });
+            } else if (lines.length) {
+                lines[lines.length - 1].noNewlineAtEnd = true; // "\ No newline at end of file" marker
+            }
+        }
+
+        return {
+            oldStart: hunk.oldStart,
+            oldLines: hunk.oldLines,
+            newStart: hunk.newStart,
+            newLines: hunk.newLines,
+            lines,
+        };
+    });
+
+    return {
+        unified: hunks.length ? formatPatch(patch, FILE_HEADERS_ONLY) : "",
+        hunks,
+        stats: { additions, deletions, hunks: hunks.length },
+    };
+};
+
+export { isTextVersion, diffText };
@@ -0,0 +1,24 @@
+import fs from "fs";
+import crypto from "crypto";
+
+/**
+ * Compute the SHA-256 checksum of a readable stream
+ * @param {Readable} stream - The stream to hash
+ * @returns {Promise<String>} - The hex encoded checksum
+ */
+const hashStream = (stream) =>
+    new Promise((resolve, reject) => {
+        const hash = crypto.createHash("sha256");
+        stream.on("data", (chunk) => hash.update(chunk));
+        stream.on("end", () => resolve(hash.digest("hex")));
+        stream.on("error", reject);
+    });
+
+/**
+ * Compute the SHA-256 checksum of a file on disk without loading it into memory
+ * @param {String} filePath - Path of the file to hash
+ * @returns {Promise<String>} - The hex encoded checksum
+ */
+const hashFile = (filePath) => hashStream(fs.createReadStream(filePath));
+
+export { hashStream, hashFile };
@@ -0,0 +1,146 @@
+import { Job } from "../models/job.model.js";
+
+const RETRY_DELAYS = [30, 2 * 60, 10 * 60].map((seconds) => seconds * 1000); // After the 1st, 2nd, ... failed attempt
+const LOCK_DURATION = 5 * 60 * 1000; // Renewed while the job runs
+const MAX_ERROR_LENGTH = 1000;
+
+// Handlers by job type, registered once when the app starts
+const handlers = new Map();
+
+let worker = null;
+
+/**
+ * Register the handler of a job type
+ * @param {String} type - e.g. "version:process"
+ * @param {Function} handler - Called with (payload, job), what it returns is stored as the job's result
+ * @param {Object} options
+ * @param {Function} options.onFailure - Called with (payload, error) once the job gave up
+ */
+const registerJob = (type, handler, { onFailure } = {}) => {
+    handlers.set(type, { handler, onFailure });
+};
+
+/**
+ * Queue a job and wake the worker so it doesn't wait for the next round
+ * @param {String} type - The job type
+ * @param {Object} payload - Handed to the handler
+ * @param {Object} options - { projectId, createdBy, maxAttempts }
+ * @returns {Object} - The job document
+ */
+const enqueueJob = async (type, payload, { projectId, createdBy, maxAttempts } = {}) => {
+    if (!handlers.has(type)) {
+        throw new Error(`Unknown job type: ${type}`);
+    }
+    const job = await Job.create({ type, payload, projectId, createdBy, maxAttempts });
+    worker?.wake();
+    return job;
+};
+
+/**
+ * Run a claimed job and record how it went
+ * Failed attempts are retried after RETRY_DELAYS until maxAttempts runs out
+ * @param {Object} job - The job document, locked by the caller
+ * @returns {Object} - The updated job
+ */
+const runJob = async (job) => {
+    const { handler, onFailure } = handlers.get(job.type) || {};
+    const renewLock = setInterval(() => {
+        Job.updateOne({ _id: job._id }, { $set: { lockedUntil: new Date(Date.now() + LOCK_DURATION) } }).catch(() => {});
+    }, LOCK_DURATION / 2);
+
+    try {
+        if (!handler) {
+            throw new Error(`No handler for ${job.type}`);
+        }
+        if (job.attempts > job.maxAttempts) {
+            throw new Error("Worker stopped while running the job"); // Every attempt crashed the worker, don't try again
+        }
+        const result = await handler(job.payload, job);
+        job.set({ status: 'succeeded', result: result ?? null, lastError: null, finishedAt: new Date() });
+    } catch (error) {
+        const retryDelay = RETRY_DELAYS[job.attempts - 1];
+        job.lastError = String(error.message || error).slice(0, MAX_ERROR_LENGTH);
+
+        if (handler && job.attempts < job.maxAttempts && retryDelay !== undefined) {
+            job.set({ status: 'queued', runAt: new Date(Date.now() + retryDelay) });
+        } else {
+            job.set({ status: 'failed', finishedAt: new Date() });
+            try {
+                await onFailure?.(job.payload, error);
+            } catch (cleanupError) {
+                console.error(`Cleaning up after ${job.type} failed:`, cleanupError.message);
+            }
+        }
+    } finally {
+        clearInterval(renewLock);
+    }
+
+    job.lockedUntil = null;
+    return job.save();
+};
+
+/**
+ * Lock the next due job and run it, skipping jobs another worker is already running
+ * Jobs whose worker stopped without finishing are picked up again once their lock expires
+ * @returns {Object|null} - The updated job, or null when nothing was due
+ */
+const claimAndRun = async () => {
+    const now = new Date();
+    const job = await Job.findOneAndUpdate(
+        {
+            type: { $in: [...handlers.keys()] },
+            status: { $in: ['queued', 'running'] },
+            runAt: { $lte: now },
+            $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+        },
+        {
+            $set: { status: 'running', startedAt: now, lockedUntil: new Date(now.getTime() + LOCK_DURATION) },
+            $inc: { attempts: 1 }
+        },
+        { new: true, sort: { runAt: 1 } }
+    );
+    return job ? runJob(job) : null;
+};
+
+/**
+ * Run queued jobs one after another, called once the database is connected
+ * One job runs at a time: hashing, probing and rendering are heavy on CPU and memory
+ * @param {Number} interval - Milliseconds between checks for due jobs
+ * @returns {Function} - Stops the worker
+ */
+const startJobWorker = (interval = 5 * 1000) => {
+    let running = false;
+    let again = false;
+
+    const tick = async () => {
+        if (running) {
+            again = true; // Check once more when the current round is done
+            return;
+        }
+        running = true;
+        try {
+            do {
+                again = false;
+                while (await claimAndRun()) {
+                    // Keep going until nothing is due
+                }
+            } while (again);
+        } catch (error) {
+            console.error("Job worker failed:", error.message);
+        } finally {
+            running = false;
+        }
+    };
+
+    const timer = setInterval(tick, interval);
+    timer.unref(); // Don't keep the process alive just for the worker
+    worker = { wake: () => setImmediate(tick) };
+    tick();
+
+    return () => {
+        clearInterval(timer);
+        worker = null;
+    };
+};
+
+export { registerJob, enqueueJob, startJobWorker };
@@ -0,0 +1,250 @@
+import mongoose from "mongoose";
+import { User } from "../models/user.model.js";
+import { ApiError } from "./ApiError.js";
+
+// Project.members and User.projectRoles hold the same data, every change below updates both in one transaction
+// A standalone mongod has no transactions: there Project.members, the source of truth, is written first and the users
+// follow one document at a time. If a user update fails after the project was saved, repairMembership rewrites the users
+// from the project, and checkMembership reports whatever is still out of step
+
+const roleKey = (project) => `projectRoles.${project._id}`;
+
+const findMember = (project, userId) =>
+    project.members.find((member) => member.userId?.toString() === userId.toString());
+
+const countOwners = (project) => project.members.filter((member) => member.role === 'owner').length;
+
+// Refuse any change that would leave the project without an owner
+const assertHasOwner = (project) => {
+    if (countOwners(project) === 0) {
+        throw new ApiError(409, "A project must keep at least one owner");
+    }
+};
+
+// A standalone mongod answers the first write of a transaction with IllegalOperation
+const transactionsUnsupported = (error) =>
+    error.code === 20 || /Transaction numbers are only allowed/.test(error.message);
+
+/**
+ * Save a membership change to the project and its users together
+ * connection.transaction() resets the project document when the transaction is aborted, so it can be saved again without one
+ * @param {Object} project - The project document, with the change applied
+ * @param {Object[]} userUpdates - The matching user updates, [{ userId, update }]
+ */
+const saveMembership = async (project, userUpdates) => {
+    const writeUsers = async (session) => {
+        for (const { userId, update } of userUpdates) {
+            await User.updateOne({ _id: userId }, update, { session });
+        }
+    };
+
+    try {
+        await mongoose.connection.transaction(async (session) => {
+            await project.save({ session });
+            await writeUsers(session);
+        });
+        return;
+    } catch (error) {
+        if (!transactionsUnsupported(error)) {
+            throw error;
+        }
+    }
+
+    await project.save();
+    try {
+        await writeUsers(null);
+    } catch (error) {
+        await repairMembership(project).catch(() => {}); // Whatever is left is reported by checkMembership
+        throw error;
+    }
+};
+
+/**
+ * Add a user to a project with a role, or change their role if they are already a member
+ * @param {Object} project - The project document
+ * @param {Object} user - The user document
+ * @param {String} role - The role to assign
+ */
+const addMember = async (project, user, role) => {
+    const member = findMember(project, user._id);
+
+    // If the user is already a member, update their role
+    // Otherwise, add them as a new member with the specified role
+    if (member) {
+        member.role = role;
+    } else {
+        project.members.push({ userId: user._id, role });
+    }
+    assertHasOwner(project);
+
+    await saveMembership(project, [{ userId: user._id, update: { $set: { [roleKey(project)]: role } } }]);
+
+    user.projectRoles.set(project._id.toString(), role); // Keep the in-memory user in step with the database
+};
+
+/**
+ * Change the role of an existing member
+ * @param {Object} project - The project document
+ * @param {String} userId - The member's user ID
+ * @param {String} role - The new role
+ */
+const changeMemberRole = async (project, userId, role) => {
+    const member = findMember(project, userId);
+    if (!member) {
+        throw new ApiError(404, "Member not found");
+    }
+
+    member.role = role;
+    assertHasOwner(project);
+
+    await saveMembership(project, [{ userId, update: { $set: { [roleKey(project)]: role } } }]);
+};
+
+/**
+ * Remove a member from a project
+ * @param {Object} project - The project document
+ * @param {String} userId - The member's user ID
+ */
+const removeMember = async (project, userId) => {
+    const member = findMember(project, userId);
+    if (!member) {
+        throw new ApiError(404, "Member not found");
+    }
+
+    project.members.pull(member._id);
+    assertHasOwner(project);
+
+    await saveMembership(project, [{ userId, update: { $unset: { [roleKey(project)]: 1 } } }]);
+};
+
+/**
+ * Make another member the owner of a project, the previous owner keeps a lower role
+ * @param {Object} project - The project document
+ * @param {String} fromUserId - The current owner
+ * @param {String} toUserId - The member receiving ownership
+ * @param {String} previousOwnerRole - The role the current owner is left with
+ */
+const transferOwnership = async (project, fromUserId, toUserId, previousOwnerRole) => {
+    const from = findMember(project, fromUserId);
+    const to = findMember(project, toUserId);
+    if (!from || from.role !== 'owner') {
+        throw new ApiError(403, "Only an owner can transfer ownership");
+    }
+    if (!to) {
+        throw new ApiError(404, "Member not found"); // Ownership only goes to existing members
+    }
+
+    to.role = 'owner';
+    from.role = previousOwnerRole;
+    assertHasOwner(project);
+
+    await saveMembership(project, [
+        { userId: toUserId, update: { $set: { [roleKey(project)]: 'owner' } } },
+        { userId: fromUserId, update: { $set: { [roleKey(project)]: previousOwnerRole } } }
+    ]);
+};
+
+/**
+ * Compare Project.members with User.projectRoles and list every difference
+ * @param {Object} project - The project document
+ * @returns {Object[]} - The issues found, empty when both stores agree
+ */
+const checkMembership = async (project) => {
+    const projectId = project._id.toString();
+    const memberIds = project.members.map((member) => member.userId);
+
+    // Every user that appears on either side
+    const users = await User.find({
+        $or: [{ _id: { $in: memberIds } }, { [roleKey(project)]: { $exists: true } }]
+    }).select("username projectRoles");
+    const usersById = new Map(users.map((user) => [user._id.toString(), user]));
+
+    const issues = [];
+    const seen = new Set();
+
+    for (const member of project.members) {
+        const userId = member.userId?.toString();
+        if (!userId || seen.has(userId)) {
+            issues.push({ type: 'duplicate-member', userId, projectRole: member.role });
+            continue;
+        }
+        seen.add(userId);
+
+        const user = usersById.get(userId);
+        const userRole = user?.projectRoles.get(projectId);
+        if (!user) {
+            issues.push({ type: 'missing-user', userId, projectRole: member.role }); // The account no longer exists
+        } else if (!userRole) {
+            issues.push({ type: 'missing-user-role', userId, projectRole: member.role });
+        } else if (userRole !== member.role) {
+            issues.push({ type: 'role-mismatch', userId, projectRole: member.role, userRole });
+        }
+    }
+
+    for (const user of users) {
+        if (!seen.has(user._id.toString())) {
+            issues.push({ type: 'stray-user-role', userId: user._id.toString(), userRole: user.projectRoles.get(projectId) });
+        }
+    }
+
+    if (countOwners(project) === 0) {
+        issues.push({ type: 'no-owner' });
+    }
+
+    return issues;
+};
+
+/**
+ * Bring User.projectRoles back in line with Project.members
+ * Project.members is treated as the source of truth, except that a stray owner is re-added when the project has none
+ * @param {Object} project - The project document
+ * @returns {Object[]} - The issues that were found before repairing
+ */
+const repairMembership = async (project) => {
+    const issues = await checkMembership(project);
+    if (!issues.length) {
+        return issues;
+    }
+
+    // Drop duplicate entries and members whose account is gone
+    const missing = new Set(issues.filter((issue) => issue.type === 'missing-user').map((issue) => issue.userId));
+    const seen = new Set();
+    for (const member of [...project.members]) {
+        const userId = member.userId?.toString();
+        if (!userId || seen.has(userId) || missing.has(userId)) {
+            project.members.pull(member._id);
+        } else {
+            seen.add(userId);
+        }
+    }
+
+    const strayUserIds = [];
+    for (const issue of issues) {
+        if (issue.type === 'stray-user-role' && issue.userRole === 'owner' && countOwners(project) === 0) {
+            project.members.push({ userId: issue.userId, role: 'owner' }); // Better an owner back than an orphaned project
+        } else if (issue.type === 'stray-user-role') {
+            strayUserIds.push(issue.userId);
+        }
+    }
+
+    // The project first, then the users from it, so running the repair again finishes an interrupted one
+    await project.save();
+    for (const userId of strayUserIds) {
+        await User.updateOne({ _id: userId }, { $unset: { [roleKey(project)]: 1 } });
+    }
+    for (const member of project.members) {
+        await User.updateOne({ _id: member.userId }, { $set: { [roleKey(project)]: member.role } });
+    }
+
+    return issues;
+};
+
+export {
+    findMember,
+    addMember,
+    changeMemberRole,
+    removeMember,
+    transferOwnership,
+    checkMembership,
+    repairMembership,
+};
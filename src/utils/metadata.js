@@ -0,0 +1,230 @@
+import fs from "fs";
+import path from "path";
+import { execFile } from "child_process";
+import { promisify } from "util";
+import { imageSizeFromFile } from "image-size/fromFile";
+import exifr from "exifr";
+import { isTextVersion } from "./diff.js";
+import { checkMetadata } from "../policies/contentTypes.js";
+
+const run = promisify(execFile);
+
+const TOOL_TIMEOUT = 30 * 1000; // Probes that take longer are given up on
+const MAX_TEXT_SIZE = 20 * 1024 * 1024; // Larger text files are not counted
+const MAX_PDF_SCAN_SIZE = 50 * 1024 * 1024; // Larger PDFs are only counted with pdfinfo
+
+// Local binaries, configurable for machines where they are not on the PATH
+const FFPROBE_PATH = process.env.FFPROBE_PATH || "ffprobe";
+const PDFINFO_PATH = process.env.PDFINFO_PATH || "pdfinfo";
+
+const round = (value, digits = 3) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const toNumber = (value) => {
+    const number = Number(value);
+    return Number.isFinite(number) && number > 0 ? number : undefined;
+};
+
+// ffprobe reports frame rates as fractions, e.g. "30000/1001"
+const parseFrameRate = (rate = "") => {
+    const [numerator, denominator = 1] = rate.split("/").map(Number);
+    return denominator ? toNumber(round(numerator / denominator)) : undefined;
+};
+
+const isPdf = (file) => file.mimetype === "application/pdf" || path.extname(file.originalname).toLowerCase() === ".pdf";
+
+/**
+ * Read duration, codecs and resolution of audio and video files with ffprobe
+ * @param {Object} file - The multer file object
+ * @param {String} type - video or audio
+ * @returns {Object}
+ */
+const probeMedia = async (file, type) => {
+    const { stdout } = await run(FFPROBE_PATH, ["-v", "error", "-print_format", "json", "-show_format", "-show_streams", file.path], { timeout: TOOL_TIMEOUT });
+    const { format = {}, streams = [] } = JSON.parse(stdout);
+    const video = streams.find((stream) => stream.codec_type === "video" && !stream.disposition?.attached_pic); // Cover art is not the picture
+    const audio = streams.find((stream) => stream.codec_type === "audio");
+
+    const duration = toNumber(format.duration);
+    const metadata = {
+        duration: duration && round(duration),
+        bitrate: toNumber(format.bit_rate) && Math.round(format.bit_rate)
+    };
+    if (type === "video") {
+        Object.assign(metadata, {
+            width: video?.width,
+            height: video?.height,
+            frameRate: parseFrameRate(video?.avg_frame_rate) || parseFrameRate(video?.r_frame_rate),
+            codec: video?.codec_name,
+            audioCodec: audio?.codec_name
+        });
+    } else {
+        Object.assign(metadata, {
+            sampleRate: toNumber(audio?.sample_rate) && Math.round(audio.sample_rate),
+            channels: audio?.channels,
+            codec: audio?.codec_name
+        });
+    }
+    return metadata;
+};
+
+/**
+ * Read the dimensions of images and design files from their headers
+ * @param {Object} file - The multer file object
+ * @returns {Object}
+ */
+const readImageSize = async (file) => {
+    const { width, height, orientation } = await imageSizeFromFile(file.path);
+    return { width, height, orientation };
+};
+
+/**
+ * Read camera details and capture time from EXIF
+ * @param {Object} file - The multer file object
+ * @returns {Object}
+ */
+const readExif = async (file) => {
+    const exif = await exifr.parse(file.path, ["Make", "Model", "LensModel", "DateTimeOriginal", "Orientation", "ColorSpace"]);
+    if (!exif) {
+        return {};
+    }
+
+    const camera = [exif.Make, exif.Model].filter(Boolean).join(" ").trim();
+    return {
+        camera: camera || undefined,
+        lens: exif.LensModel,
+        takenAt: exif.DateTimeOriginal instanceof Date && !Number.isNaN(exif.DateTimeOriginal.getTime()) ? exif.DateTimeOriginal.toISOString() : undefined,
+        orientation: Number.isInteger(exif.Orientation) ? exif.Orientation : undefined,
+        colorSpace: exif.ColorSpace === 1 ? "srgb" : undefined // 65535 means uncalibrated
+    };
+};
+
+/**
+ * Count the pages of a PDF with pdfinfo, or by counting page objects when it isn't installed
+ * @param {Object} file - The multer file object
+ * @returns {Object}
+ */
+const countPdfPages = async (file) => {
+    if (!isPdf(file)) {
+        return {};
+    }
+
+    try {
+        const { stdout } = await run(PDFINFO_PATH, [file.path], { timeout: TOOL_TIMEOUT });
+        const pages = stdout.match(/^Pages:\s+(\d+)/m);
+        if (pages) {
+            return { pageCount: Number(pages[1]) };
+        }
+    } catch (error) {
+        // Fall back to scanning the file below
+    }
+
+    if (file.size > MAX_PDF_SCAN_SIZE) {
+        return {};
+    }
+    const pdf = (await fs.promises.readFile(file.path)).toString("latin1");
+    const pages = pdf.match(/\/Type\s*\/Page(?![a-z])/g); // Pages in compressed object streams are missed, pdfinfo doesn't miss them
+    return pages ? { pageCount: pages.length } : {};
+};
+
+/**
+ * Count words and lines of plain text files
+ * @param {Object} file - The multer file object
+ * @returns {Object}
+ */
+const countText = async (file) => {
+    if (!isTextVersion({ mimeType: file.mimetype, originalName: file.originalname }) || file.size > MAX_TEXT_SIZE) {
+        return {};
+    }
+
+    const text = await fs.promises.readFile(file.path, "utf8");
+    const trimmed = text.trim();
+    return {
+        wordCount: trimmed ? trimmed.split(/\s+/).length : 0,
+        lineCount: trimmed ? text.replace(/\r?\n$/, "").split(/\r?\n/).length : 0
+    };
+};
+
+/**
+ * Count the cues of SRT and WebVTT subtitles and find when the last one ends
+ * @param {Object} file - The multer file object
+ * @returns {Object}
+ */
+const countCues = async (file) => {
+    if (file.size > MAX_TEXT_SIZE) {
+        return {};
+    }
+
+    const text = await fs.promises.readFile(file.path, "utf8");
+    const timings = [...text.matchAll(/(?:(\d+):)?(\d{2}):(\d{2})[.,](\d{3})\s*-->\s*(?:(\d+):)?(\d{2}):(\d{2})[.,](\d{3})/g)];
+    if (!timings.length) {
+        return {};
+    }
+
+    const ends = timings.map(([, , , , , hours = 0, minutes, seconds, millis]) => Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(millis) / 1000);
+    return { cueCount: timings.length, duration: round(Math.max(...ends)) };
+};
+
+// What is read from the files of each content type, later extractors fill in what earlier ones left out
+const EXTRACTORS = {
+    video: [probeMedia],
+    audio: [probeMedia],
+    image: [readImageSize, readExif],
+    script: [countPdfPages, countText],
+    subtitle: [countCues],
+    document: [countPdfPages, countText],
+    design: [readImageSize],
+};
+
+/**
+ * Read what can be measured from an uploaded file
+ * Extractors that fail (missing binary, unreadable file) are skipped, an upload never fails because of its metadata;
+ * their errors are returned so they can be recorded on the version
+ * @param {String} type - The registry key of the content type
+ * @param {Object} file - The multer file object, still on local disk
+ * @returns {Promise<Object>} - { metadata, errors }, metadata that fits the type's schema and one message per failed extractor
+ */
+const extractMetadata = async (type, file) => {
+    const metadata = {};
+    const errors = [];
+
+    for (const extractor of EXTRACTORS[type] || []) {
+        try {
+            const found = await extractor(file, type);
+            for (const [field, value] of Object.entries(found)) {
+                if (value !== undefined && value !== null && value !== "" && metadata[field] === undefined) {
+                    metadata[field] = value;
+                }
+            }
+        } catch (error) {
+            errors.push(`${extractor.name}: ${error.message}`);
+        }
+    }
+
+    // Only keep what the schema accepts, e.g. not a zero width read from a broken header
+    const accepted = {};
+    for (const [field, value] of Object.entries(metadata)) {
+        const result = checkMetadata(type, { [field]: value });
+        if (!result.problems.length) {
+            Object.assign(accepted, result.metadata);
+        }
+    }
+    return { metadata: accepted, errors };
+};
+
+/**
+ * Compare the metadata of two versions
+ * @param {Object} before - Metadata of the parent version
+ * @param {Object} after - Metadata of the version
+ * @returns {Object} - { field: { from, to } } for every field that differs
+ */
+const compareMetadata = (before = {}, after = {}) => {
+    const changes = {};
+    for (const field of new Set([...Object.keys(before), ...Object.keys(after)])) {
+        if (before[field] !== after[field]) {
+            changes[field] = { from: before[field] ?? null, to: after[field] ?? null };
+        }
+    }
+    return changes;
+};
+
+export { extractMetadata, compareMetadata };
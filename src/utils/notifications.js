@@ -0,0 +1,145 @@
+import { Notification } from "../models/notification.model.js";
+import { Project } from "../models/project.model.js";
+import { Version } from "../models/version.model.js";
+import { Comment } from "../models/comment.model.js";
+import { User } from "../models/user.model.js";
+import { can } from "../policies/permissions.js";
+import { events, subscribe } from "../events/index.js";
+
+const REVIEW_MESSAGES = {
+    "version:approve": "approved",
+    "version:reject": "rejected",
+    "version:request_changes": "requested changes on",
+};
+
+const toIds = (ids) => [...new Set(ids.filter(Boolean).map((id) => id.toString()))];
+
+/**
+ * Create notifications for a set of users
+ * The actor, users who are no longer members and users who turned the type off are left out
+ * @param {Object} entry - The audit entry the notifications are about
+ * @param {Object} project - The project document
+ * @param {String[]} userIds - The recipients
+ * @param {Object} notification - { type, message, data }
+ */
+const notifyUsers = async (entry, project, userIds, { type, message, data }) => {
+    const memberIds = toIds(project.members.map((member) => member.userId));
+    const recipientIds = toIds(userIds).filter((id) => id !== entry.actorId.toString() && memberIds.includes(id));
+    if (!recipientIds.length) {
+        return;
+    }
+
+    const recipients = await User.find({ _id: { $in: recipientIds } }).select("notificationPreferences");
+    const wanted = recipients.filter((user) => user.notificationPreferences.get(type) !== false);
+
+    const notifications = await Notification.insertMany(wanted.map((user) => ({
+        userId: user._id,
+        projectId: entry.projectId,
+        type,
+        actorId: entry.actorId,
+        message,
+        data
+    })));
+    notifications.forEach((notification) => events.emit("notification", notification));
+};
+
+/**
+ * Work out who should hear about an audit entry and notify them
+ * Uploads go to every member, review requests to members who may approve, review decisions to the author,
+ * comments to the people in the thread and mentions to the mentioned members
+ * @param {Object} entry - The audit entry
+ */
+const notifyActivity = async (entry) => {
+    if (!entry.projectId) {
+        return; // Account actions don't concern anyone else
+    }
+
+    const [project, actor] = await Promise.all([
+        Project.findById(entry.projectId).select("name members roles"),
+        User.findById(entry.actorId).select("username")
+    ]);
+    if (!project) {
+        return;
+    }
+    const name = actor?.username || "Someone";
+    const memberIds = project.members.map((member) => member.userId);
+
+    switch (entry.action) {
+        case "version:create":
+        case "version:revert": {
+            const version = await Version.findById(entry.targetId).select("contentId originalName");
+            await notifyUsers(entry, project, memberIds, {
+                type: "version_uploaded",
+                message: `${name} uploaded ${version?.originalName || "a new version"} in ${project.name}`,
+                data: { contentId: version?.contentId, versionId: entry.targetId }
+            });
+            break;
+        }
+        case "version:submit": {
+            const version = await Version.findById(entry.targetId).select("contentId originalName");
+            const reviewerIds = project.members
+                .filter((member) => can(member.role, "version:approve", project.roles))
+                .map((member) => member.userId);
+            await notifyUsers(entry, project, reviewerIds, {
+                type: "review_requested",
+                message: `${name} requested your review of ${version?.originalName || "a version"} in ${project.name}`,
+                data: { contentId: version?.contentId, versionId: entry.targetId }
+            });
+            break;
+        }
+        case "version:approve":
+        case "version:reject":
+        case "version:request_changes": {
+            const version = await Version.findById(entry.targetId).select("contentId originalName uploadedBy submittedBy");
+            if (!version) {
+                break;
+            }
+            await notifyUsers(entry, project, [version.uploadedBy, version.submittedBy], {
+                type: "version_reviewed",
+                message: `${name} ${REVIEW_MESSAGES[entry.action]} ${version.originalName || "your version"} in ${project.name}`,
+                data: { contentId: version.contentId, versionId: version._id, reviewStatus: entry.after?.reviewStatus }
+            });
+            break;
+        }
+        case "comment:create":
+        case "annotation:create": {
+            const comment = await Comment.findById(entry.targetId);
+            if (!comment) {
+                break;
+            }
+            const data = { commentId: comment._id, threadId: comment.threadId || comment._id, targetType: comment.targetType, targetId: comment.targetId };
+
+            // Mentioned members get a mention instead of a plain comment notification
+            const mentionedIds = toIds(comment.mentions);
+            await notifyUsers(entry, project, mentionedIds, {
+                type: "mention",
+                message: `${name} mentioned you in ${project.name}`,
+                data
+            });
+
+            // Everyone who wrote in the thread, and the uploader when a thread is started on their version
+            const participantIds = comment.threadId
+                ? await Comment.find({ $or: [{ _id: comment.threadId }, { threadId: comment.threadId }], deletedAt: null }).distinct("userId")
+                : [];
+            if (comment.targetType === 'version') {
+                participantIds.push((await Version.findById(comment.targetId).select("uploadedBy"))?.uploadedBy);
+            }
+            await notifyUsers(entry, project, toIds(participantIds).filter((id) => !mentionedIds.includes(id)), {
+                type: "comment",
+                message: `${name} ${comment.threadId ? "replied" : "commented"} in ${project.name}`,
+                data
+            });
+            break;
+        }
+        default:
+            break;
+    }
+};
+
+/**
+ * Start creating notifications for recorded activity, called once when the app starts
+ * @returns {Function} - Stops the subscription
+ */
+const subscribeNotifications = () => subscribe("activity", notifyActivity);
+
+export { notifyActivity, subscribeNotifications };
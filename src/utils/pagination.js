@@ -0,0 +1,13 @@
+/**
+ * Read page and limit from query parameters, clamped to sane values
+ * @param {Object} query - The request's query parameters
+ * @param {Object} options - { defaultLimit, maxLimit }
+ * @returns {Object} - { page, limit, skip }
+ */
+const getPagination = (query, { defaultLimit = 20, maxLimit = 100 } = {}) => {
+    const page = Math.max(parseInt(query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), maxLimit);
+    return { page, limit, skip: (page - 1) * limit };
+};
+
+export { getPagination };
@@ -0,0 +1,200 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { execFile } from "child_process";
+import { promisify } from "util";
+import { pipeline } from "stream/promises";
+import sharp from "sharp";
+import { Version } from "../models/version.model.js";
+import { Content } from "../models/content.model.js";
+import { storage } from "../storage/index.js";
+import { normalizeContentType } from "../policies/contentTypes.js";
+import { subscribe } from "../events/index.js";
+import { registerJob, enqueueJob } from "./jobs.js";
+
+const run = promisify(execFile);
+
+const TOOL_TIMEOUT = 2 * 60 * 1000; // Renders that take longer are given up on
+const THUMBNAIL_WIDTH = 320;
+const PREVIEW_WIDTH = 1280;
+const WAVEFORM_SIZE = "1280x320";
+const SHARP_IMAGE = /^image\/(jpeg|png|gif|webp|avif|tiff|svg\+xml|heic|heif)$/;
+
+// Local binaries, configurable for machines where they are not on the PATH
+const FFMPEG_PATH = process.env.FFMPEG_PATH || "ffmpeg";
+const PDFTOPPM_PATH = process.env.PDFTOPPM_PATH || "pdftoppm";
+
+const isPdf = (version) => version.mimeType === "application/pdf" || path.extname(version.originalName || "").toLowerCase() === ".pdf";
+
+/**
+ * Pick how a version is rendered to a still image
+ * @param {String} type - The registry key of the content type
+ * @param {Object} version - The version document
+ * @returns {Function|null} - (sourcePath, workDir) => Promise<path of the rendered image>, null when nothing can be shown
+ */
+const rendererFor = (type, version) => {
+    if (isPdf(version)) {
+        return renderPdfPage;
+    }
+    if (type === "video") {
+        return renderPosterFrame;
+    }
+    if (type === "audio") {
+        return renderWaveform;
+    }
+    if ((type === "image" || type === "design") && SHARP_IMAGE.test(version.mimeType || "")) {
+        return async (sourcePath) => sourcePath; // sharp reads the file as it is
+    }
+    return null;
+};
+
+/**
+ * Grab a frame a little into a video, the very first frame is often black
+ * @param {String} sourcePath - The video on local disk
+ * @param {String} workDir - Directory for intermediate files
+ * @param {Object} version - The version document
+ * @returns {Promise<String>} - Path of the frame
+ */
+const renderPosterFrame = async (sourcePath, workDir, version) => {
+    const output = path.join(workDir, "poster.png");
+    const duration = version.metadata?.duration;
+    const seek = duration ? Math.min(duration * 0.1, 10) : 1;
+    await run(FFMPEG_PATH, ["-v", "error", "-ss", String(seek), "-i", sourcePath, "-frames:v", "1", "-y", output], { timeout: TOOL_TIMEOUT });
+    return output;
+};
+
+/**
+ * Draw the waveform of an audio file
+ * @param {String} sourcePath - The audio on local disk
+ * @param {String} workDir - Directory for intermediate files
+ * @returns {Promise<String>} - Path of the waveform image
+ */
+const renderWaveform = async (sourcePath, workDir) => {
+    const output = path.join(workDir, "waveform.png");
+    await run(FFMPEG_PATH, ["-v", "error", "-i", sourcePath, "-filter_complex", `showwavespic=s=${WAVEFORM_SIZE}:split_channels=1`, "-frames:v", "1", "-y", output], { timeout: TOOL_TIMEOUT });
+    return output;
+};
+
+/**
+ * Render the first page of a PDF
+ * @param {String} sourcePath - The PDF on local disk
+ * @param {String} workDir - Directory for intermediate files
+ * @returns {Promise<String>} - Path of the page image
+ */
+const renderPdfPage = async (sourcePath, workDir) => {
+    const prefix = path.join(workDir, "page");
+    await run(PDFTOPPM_PATH, ["-png", "-f", "1", "-l", "1", "-singlefile", "-scale-to", String(PREVIEW_WIDTH), sourcePath, prefix], { timeout: TOOL_TIMEOUT });
+    return `${prefix}.png`;
+};
+
+/**
+ * Storage keys of the thumbnail and preview rendered from a file
+ * @param {String} checksum - The SHA-256 checksum of the file
+ * @returns {Object} - { thumbnail, preview }
+ */
+const previewKeys = (checksum) => {
+    const prefix = `previews/${checksum.slice(0, 2)}/${checksum}`;
+    return { thumbnail: `${prefix}/thumbnail.jpg`, preview: `${prefix}/preview.jpg` };
+};
+
+/**
+ * Resize a rendered image and store it, unless a version with the same file already did
+ * @param {String} imagePath - The rendered image
+ * @param {String} key - Storage key of the result
+ * @param {Number} width - Maximum width
+ * @param {String} workDir - Directory for intermediate files
+ * @returns {Promise<Object>} - { key, url } as the storage driver reports them, url is null for drivers without public URLs
+ */
+const storeResized = async (imagePath, key, width, workDir) => {
+    const existing = await storage.stat(key);
+    if (existing) {
+        return { key: existing.key, url: existing.url };
+    }
+
+    const output = path.join(workDir, path.basename(key));
+    await sharp(imagePath, { animated: false })
+        .rotate() // Apply the EXIF orientation
+        .resize({ width, withoutEnlargement: true })
+        .flatten({ background: "#ffffff" }) // Transparent areas become white in JPEG
+        .jpeg({ quality: 80, mozjpeg: true })
+        .toFile(output);
+
+    const stored = await storage.put(output, { key, mimeType: "image/jpeg" });
+    return { key: stored.key, url: stored.url };
+};
+
+/**
+ * Path of the route that streams a version's thumbnail or preview, for storage drivers without public URLs
+ * @param {Object} content - The content of the version, with its projectId
+ * @param {Object} version - The version document
+ * @param {String} kind - "thumbnail" or "preview"
+ * @returns {String}
+ */
+const previewRoute = (content, version, kind) =>
+    `/api/v1/project/${content.projectId}/content/${content._id}/versions/${version._id}/previews/${kind}`;
+
+/**
+ * Render the thumbnail and preview of a version and store them next to its file
+ * Previews are keyed by checksum, so identical files (reverts, duplicates across content) share them
+ * @param {String} versionId - The version to render
+ * @returns {Promise<Object|null>} - The updated version, null when it is gone
+ */
+const generatePreviews = async (versionId) => {
+    const version = await Version.findOne({ _id: versionId, deletedAt: null });
+    if (!version) {
+        return null;
+    }
+    const content = await Content.findById(version.contentId).select("type projectId");
+    const renderer = rendererFor(normalizeContentType(content?.type), version);
+
+    if (!renderer || !version.storageKey || !version.checksum) {
+        return Version.findByIdAndUpdate(version._id, { $set: { previewStatus: "unsupported" } }, { new: true });
+    }
+
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "preview-"));
+    try {
+        const sourcePath = path.join(workDir, "source");
+        await pipeline(await storage.stream(version.storageKey), fs.createWriteStream(sourcePath));
+
+        const rendered = await renderer(sourcePath, workDir, version);
+        const keys = previewKeys(version.checksum);
+        const thumbnail = await storeResized(rendered, keys.thumbnail, THUMBNAIL_WIDTH, workDir);
+        const preview = await storeResized(rendered, keys.preview, PREVIEW_WIDTH, workDir);
+
+        return Version.findByIdAndUpdate(version._id, {
+            $set: {
+                thumbnailUrl: thumbnail.url ?? previewRoute(content, version, "thumbnail"),
+                previewUrl: preview.url ?? previewRoute(content, version, "preview"),
+                thumbnailKey: thumbnail.key,
+                previewKey: preview.key,
+                previewStatus: "ready",
+                previewError: null
+            }
+        }, { new: true });
+    } catch (error) {
+        await Version.updateOne({ _id: version._id }, { $set: { previewStatus: "failed", previewError: error.message.slice(0, 500) } });
+        throw error;
+    } finally {
+        await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+};
+
+/**
+ * Render previews of new versions in the background, called once when the app starts
+ * Renders are jobs, so a failed one is retried and its reason shows in the job status
+ * @returns {Function} - Stops the subscription
+ */
+const subscribePreviews = () => {
+    registerJob("version:previews", async ({ versionId }) => {
+        const version = await generatePreviews(versionId);
+        return { previewStatus: version?.previewStatus ?? null };
+    });
+
+    return subscribe("activity", async (entry) => {
+        if (entry.action === "version:create" || entry.action === "version:revert") {
+            await enqueueJob("version:previews", { versionId: entry.targetId }, { projectId: entry.projectId, createdBy: entry.actorId });
+        }
+    });
+};
+
+export { previewKeys, generatePreviews, subscribePreviews };
@@ -0,0 +1,318 @@
+import fs from "fs";
+import path from "path";
+import { Version } from "../models/version.model.js";
+import { Content } from "../models/content.model.js";
+import { Job } from "../models/job.model.js";
+import { storage } from "../storage/index.js";
+import { hashFile } from "./hash.js";
+import { extractMetadata } from "./metadata.js";
+import { carryForwardAnnotations } from "./comments.js";
+import { recordActivity, summarize } from "./activity.js";
+import { CONTENT_TYPES, normalizeContentType, checkFile, checkMetadata } from "../policies/contentTypes.js";
+import { DEFAULT_BRANCH } from "../constants.js";
+import { ApiError } from "./ApiError.js";
+import { registerJob, enqueueJob } from "./jobs.js";
+
+const TEMP_DIR = "./public/temp"; // Where multer writes uploads
+const TEMP_FILE_MAX_AGE = 24 * 60 * 60 * 1000; // Uploads no job is waiting for are removed after a day
+
+/**
+ * Remove an upload from the temp directory, ignoring files that are already gone
+ * @param {String} filePath
+ */
+const removeUpload = async (filePath) => {
+    if (filePath) {
+        await fs.promises.rm(filePath, { force: true });
+    }
+};
+
+/**
+ * Work out the parents of a new version
+ * Explicit parent IDs (several when merging branches) win, otherwise the branch head is the parent
+ * @param {Object} content - The content document
+ * @param {Object} branch - The branch the version is added to
+ * @param {String|String[]} parentIds - Parent version IDs from the request, as an array or comma separated
+ * @returns {ObjectId[]} - The parent version IDs
+ */
+const resolveParents = async (content, branch, parentIds) => {
+    const ids = (Array.isArray(parentIds) ? parentIds : String(parentIds || "").split(","))
+        .map((id) => id.trim())
+        .filter(Boolean);
+
+    if (!ids.length) {
+        return branch.head ? [branch.head] : [];
+    }
+
+    const parents = await Version.find({ _id: { $in: ids }, contentId: content._id, deletedAt: null }).select("_id");
+    if (parents.length !== new Set(ids).size) {
+        throw new ApiError(400, "Parent versions must belong to this content"); // Throw an error for unknown or foreign parents
+    }
+    return parents.map((parent) => parent._id);
+};
+
+/**
+ * Check an upload against the type of its content
+ * @param {Object} content - The content document
+ * @param {Object} file - The multer file object
+ * @param {String|Object} metadata - Version metadata from the request, JSON encoded in multipart forms
+ * @returns {Object} - { type, metadata }, the registry key and the parsed metadata
+ */
+const checkUpload = (content, file, metadata) => {
+    const type = normalizeContentType(content.type);
+    if (!type) {
+        throw new ApiError(409, "Set a content type before uploading versions"); // Content from before the registry with an unknown type
+    }
+
+    const fileProblems = checkFile(type, file);
+    if (fileProblems.length) {
+        throw new ApiError(file.size > CONTENT_TYPES[type].maxSize ? 413 : 415, "File is not accepted for this content type", fileProblems);
+    }
+
+    let fields = metadata || {};
+    if (typeof fields === "string") {
+        try {
+            fields = JSON.parse(fields);
+        } catch (error) {
+            throw new ApiError(400, "Metadata must be a JSON object");
+        }
+    }
+    if (typeof fields !== "object" || Array.isArray(fields) || fields === null) {
+        throw new ApiError(400, "Metadata must be a JSON object");
+    }
+
+    const result = checkMetadata(type, fields);
+    if (result.problems.length) {
+        throw new ApiError(400, "Invalid metadata", result.problems);
+    }
+    return { type, metadata: result.metadata };
+};
+
+/**
+ * Create the version of an upload in the "processing" state and queue the job that finishes it
+ * Used by multipart uploads and by resumable uploads once their last byte arrived
+ * The caller owns the file until this returns, the job removes it afterwards
+ * @param {Object} content - The content document
+ * @param {Object} file - { path, size, mimetype, originalname } like a multer file object
+ * @param {Object} fields - { branch, parentIds, metadata } from the request
+ * @param {Object} options - { userId, projectId }
+ * @returns {Object} - { version, job }
+ */
+const queueVersion = async (content, file, { branch: branchName, parentIds, metadata: rawMetadata } = {}, { userId, projectId }) => {
+    const { metadata } = checkUpload(content, file, rawMetadata); // Check the file and metadata fit the content type
+
+    const branch = await content.resolveBranch(branchName || DEFAULT_BRANCH); // Find the branch the upload goes to
+    if (!branch) {
+        throw new ApiError(404, "Branch not found");
+    }
+
+    const parents = await resolveParents(content, branch, parentIds); // Record which version(s) this one derives from
+
+    const version = await Version.create({
+        contentId: content._id,
+        uploadedBy: userId,
+        branch: branch.name,
+        parents,
+        metadata,
+        size: file.size,
+        mimeType: file.mimetype,
+        originalName: file.originalname,
+        processingStatus: "processing"
+    });
+
+    content.versions.push(version._id);
+    branch.head = version._id; // Advance the branch now, so uploads right after this one build on it
+    await content.save();
+
+    let job;
+    try {
+        job = await enqueueJob("version:process", { versionId: version._id, filePath: file.path }, { projectId, createdBy: userId });
+    } catch (error) {
+        await failUpload({ versionId: version._id }, error); // Don't leave a version that nothing will ever finish
+        throw error;
+    }
+    version.jobId = job._id;
+    await version.save();
+
+    return { version, job };
+};
+
+/**
+ * Upload a file to storage under its checksum
+ * @param {String} filePath - The upload on local disk
+ * @param {Object} version - The version the file belongs to
+ * @param {String} checksum - The SHA-256 checksum of the file
+ * @returns {Object} - { filePath, storageKey }
+ */
+const putFile = async (filePath, version, checksum) => {
+    const stored = await storage.put(filePath, {
+        key: `versions/${checksum.slice(0, 2)}/${checksum}`,
+        mimeType: version.mimeType
+    });
+    return { filePath: stored.url, storageKey: stored.key };
+};
+
+/**
+ * Move an uploaded file into content-addressed storage
+ * Files are keyed by their checksum, so a file a live version already holds is reused instead of uploaded again
+ * Files of trashed versions are not reused, purging them releases the file
+ * @param {String} filePath - The upload on local disk
+ * @param {Object} version - The version the file belongs to
+ * @param {String} checksum - The SHA-256 checksum of the file
+ * @returns {Object} - { filePath, storageKey }
+ */
+const storeFile = async (filePath, version, checksum) => {
+    const existing = await Version.findOne({ checksum, storageKey: { $exists: true }, deletedAt: null }); // Any live version already holding this file
+    if (existing) {
+        return { filePath: existing.filePath, storageKey: existing.storageKey };
+    }
+    return putFile(filePath, version, checksum);
+};
+
+/**
+ * Make sure the file of a version that just became ready is still in storage
+ * Until then nothing referenced the file on the version's behalf, so purging the other versions holding it may have released it;
+ * it is then uploaded again from the upload, which is only removed after this check
+ * @param {String} filePath - The upload on local disk
+ * @param {Object} version - The ready version
+ * @returns {Object} - The version, updated when its file had to be stored again
+ */
+const ensureStored = async (filePath, version) => {
+    if (await storage.stat(version.storageKey)) {
+        return version;
+    }
+    const file = await putFile(filePath, version, version.checksum);
+    return Version.findByIdAndUpdate(version._id, { $set: file }, { new: true });
+};
+
+/**
+ * Take a version that never finished processing off its branch, the branch goes back to the version's parent
+ * @param {Object} version - The version document
+ */
+const releaseBranchHead = async (version) => {
+    const content = await Content.findById(version.contentId);
+    if (!content) {
+        return;
+    }
+    content.branches
+        .filter((branch) => branch.head?.equals(version._id))
+        .forEach((branch) => { branch.head = version.parents[0] || null; });
+    await content.save();
+};
+
+/**
+ * Job handler that turns an upload into a ready version: hash, deduplicate, measure and store the file
+ * The stored file fields are filled in once, with an update guarded on the version still processing
+ * @param {Object} payload - { versionId, filePath }
+ * @returns {Object} - { versionId }, with duplicateOf when the file matched an existing version of the content
+ */
+const processUpload = async ({ versionId, filePath }) => {
+    const version = await Version.findOne({ _id: versionId, processingStatus: "processing" });
+    if (!version) {
+        await removeUpload(filePath); // Purged or already processed
+        return { versionId, skipped: true };
+    }
+
+    const checksum = await hashFile(filePath); // Hash the upload to detect identical files
+
+    // An identical file under the same content is not stored twice, the version shares the existing version's file like a revert does
+    // The version itself stays: its ID was already handed out and later versions may build on it
+    const duplicate = await Version.findOne({ _id: { $ne: version._id }, contentId: version.contentId, checksum, storageKey: { $exists: true }, deletedAt: null });
+
+    const content = await Content.findById(version.contentId).select("type projectId");
+    const type = normalizeContentType(content?.type);
+    const measured = type
+        ? await extractMetadata(type, { path: filePath, originalname: version.originalName, mimetype: version.mimeType, size: version.size })
+        : { metadata: {}, errors: [] };
+    const file = duplicate
+        ? { filePath: duplicate.filePath, storageKey: duplicate.storageKey }
+        : await storeFile(filePath, version, checksum);
+
+    const ready = await Version.findOneAndUpdate(
+        { _id: version._id, processingStatus: "processing" },
+        {
+            $set: {
+                ...file,
+                checksum,
+                metadata: { ...version.metadata, ...measured.metadata }, // What is measured from the file wins over what was entered
+                metadataError: measured.errors.join("; ").slice(0, 500) || null,
+                duplicateOf: duplicate?._id ?? null,
+                processingStatus: "ready",
+                processingError: null
+            }
+        },
+        { new: true }
+    );
+    if (!ready) {
+        await removeUpload(filePath);
+        return { versionId, skipped: true };
+    }
+    await ensureStored(filePath, ready); // The version now holds the file, a purge from here on keeps it
+    await removeUpload(filePath);
+
+    await carryForwardAnnotations(ready); // Copy open feedback from the parent version(s)
+    await recordActivity({}, {
+        action: "version:create",
+        targetType: "version",
+        targetId: ready._id,
+        projectId: content?.projectId,
+        actorId: ready.uploadedBy,
+        after: summarize(ready, ["contentId", "branch", "originalName", "checksum", "duplicateOf"])
+    });
+
+    return duplicate ? { versionId: ready._id, duplicateOf: duplicate._id } : { versionId: ready._id };
+};
+
+/**
+ * Mark a version as failed once its processing job gave up, and take it off its branch
+ * @param {Object} payload - { versionId, filePath }
+ * @param {Error} error - Why the last attempt failed
+ */
+const failUpload = async ({ versionId, filePath }, error) => {
+    await removeUpload(filePath);
+    const version = await Version.findOneAndUpdate(
+        { _id: versionId, processingStatus: "processing" },
+        { $set: { processingStatus: "failed", processingError: String(error.message || error).slice(0, 500) } },
+        { new: true }
+    );
+    if (version) {
+        await releaseBranchHead(version);
+    }
+};
+
+/**
+ * Delete uploads in the temp directory that no queued or running job will pick up
+ * Covers requests and workers that stopped before they could clean up
+ */
+const sweepTempFiles = async () => {
+    const names = await fs.promises.readdir(TEMP_DIR).catch(() => []);
+    const pending = new Set((await Job.find({ type: "version:process", status: { $in: ['queued', 'running'] } }).select("payload.filePath"))
+        .map((job) => path.resolve(job.payload.filePath)));
+
+    for (const name of names.filter((entry) => !entry.startsWith("."))) { // Keeps .gitkeep
+        const filePath = path.resolve(TEMP_DIR, name);
+        const stats = await fs.promises.stat(filePath).catch(() => null);
+        if (stats?.isFile() && Date.now() - stats.mtimeMs > TEMP_FILE_MAX_AGE && !pending.has(filePath)) {
+            await removeUpload(filePath);
+        }
+    }
+};
+
+/**
+ * Register the upload processing job, called once when the app starts
+ */
+const registerUploadJobs = () => registerJob("version:process", processUpload, { onFailure: failUpload });
+
+/**
+ * Sweep the temp directory at an interval, called once the database is connected
+ * @param {Number} interval - Milliseconds between sweeps
+ * @returns {Function} - Stops the timer
+ */
+const startTempSweep = (interval = 60 * 60 * 1000) => {
+    const sweep = () => sweepTempFiles().catch((error) => console.error("Temp sweep failed:", error.message));
+    const timer = setInterval(sweep, interval);
+    timer.unref(); // Don't keep the process alive just for the sweep
+    sweep();
+    return () => clearInterval(timer);
+};
+
+export { checkUpload, queueVersion, registerUploadJobs, startTempSweep };
@@ -0,0 +1,171 @@
+import { Version } from "../models/version.model.js";
+import { Content } from "../models/content.model.js";
+import { ApiError } from "./ApiError.js";
+
+// Statuses a version can be submitted for review from
+const SUBMITTABLE_STATUSES = ["draft", "changes_requested"];
+
+/**
+ * Read a project's review policy, filling in defaults for projects created before policies existed
+ * @param {Object} project - The project document
+ * @returns {Object} - { requiredApprovals, requireOwner, allowSelfApproval }
+ */
+const getReviewPolicy = (project) => ({
+    requiredApprovals: Math.max(project.reviewPolicy?.requiredApprovals ?? 1, 1),
+    requireOwner: Boolean(project.reviewPolicy?.requireOwner),
+    allowSelfApproval: project.reviewPolicy?.allowSelfApproval ?? true,
+});
+
+/**
+ * Summarize the decisions of a version's current review round against a policy
+ * @param {Object} version - The version document
+ * @param {Object} policy - The project's review policy
+ * @returns {Object} - The approvals so far, how many are still needed and whether an owner approval is missing
+ */
+const summarizeReview = (version, policy) => {
+    const decisions = version.reviews.filter((review) => review.round === version.reviewRound);
+    const approvals = decisions.filter((review) => review.decision === 'approve');
+    const ownerApproved = approvals.some((review) => review.role === 'owner');
+
+    return {
+        status: version.reviewStatus,
+        round: version.reviewRound,
+        decisions,
+        approvals: approvals.length,
+        requiredApprovals: policy.requiredApprovals,
+        remainingApprovals: Math.max(policy.requiredApprovals - approvals.length, 0),
+        ownerApprovalMissing: policy.requireOwner && !ownerApproved,
+    };
+};
+
+/**
+ * Check whether a user took part in creating a version, which matters when self approval is disabled
+ * @param {Object} version - The version document
+ * @param {ObjectId} userId - The user
+ * @returns {Boolean}
+ */
+const isAuthor = (version, userId) =>
+    [version.uploadedBy, version.submittedBy].some((id) => id?.toString() === userId.toString());
+
+/**
+ * Mark a version as the approved one of its content
+ * The approved version is moved to the front of the content's versions array
+ * @param {Object} version - The version document to approve
+ */
+const markApproved = async (version) => {
+    await Version.updateMany(
+        { contentId: version.contentId, _id: { $ne: version._id } },
+        { $set: { approved: false } } // Only one version per content is the approved one
+    );
+    version.approved = true;
+    await version.save();
+
+    const content = await Content.findById(version.contentId);
+    if (content) {
+        content.versions.pull(version._id);
+        content.versions.unshift(version._id); // Add the version to the front
+        await content.save();
+    }
+};
+
+/**
+ * Send a version for review, starting a new review round
+ * @param {Object} version - The version document
+ * @param {ObjectId} userId - The user submitting the version
+ * @returns {Object} - The updated version
+ */
+const submitForReview = async (version, userId) => {
+    if (!SUBMITTABLE_STATUSES.includes(version.reviewStatus)) {
+        throw new ApiError(409, `Version is ${version.reviewStatus.replace('_', ' ')} and can't be submitted`);
+    }
+
+    // Only move the version if nobody else submitted it in the meantime
+    const submitted = await Version.findOneAndUpdate(
+        { _id: version._id, reviewStatus: version.reviewStatus, reviewRound: version.reviewRound },
+        {
+            $set: { reviewStatus: 'in_review', submittedBy: userId, submittedAt: new Date() },
+            $inc: { reviewRound: 1 }
+        },
+        { new: true }
+    );
+    if (!submitted) {
+        throw new ApiError(409, "Version was changed by someone else, reload it and try again");
+    }
+    return submitted;
+};
+
+/**
+ * Record a reviewer's decision on a version in review and move it to its next state
+ * Rejecting or requesting changes ends the round straight away,
+ * approvals only finish it once the project's policy is met
+ * @param {Object} version - The version document
+ * @param {Object} project - The project document, for its review policy
+ * @param {Object} reviewer - { userId, role } of the reviewer
+ * @param {String} decision - One of approve, reject, request_changes
+ * @param {String} reason - Why the reviewer decided this way
+ * @returns {Object} - The updated version and a summary of the round
+ */
+const recordDecision = async (version, project, reviewer, decision, reason = "") => {
+    const policy = getReviewPolicy(project);
+
+    if (version.reviewStatus !== 'in_review') {
+        throw new ApiError(409, "Version is not in review");
+    }
+    if (decision !== 'approve' && !reason?.trim()) {
+        throw new ApiError(400, "A reason is required"); // Authors need to know what to change
+    }
+    if (decision === 'approve' && !policy.allowSelfApproval && isAuthor(version, reviewer.userId)) {
+        throw new ApiError(403, "You can't approve your own version in this project");
+    }
+
+    const review = { reviewerId: reviewer.userId, role: reviewer.role, decision, reason, round: version.reviewRound };
+
+    // One decision per reviewer and round, pushed atomically so concurrent reviews are never lost
+    let updated = await Version.findOneAndUpdate(
+        {
+            _id: version._id,
+            reviewStatus: 'in_review',
+            reviewRound: version.reviewRound,
+            reviews: { $not: { $elemMatch: { reviewerId: reviewer.userId, round: version.reviewRound } } }
+        },
+        { $push: { reviews: review } },
+        { new: true }
+    );
+    if (!updated) {
+        throw new ApiError(409, "You already reviewed this round, or the version is no longer in review");
+    }
+
+    let nextStatus = null;
+    if (decision === 'reject') {
+        nextStatus = 'rejected';
+    } else if (decision === 'request_changes') {
+        nextStatus = 'changes_requested';
+    } else {
+        const summary = summarizeReview(updated, policy);
+        if (!summary.remainingApprovals && !summary.ownerApprovalMissing) {
+            nextStatus = 'approved';
+        }
+    }
+
+    if (nextStatus) {
+        updated = await Version.findOneAndUpdate(
+            { _id: version._id, reviewStatus: 'in_review', reviewRound: version.reviewRound },
+            { $set: { reviewStatus: nextStatus } },
+            { new: true }
+        ) || await Version.findById(version._id); // Another decision already closed the round
+        if (updated.reviewStatus === 'approved' && nextStatus === 'approved') {
+            await markApproved(updated);
+        }
+    }
+
+    return { version: updated, review: summarizeReview(updated, policy) };
+};
+
+export {
+    getReviewPolicy,
+    summarizeReview,
+    isAuthor,
+    markApproved,
+    submitForReview,
+    recordDecision,
+};
@@ -0,0 +1,278 @@
+import { Project } from "../models/project.model.js";
+import { Content } from "../models/content.model.js";
+import { Version } from "../models/version.model.js";
+import { User } from "../models/user.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Release } from "../models/release.model.js";
+import { Invite } from "../models/invite.model.js";
+import { JoinRequest } from "../models/joinRequest.model.js";
+import { Webhook } from "../models/webhook.model.js";
+import { WebhookDelivery } from "../models/webhookDelivery.model.js";
+import { Notification } from "../models/notification.model.js";
+import { Upload } from "../models/upload.model.js";
+import { Job } from "../models/job.model.js";
+import { ApiError } from "./ApiError.js";
+import { storage } from "../storage/index.js";
+import { previewKeys } from "./previews.js";
+import { removeSessionFile } from "./uploads.js";
+
+// Fields that take a document back out of the trash
+const RESTORED = { deletedAt: null, deletedBy: null, deletedCascade: false };
+
+/**
+ * Delete a stored file and the previews rendered from it once no version references it anymore
+ * Trashed versions still count, their files are only released when they are purged
+ * @param {String} storageKey - The key of the file in storage
+ * @param {String} checksum - The checksum of the file, its previews are stored under it
+ */
+const releaseStoredFile = async (storageKey, checksum) => {
+    if (!storageKey) {
+        return;
+    }
+    const stillReferenced = await Version.exists({ storageKey }); // Deduplicated files are shared between versions
+    if (!stillReferenced) {
+        await storage.delete(storageKey);
+        if (checksum) {
+            const { thumbnail, preview } = previewKeys(checksum);
+            await Promise.all([storage.delete(thumbnail), storage.delete(preview)]);
+        }
+    }
+};
+
+/**
+ * Find the closest ancestor of a version that is not in the trash
+ * @param {Object} version - The version document
+ * @returns {ObjectId|null}
+ */
+const findLiveAncestor = async (version) => {
+    let current = version;
+    while (current?.parents?.length) {
+        current = await Version.findById(current.parents[0]);
+        if (current && !current.deletedAt) {
+            return current._id;
+        }
+    }
+    return null;
+};
+
+/**
+ * Check whether a version descends from another, following first parents like findLiveAncestor
+ * @param {Object} version - The version document
+ * @param {ObjectId} ancestorId - The possible ancestor
+ * @returns {Boolean}
+ */
+const descendsFrom = async (version, ancestorId) => {
+    let current = version;
+    while (current?.parents?.length) {
+        if (current.parents[0].equals(ancestorId)) {
+            return true;
+        }
+        current = await Version.findById(current.parents[0]);
+    }
+    return false;
+};
+
+/**
+ * Move a version to the trash
+ * It leaves the content's versions array and branches pointing at it fall back to its closest live ancestor
+ * @param {Object} version - The version document
+ * @param {ObjectId} userId - The user deleting the version
+ */
+const trashVersion = async (version, userId) => {
+    version.set({ deletedAt: new Date(), deletedBy: userId, deletedCascade: false });
+    await version.save();
+
+    const content = await Content.findById(version.contentId);
+    if (content) {
+        content.versions.pull(version._id);
+        for (const branch of content.branches) {
+            if (branch.head?.equals(version._id)) {
+                branch.head = await findLiveAncestor(version);
+            }
+        }
+        await content.save();
+    }
+};
+
+/**
+ * Move a content item and its live versions to the trash
+ * @param {Object} content - The content document
+ * @param {ObjectId} userId - The user deleting the content
+ */
+const trashContent = async (content, userId) => {
+    const deletedAt = new Date();
+
+    content.set({ deletedAt, deletedBy: userId, deletedCascade: false });
+    await content.save();
+
+    await Version.updateMany(
+        { contentId: content._id, deletedAt: null },
+        { $set: { deletedAt, deletedBy: userId, deletedCascade: true } }
+    );
+};
+
+/**
+ * Move a project, its live content and their live versions to the trash
+ * @param {Object} project - The project document
+ * @param {ObjectId} userId - The user deleting the project
+ */
+const trashProject = async (project, userId) => {
+    const deletedAt = new Date();
+
+    project.set({ deletedAt, deletedBy: userId });
+    await project.save();
+
+    const contentIds = await Content.find({ projectId: project._id, deletedAt: null }).distinct("_id");
+    await Content.updateMany(
+        { _id: { $in: contentIds } },
+        { $set: { deletedAt, deletedBy: userId, deletedCascade: true } }
+    );
+    await Version.updateMany(
+        { contentId: { $in: contentIds }, deletedAt: null },
+        { $set: { deletedAt, deletedBy: userId, deletedCascade: true } }
+    );
+};
+
+/**
+ * Take a version out of the trash
+ * Its branch moves back to it when trashing it made the branch fall back to one of its ancestors and nothing was added since
+ * @param {Object} version - The version document
+ */
+const restoreVersion = async (version) => {
+    const content = await Content.findById(version.contentId);
+    if (!content || content.deletedAt) {
+        throw new ApiError(409, "Restore the content of this version first");
+    }
+
+    version.set(RESTORED);
+    await version.save();
+
+    content.versions.addToSet(version._id);
+    const branch = content.branches.find((b) => b.name === version.branch);
+    if (branch && (!branch.head || await descendsFrom(version, branch.head))) {
+        branch.head = version._id; // The branch had no live versions left, or still points at an ancestor
+    }
+    await content.save();
+};
+
+/**
+ * Take a content item out of the trash together with the versions that were trashed with it
+ * @param {Object} content - The content document
+ */
+const restoreContent = async (content) => {
+    const project = await Project.findById(content.projectId);
+    if (!project || project.deletedAt) {
+        throw new ApiError(409, "Restore the project of this content first");
+    }
+
+    content.set(RESTORED);
+    await content.save();
+
+    await Version.updateMany({ contentId: content._id, deletedCascade: true }, { $set: RESTORED });
+};
+
+/**
+ * Take a project out of the trash together with the content and versions that were trashed with it
+ * @param {Object} project - The project document
+ */
+const restoreProject = async (project) => {
+    project.set({ deletedAt: null, deletedBy: null });
+    await project.save();
+
+    const contentIds = await Content.find({ projectId: project._id, deletedCascade: true }).distinct("_id");
+    await Content.updateMany({ _id: { $in: contentIds } }, { $set: RESTORED });
+    await Version.updateMany({ contentId: { $in: contentIds }, deletedCascade: true }, { $set: RESTORED });
+};
+
+/**
+ * Permanently delete versions and release their stored files
+ * @param {Object} filter - Query selecting the versions to delete
+ */
+const purgeVersions = async (filter) => {
+    const files = await Version.aggregate([
+        { $match: filter },
+        { $group: { _id: "$storageKey", checksum: { $first: "$checksum" } } }
+    ]);
+    await Version.deleteMany(filter);
+    for (const file of files) {
+        await releaseStoredFile(file._id, file.checksum);
+    }
+};
+
+/**
+ * Permanently delete a version and the comments about it
+ * @param {Object} version - The version document
+ */
+const purgeVersion = async (version) => {
+    if (await Release.exists({ "items.versionId": version._id })) {
+        throw new ApiError(409, "Version is part of a release and can't be purged"); // Released deliverables stay downloadable
+    }
+    await purgeVersions({ _id: version._id });
+    await Comment.deleteMany({ targetType: 'version', targetId: version._id });
+    await Content.updateOne({ _id: version.contentId }, { $pull: { versions: version._id } });
+};
+
+/**
+ * Permanently delete a content item, all of its versions and the comments about them
+ * @param {Object} content - The content document
+ */
+const purgeContent = async (content) => {
+    if (await Release.exists({ "items.contentId": content._id })) {
+        throw new ApiError(409, "Content is part of a release and can't be purged");
+    }
+    const versionIds = await Version.find({ contentId: content._id }).distinct("_id");
+    await purgeVersions({ contentId: content._id });
+    await Comment.deleteMany({ targetId: { $in: [content._id, ...versionIds] } });
+    await content.deleteOne();
+};
+
+/**
+ * Permanently delete a project with all of its content, versions, comments and releases
+ * Members lose their role for the project as well, and everything else kept for it goes: invites, join requests,
+ * webhooks and their deliveries, notifications, upload sessions and jobs, with the files the last two hold
+ * @param {Object} project - The project document
+ */
+const purgeProject = async (project) => {
+    const contentIds = await Content.find({ projectId: project._id }).distinct("_id");
+    await purgeVersions({ contentId: { $in: contentIds } });
+    await Content.deleteMany({ _id: { $in: contentIds } });
+
+    const roleKey = `projectRoles.${project._id}`;
+    await User.updateMany({ [roleKey]: { $exists: true } }, { $unset: { [roleKey]: 1 } });
+
+    await Comment.deleteMany({ $or: [{ projectId: project._id }, { _id: { $in: project.comments } }] });
+    await Release.deleteMany({ projectId: project._id });
+
+    await Invite.deleteMany({ projectId: project._id });
+    await JoinRequest.deleteMany({ projectId: project._id });
+    await WebhookDelivery.deleteMany({ projectId: project._id });
+    await Webhook.deleteMany({ projectId: project._id });
+    await Notification.deleteMany({ projectId: project._id });
+
+    const uploads = await Upload.find({ projectId: project._id }).select("+filePath");
+    await Upload.deleteMany({ projectId: project._id });
+    for (const upload of uploads) {
+        await removeSessionFile(upload.filePath); // Bytes of unfinished resumable uploads
+    }
+
+    const jobs = await Job.find({ projectId: project._id, status: 'queued' }).select("payload.filePath");
+    await Job.deleteMany({ projectId: project._id });
+    for (const job of jobs) {
+        await removeSessionFile(job.payload?.filePath); // Uploads waiting to be processed
+    }
+
+    await project.deleteOne();
+};
+
+export {
+    releaseStoredFile,
+    trashVersion,
+    trashContent,
+    trashProject,
+    restoreVersion,
+    restoreContent,
+    restoreProject,
+    purgeVersion,
+    purgeContent,
+    purgeProject,
+};
@@ -0,0 +1,88 @@
+import fs from "fs";
+import path from "path";
+import { Upload } from "../models/upload.model.js";
+
+// Outside public/, chunks of unfinished uploads must not be served
+const UPLOAD_DIR = process.env.UPLOAD_SESSION_DIR || "./upload-sessions";
+const SESSION_TTL = 24 * 60 * 60 * 1000; // Sessions without a new chunk for this long expire
+
+// Fields a client may send along with a resumable upload, the same as the fields of a multipart upload
+const UPLOAD_FIELDS = ["branch", "parentIds", "metadata"];
+
+/**
+ * Work out where the bytes of an upload session are kept
+ * @param {String} uploadId
+ * @returns {String}
+ */
+const sessionPath = (uploadId) => path.join(UPLOAD_DIR, uploadId.toString());
+
+/**
+ * When a session expires if no chunk arrives before then
+ * @returns {Date}
+ */
+const nextExpiry = () => new Date(Date.now() + SESSION_TTL);
+
+/**
+ * Parse a tus Upload-Metadata header: comma separated "key base64value" pairs
+ * @param {String} header - e.g. "filename bXkgY3V0Lm1wNA==,filetype dmlkZW8vbXA0"
+ * @returns {Object} - e.g. { filename: "my cut.mp4", filetype: "video/mp4" }
+ */
+const parseUploadMetadata = (header = "") => Object.fromEntries(
+    header.split(",")
+        .map((pair) => pair.trim().split(" "))
+        .filter(([key]) => key)
+        .map(([key, value = ""]) => [key, Buffer.from(value, "base64").toString("utf8")])
+);
+
+/**
+ * Pick the version fields out of upload metadata
+ * @param {Object} metadata - Parsed Upload-Metadata or the JSON body
+ * @returns {Object} - { branch, parentIds, metadata }
+ */
+const pickUploadFields = (metadata) => Object.fromEntries(UPLOAD_FIELDS.filter((field) => metadata[field] !== undefined).map((field) => [field, metadata[field]]));
+
+/**
+ * Remove the bytes of a session, ignoring files that are already gone
+ * @param {String} filePath
+ */
+const removeSessionFile = async (filePath) => {
+    if (filePath) {
+        await fs.promises.rm(filePath, { force: true });
+    }
+};
+
+/**
+ * Expire sessions that haven't received a chunk within SESSION_TTL and delete their bytes
+ */
+const expireUploads = async () => {
+    const expired = await Upload.find({ status: 'active', expiresAt: { $lte: new Date() } }).select("+filePath");
+    for (const upload of expired) {
+        const claimed = await Upload.findOneAndUpdate({ _id: upload._id, status: 'active', expiresAt: { $lte: new Date() } }, { $set: { status: 'expired' } });
+        if (claimed) {
+            await removeSessionFile(upload.filePath);
+        }
+    }
+};
+
+/**
+ * Expire idle upload sessions at an interval, called once the database is connected
+ * @param {Number} interval - Milliseconds between checks
+ * @returns {Function} - Stops the timer
+ */
+const startUploadExpiry = (interval = 15 * 60 * 1000) => {
+    const expire = () => expireUploads().catch((error) => console.error("Expiring uploads failed:", error.message));
+    const timer = setInterval(expire, interval);
+    timer.unref(); // Don't keep the process alive just for the expiry
+    expire();
+    return () => clearInterval(timer);
+};
+
+export {
+    UPLOAD_DIR,
+    sessionPath,
+    nextExpiry,
+    parseUploadMetadata,
+    pickUploadFields,
+    removeSessionFile,
+    startUploadExpiry,
+};
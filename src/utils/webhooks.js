@@ -0,0 +1,280 @@
+import crypto from "crypto";
+import dns from "dns";
+import net from "net";
+import { Webhook } from "../models/webhook.model.js";
+import { WebhookDelivery } from "../models/webhookDelivery.model.js";
+import { subscribe } from "../events/index.js";
+import { ApiError } from "./ApiError.js";
+
+const REQUEST_TIMEOUT = 10 * 1000; // Endpoints that take longer count as failed
+const RETRY_DELAYS = [30, 2 * 60, 10 * 60, 60 * 60, 6 * 60 * 60].map((seconds) => seconds * 1000); // After the 1st, 2nd, ... failed attempt
+const LOCK_DURATION = REQUEST_TIMEOUT * 3;
+const MAX_RESPONSE_BODY = 1024; // Characters of the endpoint's response kept in the delivery log
+
+const EVENT_PATTERN = /^(\*|[a-z_]+:(\*|[a-z_]+))$/;
+
+// Addresses webhooks may not reach: loopback, private networks, link-local (cloud metadata services) and other non-public ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16], ["172.16.0.0", 12],
+    ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 4], ["240.0.0.0", 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv4"));
+[
+    ["::", 128], ["::1", 128], ["64:ff9b::", 96], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, "ipv6"));
+
+/**
+ * Check whether an event selection is well formed: "*", "version:*" or "version:create"
+ * @param {String} event
+ * @returns {Boolean}
+ */
+const isValidEventPattern = (event) => typeof event === "string" && EVENT_PATTERN.test(event);
+
+/**
+ * Check whether a webhook subscribed to an action
+ * @param {String[]} patterns - The webhook's events
+ * @param {String} action - e.g. "version:approve"
+ * @returns {Boolean}
+ */
+const matchesEvent = (patterns, action) =>
+    patterns.some((pattern) => pattern === "*" || pattern === action || (pattern.endsWith(":*") && action.startsWith(pattern.slice(0, -1))));
+
+/**
+ * Check whether an address is one webhooks may not reach
+ * IPv4-mapped IPv6 addresses such as ::ffff:127.0.0.1 are matched against the IPv4 ranges
+ * @param {String} address - An IPv4 or IPv6 address
+ * @returns {Boolean}
+ */
+const isBlockedAddress = (address) => BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+
+/**
+ * Hosts that may be reached even though they resolve to a blocked address, e.g. a receiver on the same private network
+ * Read on every check so the allowlist can be changed without a restart
+ * @returns {String[]} - From WEBHOOK_ALLOWED_HOSTS, comma separated host names or addresses
+ */
+const allowedHosts = () => (process.env.WEBHOOK_ALLOWED_HOSTS || "")
+    .split(",")
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean);
+
+/**
+ * Check a webhook URL and the addresses its host resolves to
+ * Run when a webhook is registered and again before every attempt, since a host can be pointed elsewhere later
+ * @param {String} url
+ * @returns {String} - The normalized URL
+ */
+const checkWebhookUrl = async (url) => {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw new ApiError(400, "Invalid webhook URL");
+    }
+    if (!["http:", "https:"].includes(parsed.protocol)) {
+        throw new ApiError(400, "Webhook URLs must use http or https");
+    }
+
+    const host = parsed.hostname.replace(/^\[|\]$/g, "").toLowerCase(); // IPv6 hosts come in brackets
+    if (allowedHosts().includes(host)) {
+        return parsed.toString();
+    }
+
+    const addresses = await dns.promises.lookup(host, { all: true }).catch(() => null);
+    if (!addresses?.length) {
+        throw new ApiError(400, "Webhook host could not be resolved");
+    }
+    if (addresses.some(({ address }) => isBlockedAddress(address))) {
+        throw new ApiError(400, "Webhook URLs may not point to loopback, private or link-local addresses");
+    }
+    return parsed.toString();
+};
+
+/**
+ * Create a new signing secret
+ * @returns {String}
+ */
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString("hex")}`;
+
+/**
+ * Sign a payload the way receivers verify it: HMAC-SHA256 of "<timestamp>.<body>" with the webhook's secret
+ * @param {String} secret - The webhook's secret
+ * @param {String} timestamp - Unix time in seconds, also sent in X-Webhook-Timestamp
+ * @param {String} body - The raw JSON body
+ * @returns {String} - "sha256=<hex digest>"
+ */
+const signPayload = (secret, timestamp, body) =>
+    `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+
+/**
+ * Build the body sent for an audit entry
+ * @param {Object} entry - The audit entry
+ * @returns {Object}
+ */
+const buildPayload = (entry) => ({
+    event: entry.action,
+    projectId: entry.projectId,
+    occurredAt: entry.createdAt,
+    data: {
+        id: entry._id,
+        actorId: entry.actorId,
+        targetType: entry.targetType,
+        targetId: entry.targetId,
+        before: entry.before,
+        after: entry.after
+    }
+});
+
+/**
+ * Send a delivery once and record the attempt
+ * 2xx answers mark it succeeded, anything else schedules a retry until RETRY_DELAYS runs out
+ * @param {Object} delivery - The delivery document, locked by the caller
+ * @returns {Object} - The updated delivery
+ */
+const attemptDelivery = async (delivery) => {
+    const webhook = await Webhook.findById(delivery.webhookId).select("+secret");
+    if (!webhook) {
+        delivery.set({ status: 'failed', nextAttemptAt: null, lockedUntil: null });
+        delivery.attempts.push({ error: "Webhook was deleted" });
+        return delivery.save();
+    }
+
+    const body = JSON.stringify({ id: delivery._id, ...delivery.payload });
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const attempt = { at: new Date() };
+    const startedAt = Date.now();
+
+    try {
+        const url = await checkWebhookUrl(webhook.url); // Nothing is sent to, or read back from, a host that now resolves to a blocked address
+        const response = await fetch(url, {
+            method: "POST",
+            headers: {
+                "Content-Type": "application/json",
+                "User-Agent": "summerProject-webhooks",
+                "X-Webhook-Event": delivery.event,
+                "X-Webhook-Delivery": delivery._id.toString(),
+                "X-Webhook-Timestamp": timestamp,
+                "X-Webhook-Signature": signPayload(webhook.secret, timestamp, body)
+            },
+            body,
+            redirect: "manual", // A redirect could lead to a blocked address, it counts as a failed attempt instead
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+        });
+        attempt.statusCode = response.status;
+        attempt.responseBody = (await response.text()).slice(0, MAX_RESPONSE_BODY);
+    } catch (error) {
+        attempt.error = error.name === "TimeoutError" ? "Timed out" : error.message;
+    }
+    attempt.durationMs = Date.now() - startedAt;
+
+    delivery.attempts.push(attempt);
+    const succeeded = attempt.statusCode >= 200 && attempt.statusCode < 300;
+    const retryDelay = RETRY_DELAYS[delivery.attempts.length - 1];
+
+    if (succeeded) {
+        delivery.set({ status: 'succeeded', nextAttemptAt: null });
+    } else if (retryDelay === undefined) {
+        delivery.set({ status: 'failed', nextAttemptAt: null }); // Out of retries, it can still be redelivered by hand
+    } else {
+        delivery.set({ status: 'pending', nextAttemptAt: new Date(Date.now() + retryDelay) });
+    }
+    delivery.lockedUntil = null;
+    return delivery.save();
+};
+
+/**
+ * Lock a delivery that is due and send it, skipping deliveries another worker is already sending
+ * @param {Object} filter - Narrows down the deliveries, e.g. { _id }
+ * @returns {Object|null} - The updated delivery, or null when nothing was due
+ */
+const claimAndDeliver = async (filter = {}) => {
+    const now = new Date();
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+        {
+            ...filter,
+            status: 'pending',
+            nextAttemptAt: { $lte: now },
+            $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+        },
+        { $set: { lockedUntil: new Date(now.getTime() + LOCK_DURATION) } },
+        { new: true, sort: { nextAttemptAt: 1 } }
+    );
+    return delivery ? attemptDelivery(delivery) : null;
+};
+
+/**
+ * Queue a delivery and try to send it straight away
+ * @param {Object} fields - { webhookId, projectId, event, payload, redeliveryOf }
+ * @returns {Object} - The delivery after its first attempt
+ */
+const createDelivery = async (fields) => {
+    const delivery = await WebhookDelivery.create(fields);
+    return (await claimAndDeliver({ _id: delivery._id })) || delivery;
+};
+
+/**
+ * Deliver an audit entry to every active webhook of its project that subscribed to the action
+ * @param {Object} entry - The audit entry
+ */
+const dispatchActivity = async (entry) => {
+    if (!entry.projectId) {
+        return;
+    }
+
+    const webhooks = await Webhook.find({ projectId: entry.projectId, active: true });
+    const payload = buildPayload(entry);
+
+    await Promise.all(webhooks
+        .filter((webhook) => matchesEvent(webhook.events, entry.action))
+        .map((webhook) => createDelivery({ webhookId: webhook._id, projectId: entry.projectId, event: entry.action, payload })));
+};
+
+/**
+ * Send every delivery whose retry is due
+ */
+const retryDueDeliveries = async () => {
+    while (await claimAndDeliver()) {
+        // Keep going until nothing is due
+    }
+};
+
+/**
+ * Start delivering recorded activity to webhooks, called once when the app starts
+ * @returns {Function} - Stops the subscription
+ */
+const subscribeWebhooks = () => subscribe("activity", dispatchActivity);
+
+/**
+ * Check for due retries at an interval, called once the database is connected
+ * @param {Number} interval - Milliseconds between checks
+ * @returns {Function} - Stops the timer
+ */
+const startWebhookRetries = (interval = 30 * 1000) => {
+    let running = false;
+    const timer = setInterval(async () => {
+        if (running) {
+            return; // The previous round is still sending
+        }
+        running = true;
+        try {
+            await retryDueDeliveries();
+        } catch (error) {
+            console.error("Webhook retries failed:", error.message);
+        } finally {
+            running = false;
+        }
+    }, interval);
+    timer.unref(); // Don't keep the process alive just for retries
+    return () => clearInterval(timer);
+};
+
+export {
+    isValidEventPattern,
+    checkWebhookUrl,
+    matchesEvent,
+    generateSecret,
+    signPayload,
+    createDelivery,
+    retryDueDeliveries,
+    subscribeWebhooks,
+    startWebhookRetries,
+};
@@ -0,0 +1,135 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { PROJECT_ROLES } from "../src/constants.js";
+import { PERMISSIONS, ACTIONS, ASSIGNABLE_ACTIONS, can, permissionsFor, isValidRole, readActionFor, canChangeMember } from "../src/policies/permissions.js";
+
+// A custom role the way it is stored on a project
+const reviewer = { name: "reviewer", permissions: ["version:read", "version:approve", "comment:create"] };
+const manager = { name: "manager", permissions: ["member:read", "member:manage"] };
+const customRoles = [reviewer, manager];
+
+describe("can", () => {
+    it("follows the table for built-in roles", () => {
+        for (const [action, roles] of Object.entries(PERMISSIONS)) {
+            for (const role of PROJECT_ROLES) {
+                assert.equal(can(role, action), roles.includes(role), `${role} / ${action}`);
+            }
+        }
+    });
+
+    it("refuses non-members, unknown roles and unknown actions", () => {
+        assert.equal(can(undefined, "project:read"), false);
+        assert.equal(can("stranger", "project:read", customRoles), false);
+        assert.equal(can("owner", "project:explode"), false);
+    });
+
+    it("gives custom roles exactly the actions they were assigned", () => {
+        assert.equal(can("reviewer", "version:approve", customRoles), true);
+        assert.equal(can("reviewer", "comment:create", customRoles), true);
+        assert.equal(can("reviewer", "version:create", customRoles), false);
+        assert.equal(can("reviewer", "project:read", customRoles), false);
+    });
+
+    it("ignores a custom role that is not defined on the project", () => {
+        assert.equal(can("reviewer", "version:approve", [manager]), false);
+    });
+
+    it("never lets a custom role perform an owner-only action, even if it was stored with one", () => {
+        const usurper = { name: "usurper", permissions: ["project:delete", "project:transfer", "role:manage", "project:read"] };
+
+        assert.equal(can("usurper", "project:delete", [usurper]), false);
+        assert.equal(can("usurper", "project:transfer", [usurper]), false);
+        assert.equal(can("usurper", "role:manage", [usurper]), false);
+        assert.equal(can("usurper", "project:read", [usurper]), true);
+    });
+});
+
+describe("permissionsFor", () => {
+    it("lists the actions of a built-in role", () => {
+        assert.deepEqual(permissionsFor("owner"), ACTIONS);
+        assert.ok(permissionsFor("member").every((action) => PERMISSIONS[action].includes("member")));
+    });
+
+    it("lists the assigned actions of a custom role in table order", () => {
+        assert.deepEqual(permissionsFor("reviewer", customRoles), ["version:read", "version:approve", "comment:create"]);
+        assert.deepEqual(permissionsFor("stranger", customRoles), []);
+    });
+});
+
+describe("isValidRole", () => {
+    it("accepts built-in roles without custom roles", () => {
+        for (const role of PROJECT_ROLES) {
+            assert.equal(isValidRole(role), true);
+        }
+    });
+
+    it("accepts custom roles defined on the project only", () => {
+        assert.equal(isValidRole("reviewer", customRoles), true);
+        assert.equal(isValidRole("reviewer", []), false);
+        assert.equal(isValidRole("Reviewer", customRoles), false);
+        assert.equal(isValidRole(undefined, customRoles), false);
+    });
+});
+
+describe("custom role assignment", () => {
+    it("offers every action except the owner-only ones", () => {
+        for (const action of ["project:delete", "project:restore", "project:transfer", "role:manage"]) {
+            assert.equal(ASSIGNABLE_ACTIONS.includes(action), false, action);
+        }
+        assert.ok(ASSIGNABLE_ACTIONS.includes("member:manage"));
+        assert.ok(ASSIGNABLE_ACTIONS.every((action) => ACTIONS.includes(action)));
+    });
+});
+
+describe("readActionFor", () => {
+    it("uses the read action of targets that have one", () => {
+        assert.equal(readActionFor("comment"), "comment:read");
+        assert.equal(readActionFor("version"), "version:read");
+    });
+
+    it("falls back to project:read for other targets", () => {
+        assert.equal(readActionFor("role"), "project:read");
+        assert.equal(readActionFor("user"), "project:read");
+    });
+
+    it("keeps webhook, invite and join request activity to the members managing them", () => {
+        assert.equal(readActionFor("webhook"), "webhook:manage");
+        assert.equal(readActionFor("invite"), "member:manage");
+        assert.equal(readActionFor("join_request"), "member:manage");
+
+        assert.equal(can("member", readActionFor("webhook")), false);
+        assert.equal(can("editor", readActionFor("invite")), false);
+        assert.equal(can("manager", readActionFor("join_request"), customRoles), true);
+        assert.equal(can("manager", readActionFor("webhook"), customRoles), false);
+    });
+});
+
+describe("canChangeMember", () => {
+    it("never hands out the owner role, ownership is transferred", () => {
+        assert.equal(canChangeMember("owner", "editor", "owner"), false);
+        assert.equal(canChangeMember("manager", "editor", "owner"), false);
+        assert.equal(canChangeMember("manager", undefined, "owner"), false);
+    });
+
+    // A custom role with member:manage used to be able to promote anyone, itself included, to owner
+    // and to demote or remove the real owners
+    it("keeps a custom role with member:manage from taking over a project", () => {
+        assert.equal(can("manager", "member:manage", customRoles), true);
+
+        assert.equal(canChangeMember("manager", "manager", "owner"), false); // Promoting itself
+        assert.equal(canChangeMember("manager", "owner", "member"), false); // Demoting an owner
+        assert.equal(canChangeMember("manager", "owner"), false); // Removing an owner
+    });
+
+    it("lets owners change and remove other owners", () => {
+        assert.equal(canChangeMember("owner", "owner", "editor"), true);
+        assert.equal(canChangeMember("owner", "owner"), true);
+    });
+
+    it("lets member managers change and remove everyone else", () => {
+        assert.equal(canChangeMember("manager", "editor", "member"), true);
+        assert.equal(canChangeMember("manager", "reviewer", "editor"), true);
+        assert.equal(canChangeMember("manager", undefined, "reviewer"), true); // Adding a new member
+        assert.equal(canChangeMember("manager", "member"), true);
+    });
+});
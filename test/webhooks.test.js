@@ -0,0 +1,272 @@
+import { describe, it, before, after, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import http from "http";
+import { once } from "events";
+import mongoose from "mongoose";
+import { Webhook } from "../src/models/webhook.model.js";
+import { WebhookDelivery } from "../src/models/webhookDelivery.model.js";
+import { signPayload, createDelivery, retryDueDeliveries } from "../src/utils/webhooks.js";
+import webhookControllers from "../src/controllers/webhook.controller.js";
+
+// The delays the delivery log promises after the 1st, 2nd, ... failed attempt
+const RETRY_DELAYS = [30, 2 * 60, 10 * 60, 60 * 60, 6 * 60 * 60].map((seconds) => seconds * 1000);
+
+/**
+ * A local HTTP endpoint that records what it receives and answers with the queued status codes, 200 once they run out
+ */
+const createStub = () => {
+    const requests = [];
+    const responses = [];
+    const server = http.createServer(async (req, res) => {
+        const chunks = [];
+        for await (const chunk of req) {
+            chunks.push(chunk);
+        }
+        requests.push({ url: req.url, headers: req.headers, body: Buffer.concat(chunks).toString("utf8") });
+
+        const { status = 200, headers = {}, body = "ok" } = responses.shift() || {};
+        res.writeHead(status, headers);
+        res.end(body);
+    });
+    return { server, requests, responses };
+};
+
+/**
+ * Keep webhooks and deliveries in memory instead of MongoDB
+ * findOneAndUpdate claims the same deliveries the real query does: pending, due and not locked
+ */
+const useMemoryStore = () => {
+    const webhooks = new Map();
+    const deliveries = new Map();
+
+    mock.method(Webhook, "findById", (id) => ({ select: async () => webhooks.get(id.toString()) || null }));
+    mock.method(Webhook, "findOne", async ({ _id }) => webhooks.get(_id.toString()) || null);
+    mock.method(WebhookDelivery, "create", async (fields) => {
+        const delivery = new WebhookDelivery(fields);
+        deliveries.set(delivery._id.toString(), delivery);
+        return delivery;
+    });
+    mock.method(WebhookDelivery, "findOne", async ({ _id, webhookId }) => {
+        const delivery = deliveries.get(_id.toString());
+        return delivery?.webhookId.equals(webhookId) ? delivery : null;
+    });
+    mock.method(WebhookDelivery, "findOneAndUpdate", async (filter, update) => {
+        const now = filter.nextAttemptAt.$lte;
+        const delivery = [...deliveries.values()].find((candidate) =>
+            (!filter._id || candidate._id.equals(filter._id)) &&
+            candidate.status === filter.status &&
+            candidate.nextAttemptAt <= now &&
+            (!candidate.lockedUntil || candidate.lockedUntil <= now));
+        if (delivery) {
+            delivery.set(update.$set);
+        }
+        return delivery || null;
+    });
+    mock.method(WebhookDelivery.prototype, "save", async function () {
+        return this;
+    });
+
+    return { webhooks, deliveries };
+};
+
+/**
+ * Run a controller and wait for its JSON response
+ * @returns {Promise<Object>} - { status, body }
+ */
+const runController = (controller, req) => new Promise((resolve, reject) => {
+    const res = {
+        statusCode: 200,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            resolve({ status: this.statusCode, body });
+        }
+    };
+    controller(req, res, reject);
+});
+
+/**
+ * Pretend the retry delay has passed
+ * @param {Object} delivery
+ */
+const makeDue = (delivery) => {
+    delivery.nextAttemptAt = new Date(Date.now() - 1);
+};
+
+describe("webhook deliveries", () => {
+    let stub;
+    let store;
+    let webhook;
+    let allowedHosts;
+
+    before(async () => {
+        stub = createStub();
+        stub.server.listen(0, "127.0.0.1");
+        await once(stub.server, "listening");
+        allowedHosts = process.env.WEBHOOK_ALLOWED_HOSTS;
+        process.env.WEBHOOK_ALLOWED_HOSTS = "127.0.0.1"; // The stub runs on loopback, which webhooks may not reach otherwise
+    });
+
+    after(() => {
+        stub.server.close();
+        process.env.WEBHOOK_ALLOWED_HOSTS = allowedHosts ?? "";
+    });
+
+    beforeEach(() => {
+        stub.requests.length = 0;
+        stub.responses.length = 0;
+        store = useMemoryStore();
+        webhook = new Webhook({
+            projectId: new mongoose.Types.ObjectId(),
+            url: `http://127.0.0.1:${stub.server.address().port}/hooks`,
+            events: ["*"],
+            secret: "whsec_test"
+        });
+        store.webhooks.set(webhook._id.toString(), webhook);
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    const deliver = (event = "version:create") => createDelivery({
+        webhookId: webhook._id,
+        projectId: webhook.projectId,
+        event,
+        payload: { event, projectId: webhook.projectId, data: { targetId: "abc" } }
+    });
+
+    it("signs the payload as HMAC-SHA256 of the timestamp and the raw body", () => {
+        const expected = crypto.createHmac("sha256", "whsec_test").update("1700000000.{\"a\":1}").digest("hex");
+
+        assert.equal(signPayload("whsec_test", "1700000000", "{\"a\":1}"), `sha256=${expected}`);
+        assert.notEqual(signPayload("whsec_other", "1700000000", "{\"a\":1}"), `sha256=${expected}`);
+        assert.notEqual(signPayload("whsec_test", "1700000001", "{\"a\":1}"), `sha256=${expected}`);
+    });
+
+    it("sends a signed POST the receiver can verify", async () => {
+        const delivery = await deliver();
+
+        assert.equal(delivery.status, "succeeded");
+        assert.equal(delivery.attempts.length, 1);
+        assert.equal(delivery.attempts[0].statusCode, 200);
+        assert.equal(delivery.nextAttemptAt, null);
+
+        assert.equal(stub.requests.length, 1);
+        const [request] = stub.requests;
+        assert.equal(request.url, "/hooks");
+        assert.equal(request.headers["x-webhook-event"], "version:create");
+        assert.equal(request.headers["x-webhook-delivery"], delivery._id.toString());
+        assert.equal(request.headers["x-webhook-signature"], signPayload("whsec_test", request.headers["x-webhook-timestamp"], request.body));
+
+        const body = JSON.parse(request.body);
+        assert.equal(body.id, delivery._id.toString());
+        assert.equal(body.event, "version:create");
+    });
+
+    it("schedules retries after non-2xx answers and gives up once they run out", async () => {
+        stub.responses.push(...RETRY_DELAYS.map(() => ({ status: 500, body: "down" })), { status: 503 });
+
+        const delivery = await deliver();
+        for (const [index, delay] of RETRY_DELAYS.entries()) {
+            const attempt = delivery.attempts[index];
+            assert.equal(delivery.status, "pending");
+            assert.equal(attempt.statusCode, 500);
+            assert.equal(attempt.responseBody, "down");
+            assert.ok(Math.abs(delivery.nextAttemptAt - attempt.at - delay) < 5000, `retry ${index + 1} after ${delay}ms`);
+
+            await retryDueDeliveries();
+            assert.equal(delivery.attempts.length, index + 1, "nothing is sent before the retry is due");
+
+            makeDue(delivery);
+            await retryDueDeliveries();
+            assert.equal(delivery.attempts.length, index + 2);
+        }
+
+        assert.equal(delivery.status, "failed");
+        assert.equal(delivery.nextAttemptAt, null);
+        assert.equal(delivery.attempts.at(-1).statusCode, 503);
+        assert.equal(stub.requests.length, RETRY_DELAYS.length + 1);
+    });
+
+    it("succeeds on a retry once the endpoint answers 2xx again", async () => {
+        stub.responses.push({ status: 502 });
+
+        const delivery = await deliver();
+        assert.equal(delivery.status, "pending");
+
+        makeDue(delivery);
+        await retryDueDeliveries();
+        assert.equal(delivery.status, "succeeded");
+        assert.deepEqual(delivery.attempts.map((attempt) => attempt.statusCode), [502, 200]);
+        assert.equal(stub.requests[0].body, stub.requests[1].body, "retries send the same body");
+    });
+
+    it("does not follow redirects", async () => {
+        stub.responses.push({ status: 302, headers: { Location: "/elsewhere" } });
+
+        const delivery = await deliver();
+        assert.equal(delivery.status, "pending");
+        assert.equal(delivery.attempts[0].statusCode, 302);
+        assert.equal(stub.requests.length, 1);
+    });
+
+    it("sends nothing to hosts that resolve to a blocked address", async () => {
+        process.env.WEBHOOK_ALLOWED_HOSTS = "";
+        try {
+            const delivery = await deliver();
+            assert.equal(delivery.status, "pending");
+            assert.match(delivery.attempts[0].error, /loopback, private or link-local/);
+            assert.equal(delivery.attempts[0].responseBody, undefined);
+            assert.equal(stub.requests.length, 0);
+        } finally {
+            process.env.WEBHOOK_ALLOWED_HOSTS = "127.0.0.1";
+        }
+    });
+
+    it("redelivers the exact payload of an earlier delivery by hand", async () => {
+        stub.responses.push(...RETRY_DELAYS.map(() => ({ status: 500 })), { status: 500 });
+        const original = await deliver("version:approve");
+        while (original.status === "pending") {
+            makeDue(original);
+            await retryDueDeliveries();
+        }
+        assert.equal(original.status, "failed");
+        stub.requests.length = 0;
+
+        const { status, body } = await runController(webhookControllers.redeliver, {
+            params: { projectId: webhook.projectId.toString(), webhookId: webhook._id.toString(), deliveryId: original._id.toString() },
+            user: { _id: new mongoose.Types.ObjectId() }
+        });
+
+        const redelivery = body.data;
+        assert.equal(status, 200);
+        assert.equal(redelivery.status, "succeeded");
+        assert.ok(redelivery.redeliveryOf.equals(original._id));
+        assert.notEqual(redelivery._id.toString(), original._id.toString());
+        assert.deepEqual(redelivery.payload, original.payload);
+
+        assert.equal(stub.requests.length, 1);
+        const [request] = stub.requests;
+        assert.equal(request.headers["x-webhook-event"], "version:approve");
+        assert.equal(request.headers["x-webhook-delivery"], redelivery._id.toString());
+        assert.equal(request.headers["x-webhook-signature"], signPayload("whsec_test", request.headers["x-webhook-timestamp"], request.body));
+        assert.equal(original.status, "failed", "the original delivery is left as it was");
+    });
+
+    it("answers 404 when redelivering a delivery of another webhook", async () => {
+        const other = new WebhookDelivery({ webhookId: new mongoose.Types.ObjectId(), projectId: webhook.projectId, event: "x:y", payload: {} });
+        store.deliveries.set(other._id.toString(), other);
+
+        await assert.rejects(
+            runController(webhookControllers.redeliver, {
+                params: { projectId: webhook.projectId.toString(), webhookId: webhook._id.toString(), deliveryId: other._id.toString() }
+            }),
+            (error) => error.statusCode === 404 || error.status === 404
+        );
+        assert.equal(stub.requests.length, 0);
+    });
+});